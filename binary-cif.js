@@ -0,0 +1,221 @@
+/**
+ * BinaryCIF
+ * Decodes BinaryCIF (.bcif) files - MessagePack containers of column-encoded
+ * CIF categories - into mmCIF text, so the browser can use its mmCIF parser.
+ * Supports the ByteArray, FixedPoint, IntervalQuantization, RunLength, Delta,
+ * IntegerPacking and StringArray column encodings.
+ */
+
+// MessagePack decoder for the subset BinaryCIF uses (no extension types)
+function decodeMessagePack(buffer) {
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let offset = 0;
+
+    const readString = (length) => {
+        const value = buffer.toString('utf8', offset, offset + length);
+        offset += length;
+        return value;
+    };
+    const readBinary = (length) => {
+        const value = buffer.subarray(offset, offset + length);
+        offset += length;
+        return value;
+    };
+    const readArray = (length) => Array.from({ length }, () => read());
+    const readMap = (length) => {
+        const map = {};
+        for (let i = 0; i < length; i++) {
+            const key = read();
+            map[key] = read();
+        }
+        return map;
+    };
+    const next = (size, getter) => {
+        const value = getter(offset);
+        offset += size;
+        return value;
+    };
+
+    function read() {
+        const type = buffer[offset++];
+        if (type <= 0x7f) return type;
+        if (type <= 0x8f) return readMap(type & 0x0f);
+        if (type <= 0x9f) return readArray(type & 0x0f);
+        if (type <= 0xbf) return readString(type & 0x1f);
+        if (type >= 0xe0) return type - 0x100;
+
+        switch (type) {
+            case 0xc0: return null;
+            case 0xc2: return false;
+            case 0xc3: return true;
+            case 0xc4: return readBinary(next(1, at => view.getUint8(at)));
+            case 0xc5: return readBinary(next(2, at => view.getUint16(at)));
+            case 0xc6: return readBinary(next(4, at => view.getUint32(at)));
+            case 0xca: return next(4, at => view.getFloat32(at));
+            case 0xcb: return next(8, at => view.getFloat64(at));
+            case 0xcc: return next(1, at => view.getUint8(at));
+            case 0xcd: return next(2, at => view.getUint16(at));
+            case 0xce: return next(4, at => view.getUint32(at));
+            case 0xcf: return Number(next(8, at => view.getBigUint64(at)));
+            case 0xd0: return next(1, at => view.getInt8(at));
+            case 0xd1: return next(2, at => view.getInt16(at));
+            case 0xd2: return next(4, at => view.getInt32(at));
+            case 0xd3: return Number(next(8, at => view.getBigInt64(at)));
+            case 0xd9: return readString(next(1, at => view.getUint8(at)));
+            case 0xda: return readString(next(2, at => view.getUint16(at)));
+            case 0xdb: return readString(next(4, at => view.getUint32(at)));
+            case 0xdc: return readArray(next(2, at => view.getUint16(at)));
+            case 0xdd: return readArray(next(4, at => view.getUint32(at)));
+            case 0xde: return readMap(next(2, at => view.getUint16(at)));
+            case 0xdf: return readMap(next(4, at => view.getUint32(at)));
+            default:
+                throw new Error(`Unsupported MessagePack type 0x${type.toString(16)} at byte ${offset - 1}`);
+        }
+    }
+
+    return read();
+}
+
+// ByteArray element types (BinaryCIF specification)
+const BYTE_ARRAY_TYPES = {
+    1: Int8Array, 2: Int16Array, 3: Int32Array,
+    4: Uint8Array, 5: Uint16Array, 6: Uint32Array,
+    32: Float32Array, 33: Float64Array
+};
+
+// Undo one encoding step
+function decodeStep(data, encoding) {
+    switch (encoding.kind) {
+        case 'ByteArray': {
+            const ArrayType = BYTE_ARRAY_TYPES[encoding.type];
+            if (!ArrayType) throw new Error(`Unknown ByteArray type: ${encoding.type}`);
+            // Copy so the typed array is aligned; values are little-endian
+            const bytes = Uint8Array.from(data);
+            return new ArrayType(bytes.buffer, 0, bytes.length / ArrayType.BYTES_PER_ELEMENT);
+        }
+        case 'FixedPoint':
+            return Float64Array.from(data, value => value / encoding.factor);
+        case 'IntervalQuantization': {
+            const step = (encoding.max - encoding.min) / (encoding.numSteps - 1);
+            return Float64Array.from(data, value => encoding.min + step * value);
+        }
+        case 'RunLength': {
+            const output = new Int32Array(encoding.srcSize);
+            let position = 0;
+            for (let i = 0; i < data.length; i += 2) {
+                output.fill(data[i], position, position + data[i + 1]);
+                position += data[i + 1];
+            }
+            return output;
+        }
+        case 'Delta': {
+            const output = new Int32Array(data.length);
+            let value = encoding.origin;
+            for (let i = 0; i < data.length; i++) {
+                value += data[i];
+                output[i] = value;
+            }
+            return output;
+        }
+        case 'IntegerPacking': {
+            // Values at the packed type's limits continue into the next element
+            const bits = encoding.byteCount * 8;
+            const upper = encoding.isUnsigned ? 2 ** bits - 1 : 2 ** (bits - 1) - 1;
+            const lower = encoding.isUnsigned ? null : -(2 ** (bits - 1));
+            const output = new Int32Array(encoding.srcSize);
+            let position = 0;
+            for (let i = 0; i < data.length; i++) {
+                let value = 0;
+                while (data[i] === upper || data[i] === lower) {
+                    value += data[i];
+                    i++;
+                }
+                output[position++] = value + data[i];
+            }
+            return output;
+        }
+        case 'StringArray': {
+            const offsets = decodeData({ data: encoding.offsets, encoding: encoding.offsetEncoding });
+            const indices = decodeData({ data, encoding: encoding.dataEncoding });
+            const strings = [];
+            for (let i = 0; i + 1 < offsets.length; i++) {
+                strings.push(encoding.stringData.substring(offsets[i], offsets[i + 1]));
+            }
+            return Array.from(indices, index => (index < 0 ? null : strings[index]));
+        }
+        default:
+            throw new Error(`Unsupported BinaryCIF encoding: ${encoding.kind}`);
+    }
+}
+
+// Encodings are listed in the order they were applied, so undo them in reverse
+function decodeData({ data, encoding }) {
+    let result = data;
+    for (let i = encoding.length - 1; i >= 0; i--) {
+        result = decodeStep(result, encoding[i]);
+    }
+    return result;
+}
+
+// CIF text for a value: "." and "?" for masked values, quoted if needed
+function formatCifValue(value, mask) {
+    if (mask === 1) return '.';
+    if (mask === 2 || value === null || value === undefined || value === '') return '?';
+
+    const text = String(value);
+    if (text.includes('\n')) {
+        return `\n;${text}\n;\n`; // Text field: semicolons at the start of a line
+    }
+    if (/[\s'"]/.test(text) || /^[_#$;[\]]/.test(text) || text === '.' || text === '?' ||
+        /^(data_|loop_|save_|global_|stop_)/i.test(text)) {
+        return text.includes('"') ? `'${text}'` : `"${text}"`;
+    }
+    return text;
+}
+
+// True if the bytes look like a BinaryCIF file: a MessagePack map with dataBlocks
+function isBinaryCIF(buffer) {
+    const type = buffer[0];
+    return buffer.length > 16 && ((type >= 0x80 && type <= 0x8f) || type === 0xde || type === 0xdf) &&
+        buffer.subarray(0, 256).includes('dataBlocks');
+}
+
+// Convert a BinaryCIF file (Buffer) to mmCIF text
+function binaryCIFToText(buffer) {
+    const file = decodeMessagePack(buffer);
+    if (!file || !Array.isArray(file.dataBlocks)) {
+        throw new Error('Not a BinaryCIF file');
+    }
+
+    const lines = [];
+    for (const block of file.dataBlocks) {
+        lines.push(`data_${block.header || 'block'}`, '#');
+
+        for (const category of block.categories) {
+            const name = category.name.replace(/^_/, '');
+            const columns = category.columns.map(column => ({
+                name: column.name,
+                values: decodeData(column.data),
+                mask: column.mask ? decodeData(column.mask) : null
+            }));
+            const value = (column, row) => formatCifValue(column.values[row], column.mask ? column.mask[row] : 0);
+
+            if (category.rowCount === 1) {
+                const width = Math.max(...columns.map(column => column.name.length)) + name.length + 3;
+                for (const column of columns) {
+                    lines.push(`_${name}.${column.name}`.padEnd(width) + value(column, 0));
+                }
+            } else {
+                lines.push('loop_', ...columns.map(column => `_${name}.${column.name}`));
+                for (let row = 0; row < category.rowCount; row++) {
+                    lines.push(columns.map(column => value(column, row)).join(' '));
+                }
+            }
+            lines.push('#');
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+module.exports = { decodeMessagePack, isBinaryCIF, binaryCIFToText };
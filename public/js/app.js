@@ -30,6 +30,11 @@ class ProteinViewer {
         // Initialize protein renderer
         this.renderer = new ProteinRenderer(this.scene, this.camera);
 
+        // Sequence bar above the console, kept in sync by the renderer
+        this.renderer.sequenceViewer = new SequenceViewer(document.getElementById('sequenceViewer'), {
+            onSelect: (proteinData, residues, add) => this.selectSequenceRange(proteinData, residues, add)
+        });
+
         // Setup event handlers
         this.setupEventHandlers();
 
@@ -224,6 +229,13 @@ class ProteinViewer {
                 return;
             }
 
+            // Page Down / Page Up step through scenes, as in PyMOL
+            if ((e.key === 'PageDown' || e.key === 'PageUp') && this.renderer && this.renderer.scenes.size > 0) {
+                this.sceneCommand([e.key === 'PageDown' ? 'next' : 'prev']);
+                e.preventDefault();
+                return;
+            }
+
             // Don't interfere with special keys (arrows, etc.) when console already has focus
             if (document.activeElement === commandInput) {
                 return; // Let console handle it normally
@@ -242,6 +254,50 @@ class ProteinViewer {
                 this.renderer.updateLOD();
             }
         });
+
+        this.setupPicking();
+    }
+
+    // Hovering an atom shows a tooltip; clicking (without dragging) toggles it in "sele"
+    setupPicking() {
+        let hoverPending = false;
+        let lastPointer = null;
+
+        this.scene.onPointerObservable.add((pointerInfo) => {
+            const event = pointerInfo.event;
+
+            if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERMOVE) {
+                // No tooltips while rotating or panning; pick at most once per frame
+                if (event.buttons) {
+                    this.renderer.hidePickTooltip();
+                    return;
+                }
+                lastPointer = { x: this.scene.pointerX, y: this.scene.pointerY, clientX: event.clientX, clientY: event.clientY };
+                if (hoverPending) return;
+                hoverPending = true;
+                requestAnimationFrame(() => {
+                    hoverPending = false;
+                    const picked = this.renderer.pickAtom(lastPointer.x, lastPointer.y);
+                    if (picked) {
+                        this.renderer.showPickTooltip(this.renderer.formatPickedAtom(picked), lastPointer.clientX, lastPointer.clientY);
+                        this.renderer.sequenceViewer.highlightAtom(picked.proteinData, picked.atom);
+                    } else {
+                        this.renderer.hidePickTooltip();
+                        this.renderer.sequenceViewer.highlightAtom(null, null);
+                    }
+                });
+            } else if (pointerInfo.type === BABYLON.PointerEventTypes.POINTERTAP && event.button === 0) {
+                const picked = this.renderer.pickAtom(this.scene.pointerX, this.scene.pointerY);
+                if (!picked) return;
+
+                const added = this.renderer.togglePickedAtom(picked);
+                const sele = this.renderer.getNamedSelections().find(selection => selection.name === 'sele');
+                const count = sele ? sele.atomCount : 0;
+                this.addToConsole(`${added ? 'Picked' : 'Unpicked'} ${this.renderer.formatMeasuredAtom(picked)} (sele: ${count} atoms)`, 'output');
+            }
+        });
+
+        this.canvas.addEventListener('pointerleave', () => this.renderer.hidePickTooltip());
     }
 
 
@@ -281,8 +337,9 @@ class ProteinViewer {
     }
 
     async handleFileUpload(file) {
-        if (!file || !file.name.toLowerCase().endsWith('.pdb')) {
-            this.renderer.showError('Please select a valid PDB file');
+        // The server detects the format from the content (and decompresses gzip)
+        if (!file || !/\.(pdb|ent|cif|mmcif|bcif)(\.gz)?$/i.test(file.name)) {
+            this.renderer.showError('Please select a PDB, mmCIF or BinaryCIF file (optionally gzipped)');
             return;
         }
 
@@ -332,6 +389,12 @@ class ProteinViewer {
             case 'cartoon':
                 currentState = this.renderer.showCartoon;
                 break;
+            case 'putty':
+                currentState = this.renderer.showPutty;
+                break;
+            case 'surface':
+                currentState = this.renderer.showSurface;
+                break;
             case 'backbone':
                 currentState = this.renderer.showBackbone;
                 break;
@@ -380,56 +443,620 @@ class ProteinViewer {
     }
 
     setBackgroundColor(colorArg) {
-        let color;
+        const color = this.parseColor(colorArg);
+        if (!color) {
+            this.addToConsole(`Unknown color: ${colorArg}. Use a color name (black, white, darkblue, ...), #rrggbb or r,g,b values`, 'error');
+            return;
+        }
 
-        // Parse common color names
-        switch (colorArg.toLowerCase()) {
-            case 'black':
-                color = new BABYLON.Color3(0, 0, 0);
-                break;
-            case 'white':
-                color = new BABYLON.Color3(1, 1, 1);
-                break;
-            case 'gray':
-            case 'grey':
-                color = new BABYLON.Color3(0.5, 0.5, 0.5);
-                break;
-            case 'blue':
-                color = new BABYLON.Color3(0, 0, 1);
-                break;
-            case 'red':
-                color = new BABYLON.Color3(1, 0, 0);
-                break;
-            case 'green':
-                color = new BABYLON.Color3(0, 1, 0);
-                break;
-            case 'darkblue':
-                color = new BABYLON.Color3(0.1, 0.1, 0.15);
-                break;
-            default:
-                // Try to parse as RGB values (e.g., "0.5,0.2,0.8" or "128,64,192")
-                const rgbMatch = colorArg.match(/^(\d*\.?\d+),\s*(\d*\.?\d+),\s*(\d*\.?\d+)$/);
-                if (rgbMatch) {
-                    let r = parseFloat(rgbMatch[1]);
-                    let g = parseFloat(rgbMatch[2]);
-                    let b = parseFloat(rgbMatch[3]);
-
-                    // If values are > 1, assume they're in 0-255 range
-                    if (r > 1 || g > 1 || b > 1) {
-                        r /= 255;
-                        g /= 255;
-                        b /= 255;
+        this.scene.clearColor = color;
+        this.addToConsole(`Background color set to ${colorArg}`, 'success');
+    }
+
+    // Parse a color name, hex value or r,g,b triple into a BABYLON.Color3 (null if unknown)
+    parseColor(colorArg) {
+        return ColorTable.parse(colorArg);
+    }
+
+    // show/hide a representation for a selection, e.g. "show sticks, chain A and resi 60-80"
+    async setRepresentationForSelection(type, selection, visible) {
+        try {
+            const results = await this.renderer.setRepresentationForSelection(type, selection, visible);
+            const count = this.renderer.countSelectedAtoms(results);
+            if (count === 0) {
+                this.addToConsole(`Selection "${selection}" matched no atoms`, 'error');
+                return;
+            }
+            const action = visible ? 'shown' : 'hidden';
+            this.addToConsole(`${type.charAt(0).toUpperCase() + type.slice(1)} ${action} for ${count} atoms in ${results.length} protein(s)`, 'success');
+        } catch (error) {
+            this.addToConsole(`Selection error: ${error.message}`, 'error');
+        }
+    }
+
+    colorCommand(args) {
+        if (args.length === 0) {
+            this.addToConsole('Usage: color [color|palette|scheme][, selection]', 'error');
+            return;
+        }
+
+        const colorArg = args[0];
+        const selection = args[1] || 'all';
+        const schemes = ['secondary', 'chain', 'rainbow', 'uniform'];
+
+        // Global color schemes apply to every cartoon
+        if (schemes.includes(colorArg.toLowerCase()) && args.length === 1) {
+            this.changeColorScheme(colorArg.toLowerCase());
+            this.addToConsole(`Color scheme set to ${colorArg.toLowerCase()}`, 'success');
+            return;
+        }
+
+        const isPalette = ColorTable.isPalette(colorArg);
+        const color = isPalette ? null : this.parseColor(colorArg);
+        if (!isPalette && !color) {
+            this.addToConsole(`Unknown color: ${colorArg}. Use a color name, #rrggbb, r,g,b or a palette (${ColorTable.palettes.join(', ')})`, 'error');
+            return;
+        }
+
+        try {
+            const results = isPalette
+                ? this.renderer.colorSelectionByPalette(colorArg.toLowerCase(), selection)
+                : this.renderer.colorSelection(color, selection);
+            const count = this.renderer.countSelectedAtoms(results);
+            if (count === 0) {
+                this.addToConsole(`Selection "${selection}" matched no atoms`, 'error');
+            } else {
+                this.addToConsole(`Colored ${count} atoms ${colorArg}`, 'success');
+            }
+        } catch (error) {
+            this.addToConsole(`Selection error: ${error.message}`, 'error');
+        }
+    }
+
+    // spectrum [property[, palette[, selection]]][, minimum=N][, maximum=N]
+    spectrumCommand(args) {
+        const positional = [];
+        const options = {};
+
+        for (const arg of args) {
+            const keyword = arg.match(/^(minimum|maximum|palette|selection)\s*=\s*(.+)$/i);
+            if (keyword) {
+                options[keyword[1].toLowerCase()] = keyword[2].trim();
+            } else if (arg !== '') {
+                positional.push(arg);
+            }
+        }
+
+        const property = (positional[0] || 'b').toLowerCase();
+        let palette = options.palette || null;
+        let selection = options.selection || 'all';
+
+        // The second argument may be skipped: "spectrum b, chain A"
+        if (positional.length >= 3) {
+            palette = palette || positional[1];
+            selection = options.selection || positional[2];
+        } else if (positional.length === 2) {
+            if (ColorTable.isSpectrumPalette(positional[1])) {
+                palette = palette || positional[1];
+            } else {
+                selection = options.selection || positional[1];
+            }
+        }
+
+        const minimum = options.minimum !== undefined ? parseFloat(options.minimum) : null;
+        const maximum = options.maximum !== undefined ? parseFloat(options.maximum) : null;
+        if (Number.isNaN(minimum) || Number.isNaN(maximum)) {
+            this.addToConsole('minimum and maximum must be numbers', 'error');
+            return;
+        }
+
+        try {
+            const result = this.renderer.spectrum(property, palette && palette.toLowerCase(), selection, minimum, maximum);
+            const count = this.renderer.countSelectedAtoms(result.results);
+            if (count === 0) {
+                this.addToConsole(`Selection "${selection}" matched no atoms`, 'error');
+            } else {
+                this.addToConsole(`Spectrum ${result.property} (${result.palette}): ${count} atoms, range ${result.minimum} to ${result.maximum}`, 'success');
+            }
+        } catch (error) {
+            this.addToConsole(`Spectrum error: ${error.message}`, 'error');
+        }
+    }
+
+    // color_by potential[, minimum][, maximum] - limits in kT/e, also as minimum=/maximum=
+    async colorByCommand(args) {
+        const positional = [];
+        const options = {};
+
+        for (const arg of args) {
+            const keyword = arg.match(/^(minimum|maximum)\s*=\s*(.+)$/i);
+            if (keyword) {
+                options[keyword[1].toLowerCase()] = keyword[2].trim();
+            } else if (arg !== '') {
+                positional.push(arg);
+            }
+        }
+
+        const property = (positional[0] || '').toLowerCase();
+        if (property !== 'potential') {
+            this.addToConsole('Usage: color_by potential[, minimum][, maximum]', 'error');
+            return;
+        }
+
+        const minimum = parseFloat(options.minimum !== undefined ? options.minimum : (positional[1] || '-5'));
+        const maximum = parseFloat(options.maximum !== undefined ? options.maximum : (positional[2] || String(Math.abs(minimum))));
+        if (Number.isNaN(minimum) || Number.isNaN(maximum)) {
+            this.addToConsole('minimum and maximum must be numbers', 'error');
+            return;
+        }
+
+        try {
+            this.addToConsole('Computing electrostatic potential...', 'output');
+            const count = await this.renderer.colorSurfacesByPotential(minimum, maximum);
+            this.addToConsole(`Surface potential of ${count} protein(s) colored from ${minimum} (red) to ${maximum} (blue) kT/e`, 'success');
+        } catch (error) {
+            this.addToConsole(`Potential error: ${error.message}`, 'error');
+        }
+    }
+
+    selectCommand(name, selection) {
+        try {
+            const results = this.renderer.createNamedSelection(name, selection);
+            const count = this.renderer.countSelectedAtoms(results);
+            this.addToConsole(`Selection "${name}" defined with ${count} atoms in ${results.length} protein(s)`, 'success');
+        } catch (error) {
+            this.addToConsole(`Selection error: ${error.message}`, 'error');
+        }
+    }
+
+    // PyMOL-style delete: named selections first, then measurements, then proteins
+    deleteCommand(name) {
+        if (name === 'all') {
+            this.renderer.clearAllProteins();
+            this.addToConsole('All proteins and selections deleted', 'success');
+        } else if (this.renderer.deleteNamedSelection(name)) {
+            this.addToConsole(`Selection "${name}" deleted`, 'success');
+        } else if (name === 'measurements') {
+            this.renderer.deleteMeasurement('all');
+            this.addToConsole('All measurements deleted', 'success');
+        } else if (this.renderer.deleteMeasurement(name)) {
+            this.addToConsole(`Measurement "${name}" deleted`, 'success');
+        } else if (this.renderer.removeProtein(name)) {
+            this.addToConsole(`Protein ${name} deleted`, 'success');
+        } else {
+            this.addToConsole(`No selection, measurement or protein named "${name}"`, 'error');
+        }
+    }
+
+    // distance/angle/dihedral [name,] sel1, sel2[, sel3[, sel4]]; without
+    // selections the atoms picked into "sele" are used
+    measureCommand(type, args) {
+        const counts = { distance: 2, angle: 3, dihedral: 4 };
+        const name = args.length === counts[type] + 1 ? args[0] : null;
+        const expressions = name ? args.slice(1) : args;
+
+        try {
+            const measurement = this.renderer.measure(type, expressions, name);
+            this.addToConsole(`${measurement.name}: ${this.renderer.formatMeasurement(measurement)}`, 'success');
+        } catch (error) {
+            this.addToConsole(`${type.charAt(0).toUpperCase() + type.slice(1)} error: ${error.message}`, 'error');
+        }
+    }
+
+    // measurements - list; measurements export [file.csv] - download as CSV
+    measurementsCommand(args) {
+        const measurements = this.renderer.measurements;
+        if (measurements.length === 0) {
+            this.addToConsole('No measurements', 'output');
+            return;
+        }
+
+        if (args[0] && args[0].toLowerCase() === 'export') {
+            let filename = args[1] || 'measurements.csv';
+            if (!/\.csv$/i.test(filename)) filename += '.csv';
+            this.downloadBlob(new Blob([this.renderer.exportMeasurementsCSV()], { type: 'text/csv' }), filename);
+            this.addToConsole(`Exported ${measurements.length} measurements to ${filename}`, 'success');
+            return;
+        }
+
+        this.addToConsole(`Measurements (${measurements.length}):`, 'output');
+        measurements.forEach(measurement => {
+            this.addToConsole(`  ${measurement.name.padEnd(10)} ${this.renderer.formatMeasurement(measurement)}`, 'output');
+        });
+    }
+
+    // Residues clicked or dragged in the sequence viewer go into "sele"
+    selectSequenceRange(proteinData, residues, add) {
+        const count = this.renderer.selectResidues(proteinData, residues, add);
+        const first = residues[0];
+        const last = residues[residues.length - 1];
+        const range = first === last
+            ? `${first.resName}${first.resSeq}`
+            : `${first.resName}${first.resSeq}-${last.resName}${last.resSeq}`;
+        this.addToConsole(`${add ? 'Added' : 'Selected'} ${proteinData.filename} chain ${first.chainId || '-'} ${range} (sele: ${count} atoms)`, 'output');
+    }
+
+    // align mobile, target[, cycles=N][, cutoff=N] - sequence-paired CA superposition
+    async alignCommand(args) {
+        const options = {};
+        const positional = [];
+        for (const arg of args) {
+            const keyword = arg.match(/^(cycles|cutoff)\s*=\s*(.+)$/i);
+            if (keyword) {
+                options[keyword[1].toLowerCase()] = parseFloat(keyword[2]);
+            } else {
+                positional.push(arg);
+            }
+        }
+
+        if (positional.length !== 2 || Object.values(options).some(value => isNaN(value) || value < 0)) {
+            this.addToConsole('Usage: align mobile, target[, cycles=5][, cutoff=2.0]', 'error');
+            return;
+        }
+
+        try {
+            const result = await this.renderer.alignProteins(positional[0], positional[1], options);
+            this.addToConsole(`Aligned ${result.mobile} to ${result.target}: RMSD ${result.rmsd.toFixed(3)} Å over ${result.count} atoms`, 'success');
+            this.addToConsole(`  Before outlier rejection: RMSD ${result.initialRmsd.toFixed(3)} Å over ${result.initialCount} atoms, ` +
+                `${(result.identity * 100).toFixed(1)}% sequence identity`, 'output');
+        } catch (error) {
+            this.addToConsole(`Align error: ${error.message}`, 'error');
+        }
+    }
+
+    // tmalign mobile, target - structure-based superposition with TM-score
+    async tmAlignCommand(args) {
+        if (args.length !== 2) {
+            this.addToConsole('Usage: tmalign mobile, target', 'error');
+            return;
+        }
+
+        try {
+            const result = await this.renderer.tmAlignProteins(args[0], args[1]);
+            this.addToConsole(`TM-aligned ${result.mobile} to ${result.target}: TM-score ${result.tmScore.toFixed(4)}`, 'success');
+            this.addToConsole(`  TM-score ${result.tmScore.toFixed(4)} normalized by ${result.target} (${result.targetLength} residues), ` +
+                `${result.tmScoreMobile.toFixed(4)} by ${result.mobile} (${result.mobileLength} residues)`, 'output');
+            this.addToConsole(`  Aligned length ${result.alignedLength}, RMSD ${result.rmsd.toFixed(2)} Å, ` +
+                `sequence identity ${(result.identity * 100).toFixed(1)}%`, 'output');
+        } catch (error) {
+            this.addToConsole(`TM-align error: ${error.message}`, 'error');
+        }
+    }
+
+    // label <selection>, <expression> - e.g. label name CA and resi 70, "%s%s" % (resn, resi);
+    // without an expression the selection's labels are removed
+    labelCommand(args) {
+        if (!args[0]) {
+            this.addToConsole('Usage: label [selection], [expression] (e.g. "label name CA, resn + resi")', 'error');
+            return;
+        }
+
+        const expression = args.slice(1).join(', ');
+        try {
+            const count = this.renderer.labelSelection(args[0], expression);
+            if (count === 0) {
+                this.addToConsole(`Selection "${args[0]}" matched no atoms`, 'error');
+            } else {
+                this.addToConsole(expression ? `Labeled ${count} atoms` : `Removed labels from ${count} atoms`, 'success');
+            }
+        } catch (error) {
+            this.addToConsole(`Label error: ${error.message}`, 'error');
+        }
+    }
+
+    // set label_size N | label_color color | label_offset x y
+    setLabelSetting(name, values) {
+        try {
+            if (name === 'label_size') {
+                this.renderer.setLabelSettings({ size: parseFloat(values[0]) });
+            } else if (name === 'label_color') {
+                const color = this.parseColor(values.join(' '));
+                if (!color) {
+                    this.addToConsole(`Unknown color: ${values.join(' ')}`, 'error');
+                    return;
+                }
+                this.renderer.setLabelSettings({ color: color.toHexString() });
+            } else {
+                this.renderer.setLabelSettings({ offset: { x: parseFloat(values[0]), y: parseFloat(values[1]) } });
+            }
+            this.addToConsole(`${name} set to ${values.join(' ')}`, 'success');
+        } catch (error) {
+            this.addToConsole(error.message, 'error');
+        }
+    }
+
+    // scene store|recall|delete [name], scene next|prev, scene list. The PyMOL
+    // order "scene name, store|recall|delete" also works; "scene name" recalls.
+    async sceneCommand(args) {
+        const actions = ['store', 'recall', 'delete', 'next', 'prev', 'previous', 'list'];
+        let action;
+        let name;
+        if (args.length >= 2 && actions.includes(args[1].toLowerCase())) {
+            [name, action] = args;
+        } else if (args.length >= 2) {
+            [action, name] = args;
+        } else {
+            const words = (args[0] || 'list').split(/\s+/);
+            if (actions.includes(words[0].toLowerCase())) {
+                [action, name] = words;
+            } else {
+                [action, name] = ['recall', words[0]];
+            }
+        }
+        action = action.toLowerCase();
+        const position = (sceneName) => `${[...this.renderer.scenes.keys()].indexOf(sceneName) + 1}/${this.renderer.scenes.size}`;
+
+        try {
+            switch (action) {
+                case 'store':
+                    if (!name) throw new Error('Usage: scene store [name]');
+                    this.renderer.storeScene(name);
+                    this.addToConsole(`Scene ${name} stored (${position(name)})`, 'success');
+                    break;
+
+                case 'recall':
+                case 'next':
+                case 'prev':
+                case 'previous': {
+                    const target = action === 'recall' ? name : this.renderer.getAdjacentScene(action === 'next' ? 1 : -1);
+                    if (!target) throw new Error(action === 'recall' ? 'Usage: scene recall [name]' : 'No scenes stored');
+                    this.addToConsole(`Scene ${target} (${position(target)})`, 'success');
+                    await this.renderer.recallScene(target);
+                    break;
+                }
+
+                case 'delete':
+                    if (!name) throw new Error('Usage: scene delete [name|all]');
+                    if (!this.renderer.deleteScene(name)) throw new Error(`Scene not found: ${name}`);
+                    this.addToConsole(name === 'all' ? 'All scenes deleted' : `Scene ${name} deleted`, 'success');
+                    break;
+
+                case 'list': {
+                    const scenes = [...this.renderer.scenes.keys()];
+                    if (scenes.length === 0) {
+                        this.addToConsole('No scenes stored', 'output');
+                        break;
                     }
+                    this.addToConsole(`Scenes (${scenes.length}):`, 'output');
+                    scenes.forEach((sceneName, index) => {
+                        const marker = sceneName === this.renderer.currentScene ? '*' : ' ';
+                        this.addToConsole(` ${marker}${index + 1}. ${sceneName}`, 'output');
+                    });
+                    break;
+                }
+
+                default:
+                    throw new Error('Usage: scene [name], store|recall|delete, scene next|prev, scene list');
+            }
+        } catch (error) {
+            this.addToConsole(`Scene error: ${error.message}`, 'error');
+        }
+    }
+
+    listSelections() {
+        const selections = this.renderer.getNamedSelections();
+        if (selections.length === 0) {
+            this.addToConsole('No named selections', 'output');
+            return;
+        }
+
+        this.addToConsole(`Named selections (${selections.length}):`, 'output');
+        selections.forEach(sel => {
+            this.addToConsole(`  ${sel.name.padEnd(16)} ${String(sel.atomCount).padStart(6)} atoms  (${sel.proteins.join(', ')})`, 'output');
+        });
+    }
+
+    // interactions <ligand>[, cutoff] - ligand is a residue name or a selection;
+    // may be omitted when only one ligand is loaded
+    interactionsCommand(args) {
+        let expression = args[0];
+        const cutoff = args[1] !== undefined ? parseFloat(args[1]) : 5.0;
+        if (isNaN(cutoff) || cutoff <= 0) {
+            this.addToConsole('Cutoff must be a positive distance in Å', 'error');
+            return;
+        }
+
+        if (!expression) {
+            const ligands = this.renderer.findLigands('ligand');
+            if (ligands.length !== 1) {
+                this.addToConsole('Usage: interactions [ligand][, cutoff] (ligand residue name or selection)', 'error');
+                return;
+            }
+            expression = ligands[0].ligand.resName;
+        }
 
-                    color = new BABYLON.Color3(r, g, b);
+        try {
+            const results = this.renderer.analyzeInteractions(expression, cutoff);
+            const names = InteractionAnalyzer.typeNames;
+            const atomLabel = (atoms) => atoms.length > 1 ? `ring ${atoms[0].name}` : atoms[0].name;
+
+            for (const { proteinData, ligand, pocketResidues, interactions } of results) {
+                this.addToConsole(`${ligand.resName} ${ligand.chainId} ${ligand.resSeq} (${proteinData.filename}): ` +
+                    `${pocketResidues.length} residues within ${cutoff} Å, ${interactions.length} interactions`, 'success');
+                this.addToConsole(`  Pocket: ${pocketResidues.map(r => `${r.resName}${r.resSeq}${r.chainId}`).join(' ')}`, 'output');
+
+                interactions.forEach(interaction => {
+                    const residue = interaction.residue;
+                    this.addToConsole(
+                        `  ${names[interaction.type].padEnd(12)} ${atomLabel(interaction.ligandAtoms).padEnd(8)} - ` +
+                        `${residue.resName} ${residue.resSeq} ${residue.chainId} ${atomLabel(interaction.partnerAtoms).padEnd(8)} ` +
+                        `${interaction.distance.toFixed(2)} Å${interaction.detail ? `  (${interaction.detail})` : ''}`,
+                        'output'
+                    );
+                });
+            }
+            this.addToConsole('Pocket residues saved as selection "pocket"', 'output');
+        } catch (error) {
+            this.addToConsole(`Interactions error: ${error.message}`, 'error');
+        }
+    }
+
+    // Reassign secondary structure from backbone H-bonds (DSSP) and redraw
+    async dssCommand(selection) {
+        try {
+            const summaries = await this.renderer.reassignSecondaryStructure(selection);
+            if (summaries.length === 0) {
+                this.addToConsole('No proteins to assign', 'error');
+                return;
+            }
+            summaries.forEach(s => {
+                this.addToConsole(`DSS ${s.filename}: ${s.helix} helix, ${s.sheet} sheet, ${s.coil} coil residues`, 'success');
+            });
+        } catch (error) {
+            this.addToConsole(`DSS failed: ${error.message}`, 'error');
+        }
+    }
+
+    // Show or change the current coordinate state (1-based, like PyMOL)
+    async stateCommand(stateArg) {
+        const stateCount = this.renderer.getStateCount();
+
+        if (stateArg === undefined || stateArg === '') {
+            this.addToConsole(`State ${this.renderer.currentState + 1} of ${stateCount}`, 'output');
+            return;
+        }
+
+        const state = parseInt(stateArg);
+        if (isNaN(state)) {
+            this.addToConsole('Usage: state [number]', 'error');
+            return;
+        }
+
+        try {
+            await this.renderer.stopStates();
+            await this.renderer.setState(state - 1);
+            this.addToConsole(`State ${state} of ${stateCount}`, 'success');
+        } catch (error) {
+            this.addToConsole(`State error: ${error.message}`, 'error');
+        }
+    }
+
+    playStatesCommand() {
+        const stateCount = this.renderer.getStateCount();
+        if (stateCount < 2) {
+            this.addToConsole('Nothing to play: loaded proteins have a single state', 'error');
+            return;
+        }
+
+        this.renderer.playStates();
+        this.addToConsole(`Playing ${stateCount} states at ${this.renderer.stateSpeed} states/s (mstop to stop)`, 'success');
+    }
+
+    async setSurfaceSetting(name, valueArg) {
+        const value = parseFloat(valueArg);
+        const setting = name === 'solvent_radius' ? 'probeRadius' : 'resolution';
+
+        try {
+            await this.renderer.setSurfaceSettings({ [setting]: value });
+            this.addToConsole(`${name} set to ${value} Å`, 'success');
+        } catch (error) {
+            this.addToConsole(error.message, 'error');
+        }
+    }
+
+    async setPuttyTransform(transform) {
+        try {
+            await this.renderer.setPuttyTransform(transform);
+            this.addToConsole(`Putty scaling set to ${transform}`, 'success');
+        } catch (error) {
+            this.addToConsole(error.message, 'error');
+        }
+    }
+
+    setStateSpeed(speedArg) {
+        const speed = parseFloat(speedArg);
+        if (isNaN(speed) || speed <= 0 || speed > 60) {
+            this.addToConsole('Usage: set state_speed [states per second, 0-60]', 'error');
+            return;
+        }
+
+        this.renderer.setStateSpeed(speed);
+        this.addToConsole(`State playback speed set to ${speed} states/s`, 'success');
+    }
+
+    // Stream a trajectory onto a loaded protein. Multi-model PDB trajectories
+    // bring their own topology (first model) when no protein is named.
+    async loadTrajectory(name, proteinName) {
+        try {
+            this.addToConsole(`Opening trajectory ${name}...`, 'output');
+            const trajectory = await TrajectoryStream.open(name);
+
+            let target = proteinName;
+            if (!target) {
+                if (trajectory.topology) {
+                    await this.renderer.addProtein(trajectory.topology, trajectory.filename, false);
+                    target = trajectory.filename;
                 } else {
-                    this.addToConsole(`Unknown color: ${colorArg}. Use: black, white, gray, blue, red, green, darkblue, or r,g,b values`, 'error');
-                    return;
+                    // XYZ frames have no topology; use the most recently loaded protein
+                    const proteins = this.renderer.getLoadedProteins();
+                    if (proteins.length === 0) {
+                        throw new Error('XYZ trajectories need a loaded protein (load_traj file.xyz, protein)');
+                    }
+                    target = proteins[proteins.length - 1];
                 }
+            }
+
+            this.renderer.attachTrajectory(target, trajectory);
+            await this.renderer.setFrame(0);
+            this.addToConsole(`Loaded ${trajectory.frameCount} frames of ${trajectory.filename} onto ${target}`, 'success');
+        } catch (error) {
+            console.error('Error loading trajectory:', error);
+            this.addToConsole(`Failed to load trajectory ${name}: ${error.message}`, 'error');
         }
+    }
 
-        this.scene.clearColor = color;
-        this.addToConsole(`Background color set to ${colorArg}`, 'success');
+    // Show or change the current trajectory frame (1-based)
+    async frameCommand(frameArg) {
+        const frameCount = this.renderer.getFrameCount();
+        if (frameCount === 0) {
+            this.addToConsole('No trajectory loaded (use load_traj)', 'error');
+            return;
+        }
+
+        if (frameArg === undefined || frameArg === '') {
+            this.addToConsole(`Frame ${this.renderer.currentFrame + 1} of ${frameCount}`, 'output');
+            return;
+        }
+
+        const frame = parseInt(frameArg);
+        if (isNaN(frame)) {
+            this.addToConsole('Usage: frame [number]', 'error');
+            return;
+        }
+
+        try {
+            await this.renderer.stopFrames();
+            await this.renderer.setFrame(frame - 1);
+            this.addToConsole(`Frame ${frame} of ${frameCount}`, 'success');
+        } catch (error) {
+            this.addToConsole(`Frame error: ${error.message}`, 'error');
+        }
+    }
+
+    playFramesCommand() {
+        const frameCount = this.renderer.getFrameCount();
+        if (frameCount === 0) {
+            this.addToConsole('No trajectory loaded (use load_traj)', 'error');
+            return;
+        }
+
+        this.renderer.playFrames();
+        this.addToConsole(`Playing ${frameCount} frames at ${this.renderer.stateSpeed} frames/s (stop to stop)`, 'success');
+    }
+
+    // center/zoom on a selection (whole scene when no selection given)
+    focusSelection(selection, zoom) {
+        try {
+            const results = this.renderer.centerOnSelection(selection, zoom);
+            const count = this.renderer.countSelectedAtoms(results);
+            if (count === 0) {
+                this.addToConsole(`Selection "${selection}" matched no atoms`, 'error');
+            } else {
+                this.addToConsole(`${zoom ? 'Zoomed' : 'Centered'} on ${count} atoms`, 'success');
+            }
+        } catch (error) {
+            this.addToConsole(`Selection error: ${error.message}`, 'error');
+        }
     }
 
     toggleFullscreen() {
@@ -446,20 +1073,266 @@ class ProteinViewer {
 
         try {
             const blob = await this.renderer.exportImage();
-            const url = URL.createObjectURL(blob);
+            this.downloadBlob(blob, 'protein-structure.png');
+        } catch (error) {
+            console.error('Error exporting image:', error);
+            this.renderer.showError('Failed to export image');
+        }
+    }
+
+    // png file[, width=][, height=][, dpi=][, ray=1] - also positional as in PyMOL:
+    // png file, width, height, dpi, ray. Sizes are pixels or lengths (8.5cm, 3.3in,
+    // 80mm) at the dpi. ray=1 averages 8 jittered samples and adds ambient occlusion;
+    // samples=, ao= and transparent=1 set those individually.
+    async pngCommand(args) {
+        const positionalKeys = ['width', 'height', 'dpi', 'ray'];
+        const knownKeys = [...positionalKeys, 'samples', 'ao', 'transparent'];
+        const usage = 'Usage: png [file][, width=][, height=][, dpi=][, ray=0|1][, samples=N][, ao=0|1][, transparent=0|1]';
+        const options = {};
+
+        for (let i = 1; i < args.length; i++) {
+            const keyword = args[i].match(/^(\w+)\s*=\s*(.+)$/);
+            const key = keyword ? keyword[1].toLowerCase() : positionalKeys[i - 1];
+            if (!key || !knownKeys.includes(key)) {
+                this.addToConsole(usage, 'error');
+                return;
+            }
+            options[key] = keyword ? keyword[2].trim() : args[i];
+        }
+
+        let filename = args[0] || 'image.png';
+        if (!/\.png$/i.test(filename)) filename += '.png';
 
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = 'protein-structure.png';
-            link.click();
+        const flag = (value, fallback) => (value === undefined ? fallback : !['0', 'off', 'false'].includes(value.toLowerCase()));
+        const ray = flag(options.ray, false);
+
+        try {
+            // Lengths with units need a resolution; 300 dpi unless given
+            const usesUnits = [options.width, options.height].some(value => value && /[a-z]$/i.test(value) && !/px$/i.test(value));
+            const dpi = options.dpi !== undefined ? parseFloat(options.dpi) : (usesUnits ? 300 : null);
+            if (dpi !== null && !(dpi > 0)) {
+                throw new Error(`Invalid dpi: ${options.dpi}`);
+            }
+
+            // A missing width or height follows the window's aspect ratio
+            const aspect = this.engine.getRenderWidth() / this.engine.getRenderHeight();
+            let width = options.width !== undefined ? ImageExporter.parseLength(options.width, dpi) : null;
+            let height = options.height !== undefined ? ImageExporter.parseLength(options.height, dpi) : null;
+            if (width === null && height === null) {
+                width = this.engine.getRenderWidth();
+                height = this.engine.getRenderHeight();
+            } else if (width === null) {
+                width = Math.round(height * aspect);
+            } else if (height === null) {
+                height = Math.round(width / aspect);
+            }
+
+            const samples = options.samples !== undefined ? parseInt(options.samples) : (ray ? 8 : 1);
+            if (!(samples >= 1 && samples <= 64)) {
+                throw new Error('samples must be between 1 and 64');
+            }
+            const ambientOcclusion = flag(options.ao, ray);
+            const transparent = flag(options.transparent, false);
 
-            URL.revokeObjectURL(url);
+            this.addToConsole(`Rendering ${filename} at ${width}x${height}` +
+                `${samples > 1 ? `, ${samples} samples` : ''}${ambientOcclusion ? ', ambient occlusion' : ''}${transparent ? ', transparent' : ''}...`, 'output');
+
+            const blob = await this.renderer.exportImage(width, height, { samples, ambientOcclusion, transparent, dpi });
+            this.downloadBlob(blob, filename);
+            this.addToConsole(`Saved ${filename} (${width}x${height} px${dpi ? `, ${dpi} dpi` : ''})`, 'success');
         } catch (error) {
             console.error('Error exporting image:', error);
-            this.renderer.showError('Failed to export image');
+            this.addToConsole(`PNG export failed: ${error.message}`, 'error');
+        }
+    }
+
+    // export [file].glb|.obj|.stl - download the shown meshes as a 3D model
+    exportCommand(args) {
+        const filename = args[0];
+        const format = filename && (filename.match(/\.(glb|obj|stl)$/i) || [])[1];
+        if (!format) {
+            this.addToConsole('Usage: export [file].glb|.obj|.stl (e.g., "export model.glb")', 'error');
+            return;
+        }
+
+        try {
+            const { data, groups, triangleCount } = this.renderer.exportModel(format.toLowerCase());
+            const type = { glb: 'model/gltf-binary', obj: 'model/obj', stl: 'model/stl' }[format.toLowerCase()];
+            this.downloadBlob(new Blob([data], { type }), filename);
+            this.addToConsole(`Exported ${filename} (${triangleCount} triangles: ` +
+                `${groups.map(group => `${group.name} ${group.triangles}`).join(', ')})`, 'success');
+        } catch (error) {
+            console.error('Error exporting model:', error);
+            this.addToConsole(`Model export failed: ${error.message}`, 'error');
         }
     }
 
+    // mset [frames] - movie length; PyMOL's "mset 1 x120" form also works
+    msetCommand(args) {
+        const spec = args.join(' ').trim();
+        if (!spec) {
+            this.addToConsole(`Movie length: ${this.renderer.movieLength} frames`, 'output');
+            return;
+        }
+
+        const match = spec.match(/^(?:1\s+)?x?(\d+)$/i);
+        try {
+            if (!match) throw new Error('Usage: mset [frames] (or mset 1 x[frames])');
+            this.renderer.setMovieLength(parseInt(match[1]));
+            this.addToConsole(`Movie length set to ${this.renderer.movieLength} frames`, 'success');
+        } catch (error) {
+            this.addToConsole(error.message, 'error');
+        }
+    }
+
+    // movie roll|rock|scenes [...], movie play|stop|clear, movie save [file] - see help
+    async movieCommand(args) {
+        // "movie rock 60, 45" and "movie rock, 60, 45" both give ['60', '45']
+        const [action = '', ...words] = (args[0] || '').split(/\s+/);
+        const params = [words.join(' '), ...args.slice(1)].filter((value, index) => index > 0 || value !== '');
+        const number = (value, name) => {
+            const parsed = parseFloat(value);
+            if (isNaN(parsed)) throw new Error(`Invalid ${name}: ${value}`);
+            return parsed;
+        };
+        const describe = () => {
+            const { type, angle } = this.renderer.movie;
+            return `${type}${type === 'rock' ? ` ${angle}°` : ''}, ${this.renderer.movieLength} frames`;
+        };
+
+        try {
+            if (['play', 'save'].includes(action.toLowerCase()) && !this.renderer.movie) {
+                throw new Error('No movie programmed; use movie roll, movie rock or movie scenes');
+            }
+
+            switch (action.toLowerCase()) {
+                case '':
+                case 'info':
+                    this.addToConsole(this.renderer.movie ? `Movie: ${describe()}` : 'No movie programmed (movie roll, movie rock or movie scenes)', 'output');
+                    break;
+
+                case 'roll':
+                case 'rock':
+                    this.renderer.setMovie(action.toLowerCase(), params[1] !== undefined ? number(params[1], 'angle') : 30);
+                    if (params[0] !== undefined) this.renderer.setMovieLength(number(params[0], 'frame count'));
+                    this.addToConsole(`Movie: ${describe()}`, 'success');
+                    break;
+
+                case 'scenes': {
+                    const sceneCount = this.renderer.scenes.size;
+                    this.renderer.setMovie('scenes');
+                    if (params[0] !== undefined) this.renderer.setMovieLength(number(params[0], 'frames per scene') * sceneCount);
+                    this.addToConsole(`Movie: ${describe()} touring ${sceneCount} scene(s)`, 'success');
+                    break;
+                }
+
+                case 'play': {
+                    const fps = params[0] !== undefined ? number(params[0], 'frame rate') : 30;
+                    if (!(fps > 0)) throw new Error(`Invalid frame rate: ${fps}`);
+                    const playing = this.renderer.previewMovie(fps);
+                    this.addToConsole(`Playing movie (${describe()}) at ${fps} fps (movie stop to stop)`, 'success');
+                    await playing;
+                    break;
+                }
+
+                case 'stop':
+                    await this.renderer.stopMovie();
+                    this.addToConsole('Movie stopped', 'success');
+                    break;
+
+                case 'clear':
+                    await this.renderer.clearMovie();
+                    this.addToConsole('Movie cleared', 'success');
+                    break;
+
+                case 'save':
+                    await this.movieSaveCommand(params);
+                    break;
+
+                default:
+                    throw new Error('Usage: movie roll|rock|scenes [frames], movie play|stop|clear, movie save [file].webm|.zip');
+            }
+        } catch (error) {
+            this.addToConsole(`Movie error: ${error.message}`, 'error');
+        }
+    }
+
+    // movie save [file].webm|.zip[, width=][, height=][, fps=][, samples=N]
+    async movieSaveCommand(args) {
+        const positionalKeys = ['width', 'height', 'fps'];
+        const knownKeys = [...positionalKeys, 'samples'];
+        const options = {};
+
+        for (let i = 1; i < args.length; i++) {
+            const keyword = args[i].match(/^(\w+)\s*=\s*(.+)$/);
+            const key = keyword ? keyword[1].toLowerCase() : positionalKeys[i - 1];
+            if (!key || !knownKeys.includes(key)) {
+                throw new Error('Usage: movie save [file].webm|.zip[, width=][, height=][, fps=30][, samples=N]');
+            }
+            options[key] = keyword ? keyword[2].trim() : args[i];
+        }
+
+        let filename = args[0] || 'movie.webm';
+        if (!/\.(webm|zip)$/i.test(filename)) filename += '.webm';
+        const format = filename.match(/\.(webm|zip)$/i)[1].toLowerCase();
+
+        const pixels = (value) => {
+            if (!/^\d+\s*(px)?$/i.test(value)) throw new Error(`Invalid movie size: ${value} (use pixels)`);
+            return parseInt(value);
+        };
+
+        // A missing width or height follows the window's aspect ratio
+        const aspect = this.engine.getRenderWidth() / this.engine.getRenderHeight();
+        let width = options.width !== undefined ? pixels(options.width) : null;
+        let height = options.height !== undefined ? pixels(options.height) : null;
+        if (width === null && height === null) {
+            width = this.engine.getRenderWidth();
+            height = this.engine.getRenderHeight();
+        } else if (width === null) {
+            width = Math.round(height * aspect);
+        } else if (height === null) {
+            height = Math.round(width / aspect);
+        }
+
+        const fps = options.fps !== undefined ? parseFloat(options.fps) : 30;
+        const samples = options.samples !== undefined ? parseInt(options.samples) : 1;
+        if (!(samples >= 1 && samples <= 64)) {
+            throw new Error('samples must be between 1 and 64');
+        }
+
+        const frameCount = this.renderer.movieLength;
+        this.addToConsole(`Rendering ${frameCount} frames of ${filename} at ${width}x${height}, ${fps} fps` +
+            `${samples > 1 ? `, ${samples} samples` : ''}...`, 'output');
+
+        // Progress in quarters; every frame would flood the console
+        let reported = 0;
+        const onProgress = (done, total) => {
+            const quarter = Math.floor(4 * done / total);
+            if (quarter > reported && done < total) {
+                reported = quarter;
+                this.addToConsole(`  ${done}/${total} frames`, 'output');
+            }
+        };
+
+        const prefix = filename.replace(/\.zip$/i, '');
+        const blob = await this.renderer.exportMovie(format, width, height, { fps, samples, prefix, onProgress });
+        this.downloadBlob(blob, filename);
+        this.addToConsole(`Saved ${filename} (${frameCount} frames, ${(frameCount / fps).toFixed(1)} s, ` +
+            `${(blob.size / 1048576).toFixed(1)} MB)`, 'success');
+    }
+
+    // Save a Blob through a temporary download link
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
 
     // Command History Management
     loadCommandHistory() {
@@ -573,6 +1446,9 @@ class ProteinViewer {
         const cmd = parts[0].toLowerCase();
         const args = parts.slice(1);
 
+        // PyMOL-style comma separated arguments, e.g. "show sticks, chain A and resi 60-80"
+        const argList = this.splitArguments(command.slice(parts[0].length));
+
         switch (cmd) {
             case 'help':
                 this.showHelp();
@@ -586,12 +1462,24 @@ class ProteinViewer {
                 break;
             case 'load':
             case 'open':
-                if (args.length > 0) {
+                if (args.length > 0 && /\.json$/i.test(args[0])) {
+                    this.loadSession(args[0]);
+                } else if (args.length > 0) {
                     this.loadProteinByName(args[0]);
                 } else {
-                    this.addToConsole('Usage: load/open [filename] (e.g., "open 1erm")', 'error');
+                    this.addToConsole('Usage: load/open [filename] (e.g., "open 1erm" or "load session.json")', 'error');
                 }
                 break;
+            case 'fetch':
+                if (args.length > 0) {
+                    this.fetchCommand(args);
+                } else {
+                    this.addToConsole('Usage: fetch [id ...] (e.g., "fetch 4hhb" or "fetch AF-P12345-F1")', 'error');
+                }
+                break;
+            case 'save':
+                this.saveCommand(argList);
+                break;
             case 'close':
                 if (args.length > 0) {
                     if (args[0] === 'all') {
@@ -610,6 +1498,99 @@ class ProteinViewer {
                     this.addToConsole('Usage: close all | close [filename] (e.g., "close all" or "close 1erm.pdb")', 'error');
                 }
                 break;
+            case 'select':
+                if (argList.length === 1) {
+                    this.selectCommand('sele', argList[0]);
+                } else if (argList.length >= 2) {
+                    this.selectCommand(argList[0], argList[1]);
+                } else {
+                    this.addToConsole('Usage: select [name,] [selection] (e.g., "select site, resi 64+69+70")', 'error');
+                }
+                break;
+            case 'delete':
+                if (argList.length > 0) {
+                    this.deleteCommand(argList[0]);
+                } else {
+                    this.addToConsole('Usage: delete [selection name|protein name|all]', 'error');
+                }
+                break;
+            case 'spectrum':
+                this.spectrumCommand(argList);
+                break;
+            case 'color_by':
+                this.colorByCommand(argList);
+                break;
+            case 'interactions':
+                this.interactionsCommand(argList);
+                break;
+            case 'distance':
+            case 'angle':
+            case 'dihedral':
+                this.measureCommand(cmd, argList);
+                break;
+            case 'measurements':
+                this.measurementsCommand(argList);
+                break;
+            case 'label':
+                this.labelCommand(argList);
+                break;
+            case 'align':
+                this.alignCommand(argList);
+                break;
+            case 'tmalign':
+                this.tmAlignCommand(argList);
+                break;
+            case 'png':
+                this.pngCommand(argList);
+                break;
+            case 'export':
+                this.exportCommand(argList);
+                break;
+            case 'mset':
+                this.msetCommand(args);
+                break;
+            case 'movie':
+                this.movieCommand(argList);
+                break;
+            case 'scene':
+                this.sceneCommand(argList);
+                break;
+            case 'scenes':
+                this.sceneCommand(['list']);
+                break;
+            case 'selections':
+                this.listSelections();
+                break;
+            case 'dss':
+                this.dssCommand(argList[0] || null);
+                break;
+            case 'load_traj':
+                if (argList.length > 0 && argList[0] !== '') {
+                    this.loadTrajectory(argList[0], argList[1] || null);
+                } else {
+                    this.addToConsole('Usage: load_traj [file][, protein] (e.g., "load_traj md.xyz, 1erm.pdb")', 'error');
+                }
+                break;
+            case 'frame':
+                this.frameCommand(args[0]);
+                break;
+            case 'play':
+                this.playFramesCommand();
+                break;
+            case 'stop':
+                this.renderer.stopFrames();
+                this.addToConsole(`Stopped at frame ${this.renderer.currentFrame + 1}`, 'success');
+                break;
+            case 'state':
+                this.stateCommand(args[0]);
+                break;
+            case 'mplay':
+                this.playStatesCommand();
+                break;
+            case 'mstop':
+                this.renderer.stopStates();
+                this.addToConsole(`Stopped at state ${this.renderer.currentState + 1}`, 'success');
+                break;
             case 'ls':
             case 'dir':
                 this.listFiles();
@@ -653,8 +1634,18 @@ class ProteinViewer {
                 this.addToConsole('Camera reset to default position', 'success');
                 break;
             case 'center':
-                this.centerStructure();
-                this.addToConsole('Structure centered', 'success');
+                if (argList.length > 0) {
+                    this.focusSelection(argList[0], false);
+                } else {
+                    this.centerStructure();
+                    this.addToConsole('Structure centered', 'success');
+                }
+                break;
+            case 'zoom':
+                this.focusSelection(argList[0] || 'all', true);
+                break;
+            case 'color':
+                this.colorCommand(argList);
                 break;
             case 'cartoon':
                 this.toggleRepresentation('cartoon');
@@ -669,29 +1660,60 @@ class ProteinViewer {
                 this.toggleRepresentation('spheres');
                 break;
             case 'show':
-                if (args.length > 0) {
-                    this.toggleRepresentation(args[0], true);
+                if (argList.length > 1) {
+                    this.setRepresentationForSelection(argList[0], argList[1], true);
+                } else if (args.length > 0) {
+                    this.toggleRepresentation(argList[0], true);
                 } else {
-                    this.addToConsole('Usage: show [cartoon|backbone|sticks|spheres]', 'error');
+                    this.addToConsole('Usage: show [cartoon|putty|surface|backbone|sticks|spheres][, selection]', 'error');
                 }
                 break;
             case 'hide':
-                if (args.length > 0) {
-                    this.toggleRepresentation(args[0], false);
+                if (argList.length === 1 && argList[0].toLowerCase() === 'legend') {
+                    this.renderer.hideSpectrumLegend();
+                    this.addToConsole('Legend hidden', 'success');
+                } else if (argList.length === 1 && argList[0].toLowerCase() === 'interactions') {
+                    this.renderer.clearInteractions();
+                    this.addToConsole('Interactions hidden', 'success');
+                } else if (argList[0] && argList[0].toLowerCase() === 'labels') {
+                    if (argList.length > 1) {
+                        this.labelCommand([argList[1]]);
+                    } else {
+                        this.addToConsole(`Removed ${this.renderer.clearLabels()} labels`, 'success');
+                    }
+                } else if (argList.length > 1) {
+                    this.setRepresentationForSelection(argList[0], argList[1], false);
+                } else if (args.length > 0) {
+                    this.toggleRepresentation(argList[0], false);
                 } else {
                     // Hide all representations (PyMOL style)
                     this.toggleRepresentation('cartoon', false);
+                    this.toggleRepresentation('putty', false);
                     this.toggleRepresentation('backbone', false);
                     this.toggleRepresentation('sticks', false);
                     this.toggleRepresentation('spheres', false);
+                    this.toggleRepresentation('surface', false);
+                    this.renderer.clearLabels();
                     this.addToConsole('All representations hidden', 'success');
                 }
                 break;
             case 'set':
                 if (args.length >= 2 && args[0].toLowerCase() === 'bgcolor') {
                     this.setBackgroundColor(args[1]);
+                } else if (args.length >= 2 && args[0].toLowerCase() === 'state_speed') {
+                    this.setStateSpeed(args[1]);
+                } else if (args.length >= 2 && args[0].toLowerCase() === 'putty_transform') {
+                    this.setPuttyTransform(args[1].toLowerCase());
+                } else if (args.length >= 2 && ['solvent_radius', 'surface_resolution'].includes(args[0].toLowerCase())) {
+                    this.setSurfaceSetting(args[0].toLowerCase(), args[1]);
+                } else if (args.length >= 2 && args[0].toLowerCase() === 'seq_view') {
+                    const visible = !['0', 'off', 'false'].includes(args[1].toLowerCase());
+                    this.renderer.sequenceViewer.setVisible(visible);
+                    this.addToConsole(`Sequence viewer ${visible ? 'shown' : 'hidden'}`, 'success');
+                } else if (args.length >= 2 && ['label_size', 'label_color', 'label_offset'].includes(args[0].toLowerCase())) {
+                    this.setLabelSetting(args[0].toLowerCase(), args.slice(1));
                 } else if (args.length < 2) {
-                    this.addToConsole('Usage: set bgColor [color]', 'error');
+                    this.addToConsole('Usage: set bgColor [color] | set state_speed [states/s] | set putty_transform [linear|quadratic|absolute] | set solvent_radius [Å] | set surface_resolution [Å] | set label_size [px] | set label_color [color] | set label_offset [x] [y] | set seq_view [0|1]', 'error');
                 } else {
                     this.addToConsole(`Unknown set command: ${args[0]}`, 'error');
                 }
@@ -701,38 +1723,171 @@ class ProteinViewer {
         }
     }
 
+    // Split a PyMOL-style argument string on commas, ignoring commas inside
+    // parentheses, brackets and quotes (e.g. "color [1,0.5,0], chain A")
+    splitArguments(argString) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+        let quote = null;
+        let previous = '';
+
+        for (const ch of argString) {
+            // A quote opens a string only at the start of a word, so atom names like C5' are left alone
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if ((ch === '"' || ch === "'") && /^[\s,(\[+%]?$/.test(previous)) {
+                quote = ch;
+            } else if (ch === '(' || ch === '[') {
+                depth++;
+            } else if (ch === ')' || ch === ']') {
+                depth = Math.max(0, depth - 1);
+            }
+
+            if (ch === ',' && depth === 0 && !quote) {
+                args.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+            previous = ch;
+        }
+
+        if (current.trim() !== '' || args.length > 0) {
+            args.push(current.trim());
+        }
+
+        return args;
+    }
+
     showHelp() {
         const commands = [
             'Available commands:',
-            '  ls / dir - List available PDB files',
-            '  load/open [name] - Load PDB file (e.g., "open 1erm")',
+            '  ls / dir - List available structure files (PDB, mmCIF and BinaryCIF, optionally gzipped)',
+            '  load/open [name] - Load PDB or mmCIF file (e.g., "open 1erm"; .cif/.mmcif files are read as mmCIF)',
             '  proteins / list - List currently loaded proteins',
             '  count - Show number of loaded proteins',
             '  close all - Remove all proteins',
             '  close [name] - Remove specific protein (e.g., "close 1erm.pdb")',
+            '  fetch [id ...] - Load by PDB ID or AlphaFold ID (e.g., "fetch 4hhb", "fetch AF-P12345-F1") from the server mirror or download',
+            '  save [file].pdb|.cif[, selection] - Download atoms at their current coordinates (data/[file] writes to the server)',
+            '    save data/[file].pdb[, selection], overwrite=1 - Replace an existing file in data/',
+            '  save [name].json - Download the session (structures, view, colors, selections, labels, measurements, scenes) as a file',
+            '  load [name].json - Restore a session from a local file (opens a file dialog), replacing what is loaded',
+            '    save/load sessions/[name].json - Store or restore the session on the server instead',
             '  clear console - Clear console display',
             '  help - Show this help message',
             '  history - Show command history',
             '  history clear - Clear saved command history',
             '  reset - Reset camera to default position',
-            '  center - Center structure in view',
-            '  set bgColor [color] - Set background color (black, white, gray, blue, red, green, darkblue, or r,g,b)',
+            '  center [selection] - Center structure (or selection) in view',
+            '  zoom [selection] - Zoom to fit everything (or a selection)',
+            '  set bgColor [color] - Set background color (color name, #rrggbb, or r,g,b)',
+            '',
+            'Images:',
+            '  png [file][, width=][, height=][, dpi=][, ray=1] - Save a PNG of any size (default: window size)',
+            '    sizes in pixels or lengths (8.5cm, 3.3in, 80mm; 300 dpi unless given); one size keeps the window aspect',
+            '    ray=1 - 8 jittered samples per pixel and ambient occlusion; or set samples=N, ao=0|1',
+            '    transparent=1 - Transparent background',
+            '',
+            'Movies:',
+            '  mset [frames] - Movie length in frames (default 120; "mset 1 x120" also works)',
+            '  movie roll[, frames] - One full turn around the vertical axis',
+            '  movie rock[, frames][, angle] - Swing the view back and forth (default 30 degrees each way)',
+            '  movie scenes[, frames per scene] - Tour the stored scenes in order, looping back to the first',
+            '  movie play[, fps] / movie stop - Preview the movie in the window',
+            '  movie save [file].webm|.zip[, width=][, height=][, fps=30][, samples=N] - Render every frame offscreen',
+            '    .webm - WebM video; .zip - numbered PNG files (file0001.png, ...)',
+            '  movie / movie clear - Show / remove the movie program',
+            '',
+            '3D models:',
+            '  export [file].glb|.obj|.stl - Save the shown cartoon, sticks, spheres, ligands, putty and surface meshes',
             '',
             'Representations (PyMOL style):',
             '  cartoon - Toggle cartoon ribbons',
+            '  show putty - B-factor putty tube (radius and color follow CA B-factors)',
+            '  set putty_transform [linear|quadratic|absolute] - Putty radius scaling',
+            '  show surface[, selection] - Solvent-excluded surface (polymer atoms by default), colored by nearest atom',
+            '  set solvent_radius [Å] - Surface probe radius (default 1.4)',
+            '  set surface_resolution [Å] - Surface grid spacing (default 0.5)',
+            '  color_by potential[, minimum][, maximum] - Color surfaces by Coulomb potential, red to blue (default -5 to 5 kT/e)',
             '  backbone - Toggle backbone trace',
             '  sticks - Toggle ball-and-stick model (atoms + bonds)',
             '  spheres - Toggle space-filling spheres (CPK radii)',
-            '  show [type] - Show specific representation',
-            '  hide [type] - Hide specific representation',
+            '  show [type][, selection] - Show specific representation',
+            '  hide [type][, selection] - Hide specific representation',
+            '  color [color][, selection] - Color atoms/cartoon, or set a scheme (secondary, chain, rainbow, uniform)',
+            '    colors: red, orange, slate, wheat, ... (PyMOL names), #ff8000, [1,0.5,0]',
+            '    palettes with a selection: rainbow, chain, ss, element (e.g. "color rainbow, chain A")',
+            '  spectrum [b|q|resi|plddt][, palette][, selection][, minimum=N][, maximum=N] - Color by property with a legend',
+            '    palettes: rainbow, blue_white_red, red_white_blue, blue_red, red_blue, green_white_magenta, yellow_red, white_black, plddt',
+            '  hide legend - Hide the spectrum legend',
+            '  dss [selection] - Reassign secondary structure of the selected residues from backbone H-bonds (DSSP) and redraw',
+            '',
+            'States and trajectories:',
+            '  state [N] - Show state N (or report the current state)',
+            '  mplay / mstop - Play / stop cycling through states',
+            '  set state_speed [N] - State/frame playback speed per second (default 10)',
+            '  load_traj [file][, protein] - Stream a multi-model PDB or XYZ trajectory from the data directory',
+            '  frame [N] - Show trajectory frame N (or report the current frame)',
+            '  play / stop - Play / stop the trajectory',
+            '',
+            'Selections (PyMOL style):',
+            '  chain A, resi 60-80, resn HIS+ASP, name CA, elem FE, model 1erm',
+            '  hetatm, polymer, protein, ligand, water, backbone, sidechain, b > 50',
+            '  and / or / not, ( ), byres [sel], [sel] within 5 of [sel]',
+            '  e.g. "show sticks, byres (polymer within 5 of ligand)"',
+            '  select [name,] [selection] - Store a named selection (default name "sele")',
+            '  selections - List named selections',
+            '  delete [name] - Delete a named selection (or protein, or "all")',
+            '',
+            'Binding sites:',
+            '  interactions [ligand][, cutoff] - Pocket residues and interactions of a ligand (residue name or selection)',
+            '    dashed lines: H-bond yellow, salt bridge magenta, pi-stacking green, cation-pi orange, hydrophobic grey, metal violet',
+            '  hide interactions - Remove interaction lines',
+            '',
+            'Measurements:',
+            '  distance [name,] sel1, sel2 - Distance between two atoms (dashed line and label)',
+            '  angle [name,] sel1, sel2, sel3 - Angle at sel2',
+            '  dihedral [name,] sel1, sel2, sel3, sel4 - Torsion about sel2-sel3',
+            '    each selection must match one atom; with no selections the atoms clicked into "sele" are used',
+            '  measurements - List measurements',
+            '  measurements export [file.csv] - Download measurements as CSV',
+            '  delete [name|measurements] - Delete one measurement or all of them',
+            '',
+            'Superposition:',
+            '  align mobile, target[, cycles=5][, cutoff=2.0] - Pair residues by sequence, fit CA atoms and move mobile onto target',
+            '    each cycle drops pairs further apart than cutoff x RMSD; reports RMSD and aligned atoms',
+            '  tmalign mobile, target - Structure-based alignment (no sequence needed); reports TM-score, RMSD, aligned length, identity',
+            '',
+            'Scenes:',
+            '  scene store [name] - Store the camera, shown representations and colors (also "scene [name], store")',
+            '  scene recall [name] - Animate to a scene (camera moves, representations fade in and out; also "scene [name]")',
+            '  scene next / scene prev - Step through scenes in stored order (also Page Down / Page Up)',
+            '  scene delete [name|all] - Delete scenes',
+            '  scenes / scene list - List scenes (* marks the current one)',
+            '',
+            'Labels:',
+            '  label [selection], [expression] - Camera-facing text on each atom; no expression removes them',
+            '    expression: resn, resi, chain, name, elem, b, q, model, "text", +, and "%s%s" % (resn, resi) formatting',
+            '  hide labels[, selection] - Remove all labels (or those in a selection)',
+            '  set label_size [px] / set label_color [color] / set label_offset [x] [y] - Label style; offset in pixels',
             '',
             'Mouse Controls (PyMOL style):',
             '  Left click + drag - Rotate around protein',
             '  Right click + drag - Pan (translate view)',
             '  Scroll wheel - Zoom in/out',
+            '  Hover - Show atom, residue, chain, B-factor and occupancy',
+            '  Left click - Add the atom to "sele" (click again to remove it)',
+            '',
+            'Sequence viewer (above the console):',
+            '  Click or drag residues - Select them into "sele" (shift/ctrl adds); colored by secondary structure',
+            '  Hovering an atom in 3D highlights its residue; "-" marks missing residues',
+            '  set seq_view [0|1] - Hide/show the sequence viewer',
             '',
             'Keyboard:',
             '  F2 - Hide/show console',
+            '  Page Down / Page Up - Next / previous scene',
             '  Up/Down arrows - Navigate command history',
             '  Type any text - Goes directly to console input'
         ];
@@ -752,11 +1907,11 @@ class ProteinViewer {
             const data = await response.json();
 
             if (data.files.length === 0) {
-                this.addToConsole('No PDB files found in data directory', 'output');
+                this.addToConsole('No structure files found in data directory', 'output');
                 return;
             }
 
-            this.addToConsole(`Found ${data.count} PDB file(s) in ${data.directory}:`, 'output');
+            this.addToConsole(`Found ${data.count} structure file(s) in ${data.directory}:`, 'output');
             this.addToConsole('', 'output'); // Empty line
 
             // Format file listing like Unix ls -l
@@ -777,7 +1932,7 @@ class ProteinViewer {
 
     async loadProteinByName(name) {
         try {
-            this.addToConsole(`Loading ${name}.pdb...`, 'output');
+            this.addToConsole(`Loading ${name}...`, 'output');
 
             const response = await fetch(`/api/load-pdb/${name}`);
             if (!response.ok) {
@@ -785,7 +1940,7 @@ class ProteinViewer {
             }
 
             const data = await response.json();
-            await this.renderer.addProtein(data.content, data.filename, false); // Don't clear existing
+            await this.renderer.addProtein(data.content, data.filename, false, { server: data.filename }); // Don't clear existing
 
             // Position camera to view all proteins
             setTimeout(() => {
@@ -800,10 +1955,192 @@ class ProteinViewer {
 
         } catch (error) {
             console.error('Error loading protein:', error);
-            this.addToConsole(`Failed to load ${name}.pdb: ${error.message}`, 'error');
+            this.addToConsole(`Failed to load ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    // fetch [id ...] - load structures by PDB or AlphaFold ID through the server's
+    // mirror, download cache or remote source
+    async fetchCommand(ids) {
+        for (const id of ids) {
+            try {
+                this.addToConsole(`Fetching ${id}...`, 'output');
+
+                const response = await fetch(`/api/fetch/${encodeURIComponent(id)}`);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                await this.renderer.addProtein(data.content, data.filename, false, { fetch: id });
+                this.addToConsole(`Fetched ${data.filename} (from ${data.source})`, 'success');
+            } catch (error) {
+                console.error('Error fetching protein:', error);
+                this.addToConsole(`Failed to fetch ${id}: ${error.message}`, 'error');
+            }
+        }
+
+        if (this.renderer.getProteinCount() > 0) {
+            this.renderer.centerAndScaleProtein();
+            this.centerStructure();
+        }
+    }
+
+    // save [file], [selection][, overwrite=1] - the extension picks the format
+    saveCommand(args) {
+        const filename = args[0];
+        if (!filename) {
+            this.addToConsole('Usage: save [file], [selection] (e.g., "save session.json", "save model.pdb, chain A")', 'error');
+            return;
+        }
+
+        const isOverwrite = (arg) => /^overwrite\s*=/i.test(arg);
+        const overwrite = args.slice(1).some(arg => isOverwrite(arg) && !/=\s*(0|off|false)$/i.test(arg));
+        const expression = args.slice(1).find(arg => !isOverwrite(arg)) || 'all';
+
+        if (/\.json$/i.test(filename)) {
+            this.saveSession(filename);
+        } else if (/\.(pdb|cif|mmcif)$/i.test(filename)) {
+            this.saveStructure(filename, expression, overwrite);
+        } else {
+            this.addToConsole(`Unknown file type: ${filename} (use .json for sessions, .pdb or .cif for coordinates)`, 'error');
         }
     }
 
+    // Write atoms at their current coordinates as PDB or mmCIF. A "data/" prefix
+    // stores the file in the server's data directory (replacing an existing file
+    // only with overwrite); otherwise it is downloaded.
+    async saveStructure(filename, expression, overwrite = false) {
+        const toServer = /^data\//i.test(filename);
+        const name = filename.replace(/^data\//i, '');
+        const format = /\.pdb$/i.test(name) ? 'pdb' : 'cif';
+
+        try {
+            const { content, atomCount, proteinCount } = this.renderer.exportStructure(expression, format, name.replace(/\.[^.]+$/, ''));
+            const summary = `${atomCount} atoms${proteinCount > 1 ? ` from ${proteinCount} proteins` : ''}`;
+
+            if (!toServer) {
+                this.downloadBlob(new Blob([content], { type: 'chemical/x-' + format }), name);
+                this.addToConsole(`Saved ${name} (${summary})`, 'success');
+                return;
+            }
+
+            const response = await fetch(`/api/save-structure/${encodeURIComponent(name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ content, overwrite })
+            });
+
+            const data = await response.json();
+            if (response.status === 409) {
+                throw new Error(`${data.error}; add overwrite=1 to replace it`);
+            }
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.addToConsole(`Saved data/${data.filename} (${summary}, ${data.sizeFormatted})`, 'success');
+        } catch (error) {
+            console.error('Error saving structure:', error);
+            this.addToConsole(`Failed to save ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Save the session as a JSON file to hand on; a "sessions/" prefix stores
+    // it in the server's sessions directory instead
+    async saveSession(filename) {
+        const toServer = /^sessions\//i.test(filename);
+        const name = filename.replace(/^sessions\//i, '');
+
+        try {
+            const session = this.renderer.getSessionState();
+            const json = JSON.stringify(session);
+
+            if (!toServer) {
+                this.downloadBlob(new Blob([json], { type: 'application/json' }), name);
+                this.addToConsole(`Session saved as ${name} (${session.proteins.length} proteins)`, 'success');
+                return;
+            }
+
+            const response = await fetch(`/api/sessions/${encodeURIComponent(name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: json
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.addToConsole(`Session saved to sessions/${data.filename} (${session.proteins.length} proteins, ${data.sizeFormatted})`, 'success');
+        } catch (error) {
+            console.error('Error saving session:', error);
+            this.addToConsole(`Failed to save session: ${error.message}`, 'error');
+        }
+    }
+
+    // Replace the current view with a session: "sessions/[name].json" is read
+    // from the server, any other name from a local file the user picks
+    async loadSession(filename) {
+        const fromServer = /^sessions\//i.test(filename);
+        const name = filename.replace(/^sessions\//i, '');
+
+        try {
+            let session;
+            if (fromServer) {
+                this.addToConsole(`Loading session ${name}...`, 'output');
+                const response = await fetch(`/api/sessions/${encodeURIComponent(name)}`);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+                session = await response.json();
+            } else {
+                this.addToConsole(`Choose the session file (${name})...`, 'output');
+                const file = await this.chooseLocalFile('.json,application/json');
+                if (!file) {
+                    this.addToConsole('Session loading cancelled', 'output');
+                    return;
+                }
+                try {
+                    session = JSON.parse(await file.text());
+                } catch (error) {
+                    throw new Error(`${file.name} is not a session file (${error.message})`);
+                }
+            }
+
+            // Structures from the data directory or fetched by ID are loaded again; others are embedded
+            await this.renderer.restoreSessionState(session, async (source) => {
+                if (source.content !== undefined) return source.content;
+
+                const url = source.fetch !== undefined
+                    ? `/api/fetch/${encodeURIComponent(source.fetch)}`
+                    : `/api/load-pdb/${encodeURIComponent(source.server)}`;
+                const structure = await fetch(url);
+                if (!structure.ok) {
+                    throw new Error(`${source.fetch || source.server}: HTTP ${structure.status}: ${structure.statusText}`);
+                }
+                return (await structure.json()).content;
+            });
+
+            this.addToConsole(`Session ${name} restored (${this.renderer.getProteinCount()} proteins)`, 'success');
+        } catch (error) {
+            console.error('Error loading session:', error);
+            this.addToConsole(`Failed to load session ${name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Open the browser's file dialog; resolves with the chosen File, or null if cancelled
+    chooseLocalFile(accept) {
+        return new Promise(resolve => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = accept;
+            input.addEventListener('change', () => resolve(input.files[0] || null));
+            input.addEventListener('cancel', () => resolve(null));
+            input.click();
+        });
+    }
 
     listLoadedProteins() {
         const proteins = this.renderer.getLoadedProteins();
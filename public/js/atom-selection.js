@@ -0,0 +1,538 @@
+/**
+ * Atom Selection Language
+ * PyMOL-style selection expressions evaluated against PDBParser data
+ *
+ * Examples:
+ *   chain A and resi 60-80
+ *   resn HIS+ASP+GLU and not name N+C+O
+ *   byres (polymer within 5 of ligand)
+ */
+
+/**
+ * Tokenizes and parses selection expressions into a small syntax tree
+ */
+class SelectionParser {
+    constructor() {
+        // Selector keywords (with PyMOL short aliases) that take a value list
+        this.propertyKeywords = {
+            'chain': 'chain', 'c.': 'chain',
+            'resi': 'resi', 'i.': 'resi',
+            'resn': 'resn', 'r.': 'resn',
+            'name': 'name', 'n.': 'name',
+            'elem': 'elem', 'e.': 'elem',
+            'model': 'model', 'm.': 'model',
+            'ss': 'ss'
+        };
+
+        // Selector keywords that stand alone
+        this.flagKeywords = {
+            'all': 'all', '*': 'all',
+            'none': 'none',
+            'hetatm': 'hetatm',
+            'polymer': 'polymer', 'pol.': 'polymer',
+            'protein': 'protein',
+            'nucleic': 'nucleic',
+            'ligand': 'ligand', 'organic': 'ligand', 'org.': 'ligand',
+            'water': 'water', 'solvent': 'water', 'sol.': 'water',
+            'hydrogens': 'hydrogens', 'h.': 'hydrogens',
+            'backbone': 'backbone', 'bb.': 'backbone',
+            'sidechain': 'sidechain', 'sc.': 'sidechain'
+        };
+
+        // Numeric atom properties usable in comparisons (e.g. "b > 50")
+        this.numericKeywords = {
+            'b': 'tempFactor',
+            'q': 'occupancy'
+        };
+    }
+
+    // True if a word is reserved by the grammar (cannot name a selection)
+    isKeyword(word) {
+        const lower = word.toLowerCase();
+        return !!(this.propertyKeywords[lower] || this.flagKeywords[lower] || this.numericKeywords[lower]) ||
+            ['and', 'or', 'not', 'byres', 'br.', 'within', 'of'].includes(lower);
+    }
+
+    parse(expression) {
+        const tokens = this.tokenize(expression);
+        if (tokens.length === 0) {
+            throw new Error('Empty selection');
+        }
+
+        this.tokens = tokens;
+        this.position = 0;
+
+        const ast = this.parseOr();
+
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected "${this.tokens[this.position]}" in selection`);
+        }
+
+        return ast;
+    }
+
+    tokenize(expression) {
+        const tokens = [];
+        // Comparison operators split from their operands, so "b>50" reads as "b > 50"
+        const pattern = /\s*(<=|>=|==|[<>=]|[()!&|]|[^\s()!&|<>=]+)/g;
+        let match;
+
+        while ((match = pattern.exec(expression)) !== null) {
+            if (match[1]) {
+                tokens.push(match[1]);
+            }
+        }
+
+        return tokens;
+    }
+
+    peek() {
+        const token = this.tokens[this.position];
+        return token !== undefined ? token.toLowerCase() : null;
+    }
+
+    next() {
+        const token = this.tokens[this.position++];
+        if (token === undefined) {
+            throw new Error('Unexpected end of selection');
+        }
+        return token;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+
+        while (this.peek() === 'or' || this.peek() === '|') {
+            this.next();
+            left = { type: 'or', left: left, right: this.parseAnd() };
+        }
+
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseUnary();
+
+        while (this.peek() === 'and' || this.peek() === '&') {
+            this.next();
+            left = { type: 'and', left: left, right: this.parseUnary() };
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.peek();
+
+        if (token === 'not' || token === '!') {
+            this.next();
+            return { type: 'not', operand: this.parseUnary() };
+        }
+
+        if (token === 'byres' || token === 'br.') {
+            this.next();
+            return { type: 'byres', operand: this.parseUnary() };
+        }
+
+        if (token === 'within') {
+            // Prefix form: "within 5 of ligand"
+            return this.parseWithin({ type: 'all' });
+        }
+
+        let operand = this.parsePrimary();
+
+        // Infix form: "polymer within 5 of ligand"
+        while (this.peek() === 'within') {
+            operand = this.parseWithin(operand);
+        }
+
+        return operand;
+    }
+
+    parseWithin(scope) {
+        this.next(); // 'within'
+        const distance = parseFloat(this.next());
+        if (isNaN(distance) || distance < 0) {
+            throw new Error('"within" expects a distance, e.g. "within 5 of ligand"');
+        }
+
+        if (this.peek() !== 'of') {
+            throw new Error('"within" expects "of", e.g. "within 5 of ligand"');
+        }
+        this.next();
+
+        return { type: 'within', distance: distance, scope: scope, operand: this.parseUnary() };
+    }
+
+    parsePrimary() {
+        const raw = this.next();
+        const token = raw.toLowerCase();
+
+        if (token === '(') {
+            const inner = this.parseOr();
+            if (this.next() !== ')') {
+                throw new Error('Missing ")" in selection');
+            }
+            return inner;
+        }
+
+        if (token === ')') {
+            throw new Error('Unbalanced ")" in selection');
+        }
+
+        if (this.flagKeywords[token]) {
+            const flag = this.flagKeywords[token];
+            return flag === 'all' || flag === 'none' ? { type: flag } : { type: 'flag', flag: flag };
+        }
+
+        if (this.propertyKeywords[token]) {
+            const property = this.propertyKeywords[token];
+            // Residue numbers also compare numerically ("resi < 100")
+            if (property === 'resi' && this.isComparisonOperator(this.peek())) {
+                return this.parseComparison('resSeq');
+            }
+            if (this.position >= this.tokens.length) {
+                throw new Error(`"${raw}" expects a value`);
+            }
+            return { type: 'property', property: property, values: this.parseValues(property, this.next()) };
+        }
+
+        if (this.numericKeywords[token]) {
+            return this.parseComparison(this.numericKeywords[token]);
+        }
+
+        // Anything else is a reference to a named selection or a loaded protein
+        return { type: 'reference', name: raw };
+    }
+
+    isComparisonOperator(token) {
+        return ['<', '>', '<=', '>=', '=', '=='].includes(token);
+    }
+
+    parseComparison(field) {
+        const operator = this.next();
+        if (!this.isComparisonOperator(operator)) {
+            throw new Error(`Expected comparison operator, got "${operator}"`);
+        }
+
+        const value = parseFloat(this.next());
+        if (isNaN(value)) {
+            throw new Error('Comparison expects a numeric value');
+        }
+
+        return { type: 'compare', field: field, operator: operator, value: value };
+    }
+
+    parseValues(property, valueToken) {
+        const items = valueToken.split('+').filter(item => item !== '');
+
+        if (property === 'resi') {
+            return items.map(item => this.parseResidueRange(item));
+        }
+
+        if (property === 'chain') {
+            return items; // Chain IDs are case-sensitive
+        }
+
+        return items.map(item => item.toUpperCase());
+    }
+
+    parseResidueRange(item) {
+        // 60, 60A, 60-80, 60:80, -5-10
+        const match = item.match(/^(-?\d+)([A-Za-z]?)(?:[-:](-?\d+)([A-Za-z]?))?$/);
+        if (!match) {
+            throw new Error(`Invalid residue number or range: ${item}`);
+        }
+
+        const start = parseInt(match[1]);
+        const end = match[3] !== undefined ? parseInt(match[3]) : start;
+
+        return {
+            start: Math.min(start, end),
+            end: Math.max(start, end),
+            iCode: match[3] === undefined ? match[2].toUpperCase() : ''
+        };
+    }
+}
+
+/**
+ * Evaluates parsed selections against a single PDBParser's atoms
+ */
+class AtomSelector {
+    constructor() {
+        this.backboneNames = new Set(['N', 'CA', 'C', 'O', 'OXT', 'P', "O3'", "O5'", "C3'", "C4'", "C5'", 'OP1', 'OP2']);
+        this.residueCache = new WeakMap(); // parser -> Map(atom -> residue)
+    }
+
+    // Evaluate an AST node; context carries the protein name and a resolver for named selections
+    evaluate(node, parser, context = {}) {
+        switch (node.type) {
+            case 'all':
+                return new Set(parser.atoms);
+
+            case 'none':
+                return new Set();
+
+            case 'and': {
+                const left = this.evaluate(node.left, parser, context);
+                const right = this.evaluate(node.right, parser, context);
+                return new Set([...left].filter(atom => right.has(atom)));
+            }
+
+            case 'or': {
+                const left = this.evaluate(node.left, parser, context);
+                for (const atom of this.evaluate(node.right, parser, context)) {
+                    left.add(atom);
+                }
+                return left;
+            }
+
+            case 'not': {
+                const excluded = this.evaluate(node.operand, parser, context);
+                return new Set(parser.atoms.filter(atom => !excluded.has(atom)));
+            }
+
+            case 'byres':
+                return this.expandToResidues(this.evaluate(node.operand, parser, context), parser);
+
+            case 'within':
+                return this.selectWithin(node, parser, context);
+
+            case 'property':
+                return this.selectByProperty(node, parser, context);
+
+            case 'flag':
+                return this.selectByFlag(node.flag, parser);
+
+            case 'compare':
+                return new Set(parser.atoms.filter(atom => this.compare(atom[node.field], node.operator, node.value)));
+
+            case 'reference':
+                return this.selectReference(node.name, parser, context);
+
+            default:
+                throw new Error(`Unknown selection node: ${node.type}`);
+        }
+    }
+
+    selectByProperty(node, parser, context) {
+        const residueOf = this.getResidueMap(parser);
+
+        switch (node.property) {
+            case 'chain':
+                return new Set(parser.atoms.filter(atom => node.values.includes(atom.chainId)));
+
+            case 'resi':
+                return new Set(parser.atoms.filter(atom => node.values.some(range =>
+                    atom.resSeq >= range.start &&
+                    atom.resSeq <= range.end &&
+                    (!range.iCode || range.iCode === atom.iCode.toUpperCase())
+                )));
+
+            case 'resn':
+                return new Set(parser.atoms.filter(atom => this.matchesAny(atom.resName, node.values)));
+
+            case 'name':
+                return new Set(parser.atoms.filter(atom => this.matchesAny(atom.name, node.values)));
+
+            case 'elem':
+                return new Set(parser.atoms.filter(atom => this.matchesAny(atom.element, node.values)));
+
+            case 'model':
+                return this.isModel(context.modelName, node.values) ? new Set(parser.atoms) : new Set();
+
+            case 'ss': {
+                // PyMOL letters: H = helix, S = sheet, L = loop/coil
+                const ssNames = { 'H': 'helix', 'S': 'sheet', 'L': 'coil' };
+                const wanted = node.values.map(v => ssNames[v] || v.toLowerCase());
+                return new Set(parser.atoms.filter(atom => {
+                    const residue = residueOf.get(atom);
+                    return residue && residue.isProtein && wanted.includes(residue.secondaryStructure);
+                }));
+            }
+
+            default:
+                throw new Error(`Unknown selection property: ${node.property}`);
+        }
+    }
+
+    selectByFlag(flag, parser) {
+        const residueOf = this.getResidueMap(parser);
+        const byResidue = (test) => new Set(parser.atoms.filter(atom => {
+            const residue = residueOf.get(atom);
+            return residue ? test(residue) : false;
+        }));
+
+        switch (flag) {
+            case 'hetatm':
+                return new Set(parser.atoms.filter(atom => atom.isHetAtom));
+            case 'polymer':
+                return byResidue(r => (r.isProtein || r.isNucleic) && !r.isWater);
+            case 'protein':
+                return byResidue(r => r.isProtein && !r.isWater);
+            case 'nucleic':
+                return byResidue(r => r.isNucleic);
+            case 'ligand':
+                return byResidue(r => !!r.isLigand);
+            case 'water':
+                return byResidue(r => r.isWater);
+            case 'hydrogens':
+                return new Set(parser.atoms.filter(atom => (atom.element || '').toUpperCase() === 'H'));
+            case 'backbone':
+                return new Set([...byResidue(r => (r.isProtein || r.isNucleic) && !r.isWater)]
+                    .filter(atom => this.backboneNames.has(atom.name)));
+            case 'sidechain':
+                return new Set([...byResidue(r => r.isProtein && !r.isWater)]
+                    .filter(atom => !this.backboneNames.has(atom.name)));
+            default:
+                throw new Error(`Unknown selection flag: ${flag}`);
+        }
+    }
+
+    selectReference(name, parser, context) {
+        // Named selections take precedence over protein names
+        if (context.resolveName) {
+            const named = context.resolveName(name);
+            if (named) {
+                return new Set(parser.atoms.filter(atom => named.has(atom)));
+            }
+        }
+
+        if (this.isModel(context.modelName, [name.toUpperCase()])) {
+            return new Set(parser.atoms);
+        }
+
+        if (context.isKnownName && context.isKnownName(name)) {
+            return new Set();
+        }
+
+        throw new Error(`Unknown selection keyword or name: ${name}`);
+    }
+
+    selectWithin(node, parser, context) {
+        const scope = this.evaluate(node.scope, parser, context);
+        const targets = [...this.evaluate(node.operand, parser, context)];
+        const result = new Set();
+
+        if (targets.length === 0) return result;
+
+        // Spatial hash of target atoms with cell size equal to the cutoff
+        const cellSize = Math.max(node.distance, 0.5);
+        const grid = new Map();
+        const cellKey = (x, y, z) => `${x},${y},${z}`;
+
+        for (const atom of targets) {
+            const key = cellKey(
+                Math.floor(atom.x / cellSize),
+                Math.floor(atom.y / cellSize),
+                Math.floor(atom.z / cellSize)
+            );
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(atom);
+        }
+
+        const cutoffSq = node.distance * node.distance;
+
+        for (const atom of scope) {
+            const cx = Math.floor(atom.x / cellSize);
+            const cy = Math.floor(atom.y / cellSize);
+            const cz = Math.floor(atom.z / cellSize);
+            let found = false;
+
+            for (let dx = -1; dx <= 1 && !found; dx++) {
+                for (let dy = -1; dy <= 1 && !found; dy++) {
+                    for (let dz = -1; dz <= 1 && !found; dz++) {
+                        const cell = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+                        if (!cell) continue;
+
+                        for (const other of cell) {
+                            const ddx = atom.x - other.x;
+                            const ddy = atom.y - other.y;
+                            const ddz = atom.z - other.z;
+                            if (ddx * ddx + ddy * ddy + ddz * ddz <= cutoffSq) {
+                                found = true;
+                                break;
+                            }
+                        }
+                    }
+                }
+            }
+
+            if (found) {
+                result.add(atom);
+            }
+        }
+
+        return result;
+    }
+
+    expandToResidues(atoms, parser) {
+        const residueOf = this.getResidueMap(parser);
+        const result = new Set();
+
+        for (const atom of atoms) {
+            const residue = residueOf.get(atom);
+            if (residue) {
+                residue.atoms.forEach(a => result.add(a));
+            } else {
+                result.add(atom);
+            }
+        }
+
+        return result;
+    }
+
+    getResidueMap(parser) {
+        let map = this.residueCache.get(parser);
+
+        // Rebuild if the parser has been re-parsed since the cache was made
+        if (!map || map.atomCount !== parser.atoms.length || map.residueCount !== parser.residues.length) {
+            map = new Map();
+            for (const residue of parser.residues) {
+                for (const atom of residue.atoms) {
+                    map.set(atom, residue);
+                }
+            }
+            map.atomCount = parser.atoms.length;
+            map.residueCount = parser.residues.length;
+            this.residueCache.set(parser, map);
+        }
+
+        return map;
+    }
+
+    matchesAny(value, patterns) {
+        const upper = (value || '').toUpperCase();
+
+        return patterns.some(pattern => {
+            if (!pattern.includes('*')) {
+                return upper === pattern;
+            }
+            const regex = new RegExp('^' + pattern.split('*').map(part =>
+                part.replace(/[.?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+            return regex.test(upper);
+        });
+    }
+
+    isModel(modelName, values) {
+        if (!modelName) return false;
+
+        const upper = modelName.toUpperCase();
+        const withoutExt = upper.replace(/\.[^.]+$/, '');
+        return values.some(v => v === upper || v === withoutExt);
+    }
+
+    compare(value, operator, target) {
+        switch (operator) {
+            case '<': return value < target;
+            case '>': return value > target;
+            case '<=': return value <= target;
+            case '>=': return value >= target;
+            default: return Math.abs(value - target) < 1e-6;
+        }
+    }
+}
+
+// Export to global namespace for non-module usage
+window.SelectionParser = SelectionParser;
+window.AtomSelector = AtomSelector;
@@ -0,0 +1,186 @@
+/**
+ * Color Table
+ * PyMOL-style named colors, hex/RGB parsing, selection palettes and spectrum palettes
+ */
+
+class ColorTable {
+    // Named colors (values follow PyMOL's color table where names overlap)
+    static get names() {
+        return {
+            black: [0, 0, 0],
+            white: [1, 1, 1],
+            grey: [0.5, 0.5, 0.5],
+            gray: [0.5, 0.5, 0.5],
+            red: [1, 0, 0],
+            green: [0, 1, 0],
+            blue: [0, 0, 1],
+            yellow: [1, 1, 0],
+            magenta: [1, 0, 1],
+            cyan: [0, 1, 1],
+            orange: [1, 0.5, 0],
+            purple: [0.75, 0, 0.75],
+            pink: [1, 0.65, 0.85],
+            hotpink: [1, 0, 0.5],
+            salmon: [1, 0.6, 0.6],
+            firebrick: [0.698, 0.13, 0.13],
+            brown: [0.65, 0.32, 0.17],
+            wheat: [0.99, 0.82, 0.65],
+            gold: [1, 0.82, 0.14],
+            olive: [0.77, 0.7, 0],
+            lime: [0.5, 1, 0.5],
+            forest: [0.2, 0.6, 0.2],
+            palegreen: [0.65, 0.9, 0.65],
+            teal: [0, 0.75, 0.75],
+            skyblue: [0.2, 0.5, 0.8],
+            lightblue: [0.75, 0.75, 1],
+            slate: [0.5, 0.5, 1],
+            marine: [0, 0.5, 1],
+            deepblue: [0.25, 0.25, 0.65],
+            darkblue: [0.1, 0.1, 0.15], // Default viewer background
+            violet: [1, 0.5, 1],
+            lightorange: [1, 0.8, 0.5],
+            tv_red: [1, 0.2, 0.2],
+            tv_green: [0.2, 1, 0.2],
+            tv_blue: [0.3, 0.3, 1],
+            carbon: [0.2, 1, 0.2],
+            nitrogen: [0.2, 0.2, 1],
+            oxygen: [1, 0.3, 0.3],
+            sulfur: [0.9, 0.775, 0.25],
+            hydrogen: [0.9, 0.9, 0.9]
+        };
+    }
+
+    // Palettes that color each atom/residue of a selection differently
+    static get palettes() {
+        return ['rainbow', 'chain', 'ss', 'element'];
+    }
+
+    // Parse a color name, hex value (#ff8000 or 0xff8000) or r,g,b triple
+    // (0-1 or 0-255) into a BABYLON.Color3; null if not a color
+    static parse(value) {
+        if (!value) return null;
+        const text = value.trim().toLowerCase();
+
+        const named = ColorTable.names[text];
+        if (named) {
+            return new BABYLON.Color3(named[0], named[1], named[2]);
+        }
+
+        const hexMatch = text.match(/^(?:#|0x)([0-9a-f]{6}|[0-9a-f]{3})$/);
+        if (hexMatch) {
+            let hex = hexMatch[1];
+            if (hex.length === 3) {
+                hex = hex.split('').map(ch => ch + ch).join('');
+            }
+            return new BABYLON.Color3(
+                parseInt(hex.substring(0, 2), 16) / 255,
+                parseInt(hex.substring(2, 4), 16) / 255,
+                parseInt(hex.substring(4, 6), 16) / 255
+            );
+        }
+
+        const rgbMatch = text.match(/^\[?\s*(\d*\.?\d+)\s*,\s*(\d*\.?\d+)\s*,\s*(\d*\.?\d+)\s*\]?$/);
+        if (rgbMatch) {
+            let r = parseFloat(rgbMatch[1]);
+            let g = parseFloat(rgbMatch[2]);
+            let b = parseFloat(rgbMatch[3]);
+
+            // If values are > 1, assume they're in 0-255 range
+            if (r > 1 || g > 1 || b > 1) {
+                r /= 255;
+                g /= 255;
+                b /= 255;
+            }
+
+            return new BABYLON.Color3(r, g, b);
+        }
+
+        return null;
+    }
+
+    // Continuous palettes for spectrum coloring, as color stops from 0 to 1
+    static get spectrumPalettes() {
+        return {
+            rainbow: null, // Computed from the hue wheel
+            blue_white_red: ['blue', 'white', 'red'],
+            red_white_blue: ['red', 'white', 'blue'],
+            blue_red: ['blue', 'red'],
+            red_blue: ['red', 'blue'],
+            green_white_magenta: ['green', 'white', 'magenta'],
+            yellow_red: ['yellow', 'red'],
+            white_black: ['white', 'black'],
+            plddt: null // AlphaFold confidence bands
+        };
+    }
+
+    static isSpectrumPalette(name) {
+        return Object.prototype.hasOwnProperty.call(ColorTable.spectrumPalettes, name.toLowerCase());
+    }
+
+    // Color at position t (0..1) of a spectrum palette
+    static spectrum(palette, t) {
+        t = Math.max(0, Math.min(1, isNaN(t) ? 0 : t));
+
+        switch (palette) {
+            case 'rainbow':
+                return ColorTable.rainbow(t);
+            case 'plddt':
+                return ColorTable.plddt(t * 100);
+        }
+
+        const stops = ColorTable.spectrumPalettes[palette];
+        if (!stops) {
+            throw new Error(`Unknown palette: ${palette}`);
+        }
+
+        const position = t * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        return BABYLON.Color3.Lerp(
+            ColorTable.parse(stops[index]),
+            ColorTable.parse(stops[index + 1]),
+            position - index
+        );
+    }
+
+    // AlphaFold pLDDT confidence bands (very high, confident, low, very low)
+    static plddt(value) {
+        if (value > 90) return ColorTable.parse('#0053d6');
+        if (value > 70) return ColorTable.parse('#65cbf3');
+        if (value > 50) return ColorTable.parse('#ffdb13');
+        return ColorTable.parse('#ff7d45');
+    }
+
+    static isPalette(name) {
+        return ColorTable.palettes.includes(name.toLowerCase());
+    }
+
+    // Blue -> red through the hue wheel, as in PyMOL's rainbow (t in 0..1)
+    static rainbow(t) {
+        const hue = (1 - Math.max(0, Math.min(1, t))) * 240;
+        const c = 1 - Math.abs(((hue / 60) % 2) - 1);
+        const sector = Math.min(5, Math.floor(hue / 60));
+        const rgb = [[1, c, 0], [c, 1, 0], [0, 1, c], [0, c, 1], [c, 0, 1], [1, 0, c]][sector];
+        return new BABYLON.Color3(rgb[0], rgb[1], rgb[2]);
+    }
+
+    // Chain colors cycle through a fixed set, like PyMOL's util.cbc
+    static chainColor(index) {
+        const chainColors = ['green', 'cyan', 'magenta', 'yellow', 'salmon', 'slate', 'orange', 'wheat'];
+        return ColorTable.parse(chainColors[index % chainColors.length]);
+    }
+
+    // Secondary structure colors as in PyMOL's "color by ss"
+    static secondaryStructureColor(secondaryStructure) {
+        switch (secondaryStructure) {
+            case 'helix':
+                return ColorTable.parse('red');
+            case 'sheet':
+                return ColorTable.parse('yellow');
+            default:
+                return ColorTable.parse('green');
+        }
+    }
+}
+
+// Export to global namespace for non-module usage
+window.ColorTable = ColorTable;
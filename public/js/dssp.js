@@ -0,0 +1,432 @@
+/**
+ * DSSP Secondary Structure Assignment
+ * Kabsch & Sander (1983) hydrogen-bond based assignment:
+ * amide hydrogen placement, electrostatic N-H...O=C energies,
+ * n-turns, 3-10/alpha/pi helices, bridges, ladders and bends
+ */
+
+class DSSPAnalyzer {
+    constructor() {
+        this.hbondCutoff = -0.5;          // kcal/mol, H-bond if energy is below this
+        this.minimalEnergy = -9.9;        // kcal/mol, DSSP lower bound
+        this.couplingFactor = 0.084 * 332; // q1 * q2 * f (kcal/mol * Å)
+        this.minimalCADistance = 9.0;     // Å, CA pairs further apart cannot H-bond
+        this.peptideBondMax = 2.5;        // Å, longer C-N distance means a chain break
+        this.bendAngle = 70;              // degrees, CA(i-2)-CA(i)-CA(i+2) kappa threshold
+
+        // Priority of DSSP codes when several apply to one residue
+        this.priority = ['H', 'B', 'E', 'G', 'I', 'T', 'S'];
+    }
+
+    // Assign secondary structure to the protein residues of a parsed structure.
+    // H-bonds are always computed over the whole structure; when a residue Set is
+    // given, only those residues are reassigned (and counted in the summary).
+    analyze(parser, residues = null) {
+        const entries = this.collectBackbone(parser);
+        const codes = new Array(entries.length).fill(' ');
+
+        if (entries.length > 0) {
+            this.placeHydrogens(entries);
+
+            const neighbors = this.findNeighborPairs(entries);
+            this.calculateHydrogenBonds(entries, neighbors);
+
+            const turns = this.findTurns(entries);
+            this.assignHelices(entries, turns, codes);
+            this.assignBridgesAndLadders(entries, neighbors, codes);
+            this.assignTurns(entries, turns, codes);
+            this.assignBends(entries, codes);
+        }
+
+        return this.applyCodes(parser, entries, codes, residues);
+    }
+
+    // Protein residues with complete N, CA, C, O backbones, in chain order
+    collectBackbone(parser) {
+        const entries = [];
+
+        for (const chain of parser.chains) {
+            let previous = null;
+
+            for (const residue of chain.residues) {
+                if (!residue.isProtein || residue.isWater) continue;
+                if (!residue.n || !residue.ca || !residue.c || !residue.o) {
+                    previous = null; // Missing atoms break the chain
+                    continue;
+                }
+
+                const entry = {
+                    residue: residue,
+                    index: entries.length,
+                    n: residue.n,
+                    ca: residue.ca,
+                    c: residue.c,
+                    o: residue.o,
+                    h: null,
+                    breakBefore: !previous || this.distance(previous.c, residue.n) > this.peptideBondMax,
+                    acceptors: [] // Two strongest C=O partners of this residue's N-H
+                };
+
+                entries.push(entry);
+                previous = entry;
+            }
+        }
+
+        return entries;
+    }
+
+    // Amide H lies 1 Å from N, opposite the previous residue's C=O direction
+    placeHydrogens(entries) {
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (entry.breakBefore || entry.residue.resName === 'PRO') continue;
+
+            const previous = entries[i - 1];
+            const co = this.normalize(this.subtract(previous.c, previous.o));
+            entry.h = this.add(entry.n, co);
+        }
+    }
+
+    // Residue pairs whose CA atoms are within 9 Å (spatial hash on CA)
+    findNeighborPairs(entries) {
+        const cellSize = this.minimalCADistance;
+        const grid = new Map();
+        const key = (x, y, z) => `${x},${y},${z}`;
+        const pairs = [];
+
+        entries.forEach((entry, i) => {
+            const k = key(
+                Math.floor(entry.ca.x / cellSize),
+                Math.floor(entry.ca.y / cellSize),
+                Math.floor(entry.ca.z / cellSize)
+            );
+            if (!grid.has(k)) grid.set(k, []);
+            grid.get(k).push(i);
+        });
+
+        const cutoffSq = cellSize * cellSize;
+
+        entries.forEach((entry, i) => {
+            const cx = Math.floor(entry.ca.x / cellSize);
+            const cy = Math.floor(entry.ca.y / cellSize);
+            const cz = Math.floor(entry.ca.z / cellSize);
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const cell = grid.get(key(cx + dx, cy + dy, cz + dz));
+                        if (!cell) continue;
+
+                        for (const j of cell) {
+                            if (j <= i) continue;
+                            if (this.distanceSquared(entry.ca, entries[j].ca) < cutoffSq) {
+                                pairs.push([i, j]);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        return pairs;
+    }
+
+    // E = 0.084 * 332 * (1/rON + 1/rCH - 1/rOH - 1/rCN) kcal/mol
+    hbondEnergy(donor, acceptor) {
+        if (!donor.h) return 0;
+
+        const rON = this.distance(acceptor.o, donor.n);
+        const rCH = this.distance(acceptor.c, donor.h);
+        const rOH = this.distance(acceptor.o, donor.h);
+        const rCN = this.distance(acceptor.c, donor.n);
+
+        if (rON < 0.5 || rCH < 0.5 || rOH < 0.5 || rCN < 0.5) {
+            return this.minimalEnergy;
+        }
+
+        const energy = this.couplingFactor * (1 / rON + 1 / rCH - 1 / rOH - 1 / rCN);
+        return Math.max(this.minimalEnergy, energy);
+    }
+
+    calculateHydrogenBonds(entries, neighbors) {
+        const record = (donor, acceptorIndex, energy) => {
+            if (energy >= this.hbondCutoff) return;
+
+            // Keep only the two strongest bonds per donor, as DSSP does
+            donor.acceptors.push({ index: acceptorIndex, energy: energy });
+            donor.acceptors.sort((a, b) => a.energy - b.energy);
+            if (donor.acceptors.length > 2) {
+                donor.acceptors.length = 2;
+            }
+        };
+
+        for (const [i, j] of neighbors) {
+            if (j - i < 2) continue; // No bonds to the immediate neighbour
+
+            record(entries[j], i, this.hbondEnergy(entries[j], entries[i]));
+            record(entries[i], j, this.hbondEnergy(entries[i], entries[j]));
+        }
+    }
+
+    // True if the C=O of residue i accepts an H-bond from the N-H of residue j
+    hasHBond(entries, i, j) {
+        if (i < 0 || j < 0 || i >= entries.length || j >= entries.length) return false;
+        return entries[j].acceptors.some(bond => bond.index === i);
+    }
+
+    // True if residues from..to are one unbroken stretch of chain
+    isContinuous(entries, from, to) {
+        if (from < 0 || to >= entries.length || from > to) return false;
+        for (let k = from + 1; k <= to; k++) {
+            if (entries[k].breakBefore) return false;
+        }
+        return true;
+    }
+
+    // n-turn at i: H-bond from C=O(i) to N-H(i+n), for n = 3, 4, 5
+    findTurns(entries) {
+        const turns = { 3: [], 4: [], 5: [] };
+
+        for (const n of [3, 4, 5]) {
+            for (let i = 0; i < entries.length; i++) {
+                turns[n][i] = this.isContinuous(entries, i, i + n) && this.hasHBond(entries, i, i + n);
+            }
+        }
+
+        return turns;
+    }
+
+    // Two consecutive n-turns at i-1 and i make residues i..i+n-1 helical
+    assignHelices(entries, turns, codes) {
+        const helixCodes = { 4: 'H', 3: 'G', 5: 'I' };
+
+        for (const n of [4, 3, 5]) {
+            for (let i = 1; i < entries.length; i++) {
+                if (!turns[n][i - 1] || !turns[n][i]) continue;
+
+                for (let k = i; k < i + n && k < entries.length; k++) {
+                    this.setCode(codes, k, helixCodes[n]);
+                }
+            }
+        }
+    }
+
+    assignBridgesAndLadders(entries, neighbors, codes) {
+        const bridges = [];
+
+        for (const [a, b] of neighbors) {
+            const i = Math.min(a, b);
+            const j = Math.max(a, b);
+            if (j - i < 3) continue;
+            if (!this.isContinuous(entries, i - 1, i + 1) || !this.isContinuous(entries, j - 1, j + 1)) continue;
+
+            const parallel =
+                (this.hasHBond(entries, i - 1, j) && this.hasHBond(entries, j, i + 1)) ||
+                (this.hasHBond(entries, j - 1, i) && this.hasHBond(entries, i, j + 1));
+
+            const antiparallel =
+                (this.hasHBond(entries, i, j) && this.hasHBond(entries, j, i)) ||
+                (this.hasHBond(entries, i - 1, j + 1) && this.hasHBond(entries, j - 1, i + 1));
+
+            if (parallel || antiparallel) {
+                bridges.push({ i: i, j: j, type: parallel ? 'parallel' : 'antiparallel' });
+            }
+        }
+
+        const ladders = this.mergeBulges(this.buildLadders(bridges));
+
+        for (const ladder of ladders) {
+            if (ladder.bridges.length === 1 && !ladder.merged) {
+                // Isolated bridge
+                this.setCode(codes, ladder.bridges[0].i, 'B');
+                this.setCode(codes, ladder.bridges[0].j, 'B');
+                continue;
+            }
+
+            for (let k = ladder.iStart; k <= ladder.iEnd; k++) {
+                this.setCode(codes, k, 'E');
+            }
+            for (let k = Math.min(ladder.jStart, ladder.jEnd); k <= Math.max(ladder.jStart, ladder.jEnd); k++) {
+                this.setCode(codes, k, 'E');
+            }
+        }
+    }
+
+    // Consecutive bridges of the same type form a ladder
+    buildLadders(bridges) {
+        const ladders = [];
+        bridges.sort((a, b) => a.i - b.i || a.j - b.j);
+
+        for (const bridge of bridges) {
+            const step = bridge.type === 'parallel' ? 1 : -1;
+            const ladder = ladders.find(l =>
+                l.type === bridge.type &&
+                l.iEnd === bridge.i - 1 &&
+                l.jEnd === bridge.j - step
+            );
+
+            if (ladder) {
+                ladder.bridges.push(bridge);
+                ladder.iEnd = bridge.i;
+                ladder.jEnd = bridge.j;
+            } else {
+                ladders.push({
+                    type: bridge.type,
+                    bridges: [bridge],
+                    iStart: bridge.i,
+                    iEnd: bridge.i,
+                    jStart: bridge.j,
+                    jEnd: bridge.j,
+                    merged: false
+                });
+            }
+        }
+
+        return ladders;
+    }
+
+    // Link ladders across beta-bulges: gap of at most 1 residue on one strand and 4 on the other
+    mergeBulges(ladders) {
+        let merged = true;
+
+        while (merged) {
+            merged = false;
+
+            for (let a = 0; a < ladders.length && !merged; a++) {
+                for (let b = 0; b < ladders.length && !merged; b++) {
+                    const first = ladders[a];
+                    const second = ladders[b];
+                    if (a === b || first.type !== second.type) continue;
+
+                    const gapI = second.iStart - first.iEnd - 1;
+                    const gapJ = first.type === 'parallel'
+                        ? second.jStart - first.jEnd - 1
+                        : first.jEnd - second.jStart - 1;
+
+                    if (gapI < 0 || gapJ < 0) continue;
+                    if (!((gapI <= 1 && gapJ <= 4) || (gapI <= 4 && gapJ <= 1))) continue;
+
+                    first.bridges.push(...second.bridges);
+                    first.iEnd = second.iEnd;
+                    first.jEnd = second.jEnd;
+                    first.merged = true;
+                    ladders.splice(b, 1);
+                    merged = true;
+                }
+            }
+        }
+
+        return ladders;
+    }
+
+    // Residues inside an n-turn that are not otherwise assigned
+    assignTurns(entries, turns, codes) {
+        for (const n of [3, 4, 5]) {
+            for (let i = 0; i < entries.length; i++) {
+                if (!turns[n][i]) continue;
+                for (let k = i + 1; k < i + n; k++) {
+                    this.setCode(codes, k, 'T');
+                }
+            }
+        }
+    }
+
+    // Bend: CA(i-2)->CA(i) and CA(i)->CA(i+2) directions differ by more than 70 degrees
+    assignBends(entries, codes) {
+        for (let i = 2; i < entries.length - 2; i++) {
+            if (!this.isContinuous(entries, i - 2, i + 2)) continue;
+
+            const v1 = this.subtract(entries[i].ca, entries[i - 2].ca);
+            const v2 = this.subtract(entries[i + 2].ca, entries[i].ca);
+            const cos = this.dot(v1, v2) / (this.length(v1) * this.length(v2));
+            const kappa = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+
+            if (kappa > this.bendAngle) {
+                this.setCode(codes, i, 'S');
+            }
+        }
+    }
+
+    setCode(codes, index, code) {
+        if (index < 0 || index >= codes.length) return;
+
+        const current = codes[index];
+        if (current === ' ' || this.priority.indexOf(code) < this.priority.indexOf(current)) {
+            codes[index] = code;
+        }
+    }
+
+    // Store DSSP codes on residues and map them to helix/sheet/coil
+    applyCodes(parser, entries, codes, residues = null) {
+        const summary = { helix: 0, sheet: 0, coil: 0, total: 0 };
+        const helixClasses = { 'H': 1, 'I': 3, 'G': 5 }; // PDB HELIX record classes
+        const assigned = residue => residue.isProtein && !residue.isWater && (!residues || residues.has(residue));
+
+        for (const residue of parser.residues) {
+            if (assigned(residue)) {
+                residue.secondaryStructure = 'coil';
+                residue.dssp = ' ';
+                delete residue.helixClass;
+                delete residue.sheetId;
+            }
+        }
+
+        entries.forEach((entry, index) => {
+            const code = codes[index];
+            const residue = entry.residue;
+            if (!assigned(residue)) return;
+            residue.dssp = code;
+
+            if (helixClasses[code]) {
+                residue.secondaryStructure = 'helix';
+                residue.helixClass = helixClasses[code];
+            } else if (code === 'E') {
+                residue.secondaryStructure = 'sheet';
+            }
+        });
+
+        for (const residue of parser.residues) {
+            if (!assigned(residue)) continue;
+            summary[residue.secondaryStructure]++;
+            summary.total++;
+        }
+
+        return summary;
+    }
+
+    // Vector helpers on plain {x, y, z} objects
+    subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    add(a, b) {
+        return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+    }
+
+    dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    length(v) {
+        return Math.sqrt(this.dot(v, v));
+    }
+
+    normalize(v) {
+        const len = this.length(v);
+        return len > 0 ? { x: v.x / len, y: v.y / len, z: v.z / len } : { x: 0, y: 0, z: 0 };
+    }
+
+    distanceSquared(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const dz = a.z - b.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    distance(a, b) {
+        return Math.sqrt(this.distanceSquared(a, b));
+    }
+}
+
+// Export to global namespace for non-module usage
+window.DSSPAnalyzer = DSSPAnalyzer;
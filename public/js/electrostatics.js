@@ -0,0 +1,125 @@
+/**
+ * Electrostatics
+ * Partial charges from residue and atom names, and a Coulomb potential with a
+ * distance-dependent dielectric (epsilon = 4r) evaluated at surface vertices.
+ * Used by surface-worker.js; has no Babylon.js dependency.
+ */
+
+class Electrostatics {
+    // Coulomb constant in kcal·Å/(mol·e²) and kT at 298 K in kcal/mol
+    static get COULOMB() { return 332.0636; }
+    static get KT() { return 0.5925; }
+
+    // Side-chain charges at pH 7 (united-atom, hydrogens not needed)
+    static get residueCharges() {
+        return {
+            ARG: { NE: 1 / 3, NH1: 1 / 3, NH2: 1 / 3 },
+            LYS: { NZ: 1 },
+            ASP: { OD1: -0.5, OD2: -0.5 },
+            GLU: { OE1: -0.5, OE2: -0.5 },
+            // Histidine is mostly neutral at pH 7; a small share of the protonated form
+            HIS: { ND1: 0.05, NE2: 0.05 }
+        };
+    }
+
+    // Peptide bond dipole
+    static get backboneCharges() {
+        return { C: 0.55, O: -0.55 };
+    }
+
+    // Ions recognised by residue name
+    static get ionCharges() {
+        return {
+            ZN: 2, MG: 2, CA: 2, MN: 2, FE: 2, FE2: 2, CO: 2, NI: 2, CU: 2, CD: 2,
+            NA: 1, K: 1, LI: 1, CL: -1, BR: -1, IOD: -1
+        };
+    }
+
+    // Partial charge of an atom; terminus is 'N', 'C' or null for the atom's
+    // residue position in its chain. Waters and unknown ligand atoms are neutral.
+    static chargeFor(atom, terminus = null) {
+        const residueName = (atom.resName || '').toUpperCase();
+        const atomName = (atom.name || '').toUpperCase();
+
+        if (atom.isHetAtom && Electrostatics.ionCharges[residueName] !== undefined) {
+            return Electrostatics.ionCharges[residueName];
+        }
+
+        if (terminus === 'N' && atomName === 'N') return 1;
+        if (terminus === 'C' && (atomName === 'O' || atomName === 'OXT')) return -0.5;
+        if (terminus === 'C' && atomName === 'C') return 0; // Carboxylate replaces the peptide dipole
+
+        const sideChain = Electrostatics.residueCharges[residueName];
+        if (sideChain && sideChain[atomName] !== undefined) {
+            return sideChain[atomName];
+        }
+
+        if (!atom.isHetAtom && Electrostatics.backboneCharges[atomName] !== undefined) {
+            return Electrostatics.backboneCharges[atomName];
+        }
+
+        return 0;
+    }
+
+    // Charged atoms of a parsed structure as flat positions and charges
+    static assignCharges(parser) {
+        const positions = [];
+        const charges = [];
+
+        // First and last amino acid of each chain carry the terminal charges
+        const termini = new Map();
+        for (const chain of parser.chains) {
+            const aminoAcids = chain.residues.filter(residue => residue.isProtein);
+            if (aminoAcids.length > 0) {
+                termini.set(aminoAcids[0], 'N');
+                termini.set(aminoAcids[aminoAcids.length - 1], 'C');
+            }
+        }
+
+        for (const residue of parser.residues) {
+            const terminus = termini.get(residue) || null;
+
+            for (const atom of residue.atoms) {
+                const charge = Electrostatics.chargeFor(atom, terminus);
+                if (charge !== 0) {
+                    positions.push(atom.x, atom.y, atom.z);
+                    charges.push(charge);
+                }
+            }
+        }
+
+        return { positions: Float32Array.from(positions), charges: Float32Array.from(charges) };
+    }
+
+    // Potential in kT/e at each point: sum of 332·q / (4r · r) over the charges.
+    // Distances are clamped so charges lying on the surface do not dominate.
+    static computePotential(points, chargePositions, charges, minimumDistance = 1.0) {
+        const pointCount = points.length / 3;
+        const potential = new Float32Array(pointCount);
+        const scale = Electrostatics.COULOMB / 4 / Electrostatics.KT;
+        const minimumSquared = minimumDistance * minimumDistance;
+
+        for (let p = 0; p < pointCount; p++) {
+            const x = points[p * 3];
+            const y = points[p * 3 + 1];
+            const z = points[p * 3 + 2];
+            let sum = 0;
+
+            for (let c = 0; c < charges.length; c++) {
+                const dx = chargePositions[c * 3] - x;
+                const dy = chargePositions[c * 3 + 1] - y;
+                const dz = chargePositions[c * 3 + 2] - z;
+                sum += charges[c] / Math.max(dx * dx + dy * dy + dz * dz, minimumSquared);
+            }
+
+            potential[p] = sum * scale;
+        }
+
+        return potential;
+    }
+}
+
+// Export to global namespace for non-module usage (also loaded by surface-worker.js)
+if (typeof window !== 'undefined') {
+    window.Electrostatics = Electrostatics;
+}
@@ -0,0 +1,277 @@
+/**
+ * Image Export
+ * Renders the scene to a PNG of any size. The image is split into tiles the
+ * GPU can draw, each rendered with an off-center slice of the full projection.
+ * A tile can average several sub-pixel jittered samples (supersampling) and
+ * use a screen-space ambient occlusion pass. A transparent background is
+ * recovered from renders over black and over white. Text labels are drawn on
+ * top at the output scale, and the DPI is stored in the PNG pHYs chunk.
+ */
+
+class ImageExporter {
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+        this.engine = scene.getEngine();
+        this.maxTileSize = 2048; // Per-tile sample sums are kept as floats
+        this.maxPixels = 100e6;
+    }
+
+    // Pixels for a size: plain numbers (or "px") are pixels; "in", "cm" and "mm" use dpi
+    static parseLength(value, dpi) {
+        const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(px|in|cm|mm)?$/i);
+        if (!match) {
+            throw new Error(`Invalid image size: ${value} (use pixels or a length like 8.5cm, 3.3in)`);
+        }
+
+        const inches = { in: 1, cm: 1 / 2.54, mm: 1 / 25.4 }[(match[2] || 'px').toLowerCase()];
+        return Math.round(inches ? parseFloat(match[1]) * inches * dpi : parseFloat(match[1]));
+    }
+
+    // Sub-pixel offsets in [-0.5, 0.5) from the Halton (2, 3) sequence, starting at the pixel center
+    static jitterOffsets(count) {
+        const halton = (index, base) => {
+            let fraction = 1;
+            let result = 0;
+            while (index > 0) {
+                fraction /= base;
+                result += fraction * (index % base);
+                index = Math.floor(index / base);
+            }
+            return result;
+        };
+
+        const offsets = [{ x: 0, y: 0 }];
+        for (let i = 1; i < count; i++) {
+            offsets.push({ x: halton(i, 2) - 0.5, y: halton(i, 3) - 0.5 });
+        }
+        return offsets;
+    }
+
+    // Render a width x height canvas. labels: [{ position (world Vector3), text,
+    // color, fontSize, offsetX, offsetY }] with sizes in on-screen pixels.
+    async render({ width, height, samples = 1, ambientOcclusion = false, transparent = false, labels = [] }) {
+        if (!(width >= 1 && height >= 1) || width * height > this.maxPixels) {
+            throw new Error(`Image size ${width}x${height} is out of range (up to ${this.maxPixels / 1e6} megapixels)`);
+        }
+
+        const engine = this.engine;
+        const screenWidth = engine.getRenderWidth();
+        const tileLimit = Math.min(this.maxTileSize, engine.getCaps().maxTextureSize || this.maxTileSize);
+        const columns = Math.ceil(width / tileLimit);
+        const rows = Math.ceil(height / tileLimit);
+        const tileWidth = Math.ceil(width / columns);
+        const tileHeight = Math.ceil(height / rows);
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+        const image = context.createImageData(width, height);
+
+        const clearColor = this.scene.clearColor;
+        const backgrounds = transparent
+            ? [new BABYLON.Color4(0, 0, 0, 1), new BABYLON.Color4(1, 1, 1, 1)]
+            : [clearColor];
+        const offsets = ImageExporter.jitterOffsets(Math.max(1, samples));
+        let pipeline = null;
+        let projection = null;
+
+        console.log(`Exporting ${width}x${height} image: ${columns * rows} tiles of ${tileWidth}x${tileHeight}, ${offsets.length} samples`);
+
+        engine.setSize(tileWidth, tileHeight);
+        try {
+            if (ambientOcclusion) {
+                pipeline = await this.createOcclusionPipeline();
+            }
+            projection = this.getFullProjection(width / height);
+
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const tile = { left: column * tileWidth, top: row * tileHeight };
+                    const sums = backgrounds.map(() => new Float32Array(tileWidth * tileHeight * 3));
+
+                    for (const offset of offsets) {
+                        this.camera.freezeProjectionMatrix(this.getTileProjection(projection, width, height, tile, tileWidth, tileHeight, offset));
+
+                        for (let pass = 0; pass < backgrounds.length; pass++) {
+                            this.scene.clearColor = backgrounds[pass];
+                            this.scene.render();
+                            const pixels = await engine.readPixels(0, 0, tileWidth, tileHeight);
+
+                            const sum = sums[pass];
+                            for (let i = 0, j = 0; i < sum.length; i += 3, j += 4) {
+                                sum[i] += pixels[j];
+                                sum[i + 1] += pixels[j + 1];
+                                sum[i + 2] += pixels[j + 2];
+                            }
+                        }
+                    }
+
+                    this.writeTile(image, sums, offsets.length, tile, tileWidth, tileHeight);
+                }
+            }
+        } finally {
+            this.camera.unfreezeProjectionMatrix();
+            this.scene.clearColor = clearColor;
+            if (pipeline) pipeline.dispose();
+            engine.resize();
+        }
+
+        context.putImageData(image, 0, 0);
+        this.drawLabels(context, labels, projection, width, height, width / screenWidth);
+        return output;
+    }
+
+    // PNG Blob of a rendered canvas, with the DPI stored when given
+    static async toPNG(canvas, dpi = null) {
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        return dpi ? ImageExporter.setPNGResolution(blob, dpi) : blob;
+    }
+
+    // The camera's projection for the whole image; the engine is sized to one tile,
+    // so the horizontal scale is recomputed from the image's aspect ratio
+    getFullProjection(aspect) {
+        const m = Array.from(this.camera.getProjectionMatrix(true).m);
+        m[0] = m[5] / aspect;
+        return BABYLON.Matrix.FromArray(m);
+    }
+
+    // Projection showing only one tile of the image, shifted by a sub-pixel offset
+    getTileProjection(projection, width, height, tile, tileWidth, tileHeight, offset) {
+        // Tile window in normalized device coordinates (y up)
+        const left = 2 * (tile.left + offset.x) / width - 1;
+        const right = left + 2 * tileWidth / width;
+        const top = 1 - 2 * (tile.top + offset.y) / height;
+        const bottom = top - 2 * tileHeight / height;
+
+        // Map that window onto the full clip space: x' = sx * x + ox * w
+        const sx = 2 / (right - left);
+        const sy = 2 / (top - bottom);
+        const ox = -(right + left) / (right - left);
+        const oy = -(top + bottom) / (top - bottom);
+
+        return projection.multiply(BABYLON.Matrix.FromValues(
+            sx, 0, 0, 0,
+            0, sy, 0, 0,
+            0, 0, 1, 0,
+            ox, oy, 0, 1
+        ));
+    }
+
+    // Average the samples of a tile into the image (readPixels rows run bottom-up).
+    // With black and white passes, alpha is what the background did not show through.
+    writeTile(image, sums, sampleCount, tile, tileWidth, tileHeight) {
+        const [base, white] = sums; // base: the only pass, or the one over black
+
+        for (let y = 0; y < tileHeight && tile.top + y < image.height; y++) {
+            const sourceRow = (tileHeight - 1 - y) * tileWidth;
+            for (let x = 0; x < tileWidth && tile.left + x < image.width; x++) {
+                const source = (sourceRow + x) * 3;
+                const target = ((tile.top + y) * image.width + tile.left + x) * 4;
+
+                if (white) {
+                    const shown = (white[source] - base[source] + white[source + 1] - base[source + 1] +
+                        white[source + 2] - base[source + 2]) / (3 * 255 * sampleCount);
+                    const alpha = Math.min(1, Math.max(0, 1 - shown));
+                    for (let c = 0; c < 3; c++) {
+                        image.data[target + c] = alpha > 0 ? base[source + c] / sampleCount / alpha : 0;
+                    }
+                    image.data[target + 3] = alpha * 255;
+                } else {
+                    for (let c = 0; c < 3; c++) {
+                        image.data[target + c] = base[source + c] / sampleCount;
+                    }
+                    image.data[target + 3] = 255;
+                }
+            }
+        }
+    }
+
+    // Screen-space ambient occlusion on the camera for the export (WebGL 2 only)
+    async createOcclusionPipeline() {
+        if (!BABYLON.SSAO2RenderingPipeline || !BABYLON.SSAO2RenderingPipeline.IsSupported) {
+            console.warn('Ambient occlusion needs WebGL 2; exporting without it');
+            return null;
+        }
+
+        const pipeline = new BABYLON.SSAO2RenderingPipeline('exportOcclusion', this.scene, { ssaoRatio: 1.0, blurRatio: 1.0 }, [this.camera]);
+        pipeline.radius = 4;
+        pipeline.totalStrength = 1.2;
+        pipeline.samples = 16;
+        pipeline.expensiveBlur = true;
+
+        // Shaders compile on first use; render until the effect is in place
+        for (let frame = 0; frame < 3; frame++) {
+            this.scene.render();
+            await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+        return pipeline;
+    }
+
+    // Labels as outlined text, scaled from screen pixels to image pixels
+    drawLabels(context, labels, projection, width, height, scale) {
+        if (labels.length === 0) return;
+
+        const transform = this.camera.getViewMatrix().multiply(projection);
+        const viewport = new BABYLON.Viewport(0, 0, width, height);
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.lineJoin = 'round';
+
+        for (const label of labels) {
+            const point = BABYLON.Vector3.Project(label.position, BABYLON.Matrix.Identity(), transform, viewport);
+            if (point.z < 0 || point.z > 1) continue; // Behind the camera or clipped
+
+            const x = point.x + label.offsetX * scale;
+            const y = point.y + label.offsetY * scale;
+            context.font = `${label.fontSize * scale}px Arial`;
+            context.lineWidth = 3 * scale;
+            context.strokeStyle = 'black';
+            context.strokeText(label.text, x, y);
+            context.fillStyle = label.color;
+            context.fillText(label.text, x, y);
+        }
+    }
+
+    // Insert a pHYs chunk (pixels per meter) after the PNG header so viewers
+    // and journals see the intended print resolution
+    static async setPNGResolution(blob, dpi) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const pixelsPerMeter = Math.round(dpi / 0.0254);
+
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, 9); // Data length
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+        view.setUint32(8, pixelsPerMeter);
+        view.setUint32(12, pixelsPerMeter);
+        chunk[16] = 1; // Unit: meter
+        view.setUint32(17, ImageExporter.crc32(chunk.subarray(4, 17)));
+
+        // 8-byte signature + IHDR chunk (length, type, 13 data bytes, CRC) = 33 bytes
+        return new Blob([bytes.subarray(0, 33), chunk, bytes.subarray(33)], { type: 'image/png' });
+    }
+
+    static crc32(bytes) {
+        if (!ImageExporter._crcTable) {
+            ImageExporter._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ImageExporter._crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (const byte of bytes) {
+            crc = ImageExporter._crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Export to global namespace for non-module usage
+window.ImageExporter = ImageExporter;
@@ -0,0 +1,441 @@
+/**
+ * Interaction Analyzer
+ * Finds the pocket residues around a ligand and classifies non-covalent
+ * interactions from heavy-atom geometry (no hydrogens needed): hydrogen bonds,
+ * salt bridges, pi-stacking, cation-pi, hydrophobic contacts and metal coordination
+ */
+
+class InteractionAnalyzer {
+    constructor(options = {}) {
+        this.pocketCutoff = options.pocketCutoff || 5.0;
+
+        // Distance criteria in Angstroms (similar to PLIP's defaults)
+        this.hydrogenBondDistance = { min: 2.5, max: 3.5 };
+        this.saltBridgeDistance = 4.0;
+        this.hydrophobicDistance = 4.0;
+        this.stackingDistance = 5.5;
+        this.cationPiDistance = 6.0;
+        this.ringOffset = 2.0; // Max lateral offset between ring centers
+        this.metalDistance = 2.8;
+        this.alkaliMetalDistance = 3.2; // Na, K and Ca sit further from their ligands
+    }
+
+    static get typeNames() {
+        return {
+            hbond: 'H-bond',
+            salt_bridge: 'Salt bridge',
+            pi_stacking: 'Pi-stacking',
+            cation_pi: 'Cation-pi',
+            hydrophobic: 'Hydrophobic',
+            metal: 'Metal'
+        };
+    }
+
+    static get metals() {
+        return ['ZN', 'MG', 'CA', 'MN', 'FE', 'CO', 'NI', 'CU', 'CD', 'NA', 'K', 'HG'];
+    }
+
+    // Aromatic rings of standard residues by atom name, in ring order
+    static get residueRings() {
+        const benzene = ['CG', 'CD1', 'CE1', 'CZ', 'CE2', 'CD2'];
+        return {
+            PHE: [benzene],
+            TYR: [benzene],
+            HIS: [['CG', 'ND1', 'CE1', 'NE2', 'CD2']],
+            TRP: [['CD2', 'CE2', 'CZ2', 'CH2', 'CZ3', 'CE3'], ['CG', 'CD1', 'NE1', 'CE2', 'CD2']]
+        };
+    }
+
+    static get hydrophobicResidues() {
+        return ['ALA', 'VAL', 'LEU', 'ILE', 'MET', 'PHE', 'TRP', 'PRO', 'TYR'];
+    }
+
+    // Analyze one ligand ({ resName, chainId, resSeq, atoms, bonds } from
+    // parser.ligands). Returns { ligand, pocketResidues, interactions }; each
+    // interaction has type, ligandAtoms, partnerAtoms (ring atoms for rings),
+    // residue (partner residue), distance and detail.
+    analyze(parser, ligand) {
+        const ligandAtoms = new Set(ligand.atoms);
+        const residueOf = new Map();
+        for (const residue of parser.residues) {
+            residue.atoms.forEach(atom => residueOf.set(atom, residue));
+        }
+
+        // Atoms in reach of the ligand, excluding water and the ligand itself
+        const reach = Math.max(this.pocketCutoff, this.cationPiDistance);
+        const nearby = parser.atoms.filter(atom => {
+            const residue = residueOf.get(atom);
+            return !ligandAtoms.has(atom) && residue && !residue.isWater &&
+                ligand.atoms.some(ligandAtom => this.distance(atom, ligandAtom) <= reach);
+        });
+        const isPolymer = (atom) => {
+            const residue = residueOf.get(atom);
+            return residue.isProtein || residue.isNucleic;
+        };
+
+        const pocketResidues = new Set();
+        for (const atom of nearby) {
+            if (isPolymer(atom) && ligand.atoms.some(ligandAtom => this.distance(atom, ligandAtom) <= this.pocketCutoff)) {
+                pocketResidues.add(residueOf.get(atom));
+            }
+        }
+
+        const polymerAtoms = nearby.filter(isPolymer);
+        const neighbors = this.buildNeighbors(ligand);
+        const ligandRings = this.findLigandRings(ligand, neighbors);
+        const residueRings = this.findResidueRings(pocketResidues);
+        const ligandCharges = this.ligandChargedAtoms(ligand, neighbors, ligandRings);
+        const context = { residueOf, polymerAtoms, neighbors, ligandRings, residueRings, ligandCharges };
+
+        const interactions = [
+            ...this.findSaltBridges(ligand, context),
+            ...this.findMetalCoordination(ligand, nearby, residueOf),
+            ...this.findPiStacking(ligandRings, residueRings),
+            ...this.findCationPi(ligandRings, residueRings, context),
+            ...this.findHydrophobicContacts(ligand, context)
+        ];
+        interactions.push(...this.findHydrogenBonds(ligand, context, interactions));
+
+        return {
+            ligand: ligand,
+            pocketResidues: Array.from(pocketResidues).sort((a, b) =>
+                a.chainId.localeCompare(b.chainId) || a.resSeq - b.resSeq),
+            interactions: interactions
+        };
+    }
+
+    distance(a, b) {
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    element(atom) {
+        return (atom.element || atom.name.charAt(0)).toUpperCase();
+    }
+
+    buildNeighbors(ligand) {
+        const neighbors = new Map(ligand.atoms.map(atom => [atom, []]));
+        for (const bond of ligand.bonds || []) {
+            neighbors.get(bond.atom1).push(bond.atom2);
+            neighbors.get(bond.atom2).push(bond.atom1);
+        }
+        return neighbors;
+    }
+
+    // Planar 5- and 6-membered rings of the ligand's bond graph
+    findLigandRings(ligand, neighbors) {
+        const rings = new Map();
+
+        const extend = (path) => {
+            const last = path[path.length - 1];
+            for (const next of neighbors.get(last)) {
+                if (next === path[0] && path.length >= 5) {
+                    const key = path.map(atom => ligand.atoms.indexOf(atom)).sort((a, b) => a - b).join(',');
+                    if (!rings.has(key)) rings.set(key, [...path]);
+                } else if (!path.includes(next) && path.length < 6) {
+                    path.push(next);
+                    extend(path);
+                    path.pop();
+                }
+            }
+        };
+
+        for (const atom of ligand.atoms) {
+            if (['C', 'N', 'O', 'S'].includes(this.element(atom))) {
+                extend([atom]);
+            }
+        }
+
+        return Array.from(rings.values())
+            .filter(atoms => atoms.every(atom => ['C', 'N', 'O', 'S'].includes(this.element(atom))))
+            .map(atoms => this.describeRing(atoms))
+            .filter(ring => ring.planarity < 0.25);
+    }
+
+    findResidueRings(residues) {
+        const rings = [];
+        for (const residue of residues) {
+            for (const names of InteractionAnalyzer.residueRings[residue.resName] || []) {
+                const atoms = names.map(name => residue.atoms.find(atom => atom.name === name));
+                if (atoms.every(Boolean)) {
+                    rings.push({ ...this.describeRing(atoms), residue });
+                }
+            }
+        }
+        return rings;
+    }
+
+    // Ring center, unit normal (Newell's method) and largest deviation from the plane
+    describeRing(atoms) {
+        const center = { x: 0, y: 0, z: 0 };
+        atoms.forEach(atom => {
+            center.x += atom.x / atoms.length;
+            center.y += atom.y / atoms.length;
+            center.z += atom.z / atoms.length;
+        });
+
+        const normal = { x: 0, y: 0, z: 0 };
+        atoms.forEach((a, i) => {
+            const b = atoms[(i + 1) % atoms.length];
+            normal.x += (a.y - b.y) * (a.z + b.z);
+            normal.y += (a.z - b.z) * (a.x + b.x);
+            normal.z += (a.x - b.x) * (a.y + b.y);
+        });
+        const length = Math.sqrt(normal.x * normal.x + normal.y * normal.y + normal.z * normal.z) || 1;
+        normal.x /= length;
+        normal.y /= length;
+        normal.z /= length;
+
+        const planarity = Math.max(...atoms.map(atom => Math.abs(
+            (atom.x - center.x) * normal.x + (atom.y - center.y) * normal.y + (atom.z - center.z) * normal.z)));
+
+        return { atoms, center, normal, planarity };
+    }
+
+    // Distance of a point from a ring center within the ring plane
+    ringOffsetOf(ring, point) {
+        const dx = point.x - ring.center.x;
+        const dy = point.y - ring.center.y;
+        const dz = point.z - ring.center.z;
+        const height = dx * ring.normal.x + dy * ring.normal.y + dz * ring.normal.z;
+        return Math.sqrt(Math.max(0, dx * dx + dy * dy + dz * dz - height * height));
+    }
+
+    // Charged ligand atoms guessed from bonding: phosphate, sulfate and carboxylate
+    // oxygens are negative; quaternary, amidine/guanidine and aliphatic amine
+    // nitrogens are positive
+    ligandChargedAtoms(ligand, neighbors, ligandRings) {
+        const positive = new Set();
+        const negative = new Set();
+        const ringAtoms = new Set(ligandRings.flatMap(ring => ring.atoms));
+        const heavy = (atom) => neighbors.get(atom).filter(other => this.element(other) !== 'H');
+        const terminalOxygens = (atom) => heavy(atom).filter(other => this.element(other) === 'O' && heavy(other).length === 1);
+
+        for (const atom of ligand.atoms) {
+            const element = this.element(atom);
+            const bonded = heavy(atom);
+
+            if (element === 'O' && bonded.length === 1) {
+                const center = bonded[0];
+                const centerElement = this.element(center);
+                if (centerElement === 'P' || centerElement === 'S' ||
+                    (centerElement === 'C' && terminalOxygens(center).length === 2)) {
+                    negative.add(atom);
+                }
+            } else if (element === 'N') {
+                if (bonded.length === 4) {
+                    positive.add(atom);
+                } else if (bonded.length === 1 && !ringAtoms.has(atom)) {
+                    const carbon = bonded[0];
+                    const carbonNeighbors = heavy(carbon).map(other => this.element(other));
+                    const nitrogens = carbonNeighbors.filter(e => e === 'N').length;
+                    const polar = carbonNeighbors.filter(e => e === 'O' || e === 'N').length;
+                    // Amidine/guanidine, or an amine on a carbon without other polar neighbors
+                    if ((nitrogens >= 2 && !carbonNeighbors.includes('O')) || (polar === 1 && !ringAtoms.has(carbon))) {
+                        positive.add(atom);
+                    }
+                }
+            }
+        }
+
+        return { positive, negative };
+    }
+
+    // Protein/nucleic charged groups follow Electrostatics.residueCharges,
+    // plus nucleic acid phosphates
+    polymerCharge(atom, residue) {
+        const charges = Electrostatics.residueCharges[residue.resName];
+        if (charges && charges[atom.name] !== undefined) {
+            return Math.sign(charges[atom.name]);
+        }
+        if (residue.isNucleic && ['OP1', 'OP2', 'O1P', 'O2P'].includes(atom.name)) {
+            return -1;
+        }
+        if (atom.name === 'OXT') {
+            return -1;
+        }
+        return 0;
+    }
+
+    // One salt bridge per ligand atom and residue, closest pair
+    findSaltBridges(ligand, { residueOf, polymerAtoms, ligandCharges }) {
+        const best = new Map();
+
+        for (const ligandAtom of ligand.atoms) {
+            const ligandCharge = ligandCharges.positive.has(ligandAtom) ? 1 : ligandCharges.negative.has(ligandAtom) ? -1 : 0;
+            if (ligandCharge === 0) continue;
+
+            for (const atom of polymerAtoms) {
+                const residue = residueOf.get(atom);
+                if (this.polymerCharge(atom, residue) !== -ligandCharge) continue;
+
+                const distance = this.distance(ligandAtom, atom);
+                const key = `${ligand.atoms.indexOf(ligandAtom)}:${residue.chainId}:${residue.resSeq}`;
+                if (distance <= this.saltBridgeDistance && (!best.has(key) || distance < best.get(key).distance)) {
+                    best.set(key, {
+                        type: 'salt_bridge', ligandAtoms: [ligandAtom], partnerAtoms: [atom], residue, distance,
+                        detail: ligandCharge > 0 ? 'ligand +, residue -' : 'ligand -, residue +'
+                    });
+                }
+            }
+        }
+
+        return Array.from(best.values());
+    }
+
+    // Metal ions in the ligand bound to N/O/S atoms around it, and ligand N/O/S
+    // atoms bound to nearby metal ions
+    findMetalCoordination(ligand, nearby, residueOf) {
+        const interactions = [];
+        const isMetal = (atom) => InteractionAnalyzer.metals.includes(this.element(atom));
+        const isDonor = (atom) => ['N', 'O', 'S'].includes(this.element(atom));
+        const limit = (metal) => ['NA', 'K', 'CA'].includes(this.element(metal)) ? this.alkaliMetalDistance : this.metalDistance;
+
+        for (const ligandAtom of ligand.atoms) {
+            for (const atom of nearby) {
+                const metal = isMetal(ligandAtom) && isDonor(atom) ? ligandAtom
+                    : isDonor(ligandAtom) && isMetal(atom) ? atom
+                    : null;
+                if (!metal) continue;
+
+                const distance = this.distance(ligandAtom, atom);
+                if (distance <= limit(metal)) {
+                    interactions.push({
+                        type: 'metal', ligandAtoms: [ligandAtom], partnerAtoms: [atom], residue: residueOf.get(atom), distance,
+                        detail: this.element(metal)
+                    });
+                }
+            }
+        }
+
+        return interactions;
+    }
+
+    findPiStacking(ligandRings, residueRings) {
+        const interactions = [];
+
+        for (const ligandRing of ligandRings) {
+            for (const ring of residueRings) {
+                const distance = this.distance(ligandRing.center, ring.center);
+                if (distance > this.stackingDistance) continue;
+
+                const cosine = Math.abs(ligandRing.normal.x * ring.normal.x + ligandRing.normal.y * ring.normal.y + ligandRing.normal.z * ring.normal.z);
+                const angle = Math.acos(Math.min(1, cosine)) * 180 / Math.PI;
+                const offset = Math.min(this.ringOffsetOf(ligandRing, ring.center), this.ringOffsetOf(ring, ligandRing.center));
+                if (offset > this.ringOffset) continue;
+
+                const detail = angle < 30 ? 'parallel' : angle > 60 ? 'T-shaped' : null;
+                if (detail) {
+                    interactions.push({
+                        type: 'pi_stacking', ligandAtoms: ligandRing.atoms, partnerAtoms: ring.atoms, residue: ring.residue, distance,
+                        detail: `${detail}, ${angle.toFixed(0)}°`
+                    });
+                }
+            }
+        }
+
+        return interactions;
+    }
+
+    // Cations over aromatic rings, in either direction
+    findCationPi(ligandRings, residueRings, { residueOf, polymerAtoms, ligandCharges }) {
+        const interactions = [];
+        const within = (ring, cation) => this.distance(ring.center, cation) <= this.cationPiDistance &&
+            this.ringOffsetOf(ring, cation) <= this.ringOffset;
+
+        // Lysine amines and arginine guanidinium centers
+        const cations = polymerAtoms.filter(atom => {
+            const residue = residueOf.get(atom);
+            return (residue.resName === 'LYS' && atom.name === 'NZ') || (residue.resName === 'ARG' && atom.name === 'CZ');
+        });
+
+        for (const ring of ligandRings) {
+            for (const atom of cations) {
+                if (within(ring, atom)) {
+                    interactions.push({
+                        type: 'cation_pi', ligandAtoms: ring.atoms, partnerAtoms: [atom], residue: residueOf.get(atom),
+                        distance: this.distance(ring.center, atom), detail: 'residue cation, ligand ring'
+                    });
+                }
+            }
+        }
+
+        for (const ring of residueRings) {
+            for (const atom of ligandCharges.positive) {
+                if (within(ring, atom)) {
+                    interactions.push({
+                        type: 'cation_pi', ligandAtoms: [atom], partnerAtoms: ring.atoms, residue: ring.residue,
+                        distance: this.distance(ring.center, atom), detail: 'ligand cation, residue ring'
+                    });
+                }
+            }
+        }
+
+        return interactions;
+    }
+
+    // Closest carbon-carbon contact per residue between non-polar ligand carbons
+    // and hydrophobic side chains
+    findHydrophobicContacts(ligand, { residueOf, polymerAtoms, neighbors }) {
+        // Side-chain carbons bonded to N or O are not hydrophobic
+        const polarCarbons = { TYR: ['CZ'], TRP: ['CD1', 'CE2'], PRO: ['CD'] };
+        const ligandCarbons = ligand.atoms.filter(atom => this.element(atom) === 'C' &&
+            neighbors.get(atom).every(other => ['C', 'H', 'F', 'CL', 'BR', 'I'].includes(this.element(other))));
+        const residueCarbons = polymerAtoms.filter(atom => {
+            const residue = residueOf.get(atom);
+            return InteractionAnalyzer.hydrophobicResidues.includes(residue.resName) &&
+                this.element(atom) === 'C' && atom.name !== 'C' && atom.name !== 'CA' &&
+                !(polarCarbons[residue.resName] || []).includes(atom.name);
+        });
+
+        const best = new Map();
+        for (const ligandAtom of ligandCarbons) {
+            for (const atom of residueCarbons) {
+                const distance = this.distance(ligandAtom, atom);
+                const residue = residueOf.get(atom);
+                if (distance <= this.hydrophobicDistance && (!best.has(residue) || distance < best.get(residue).distance)) {
+                    best.set(residue, {
+                        type: 'hydrophobic', ligandAtoms: [ligandAtom], partnerAtoms: [atom], residue, distance, detail: ''
+                    });
+                }
+            }
+        }
+
+        return Array.from(best.values());
+    }
+
+    // N/O pairs at hydrogen-bonding distance that are not already salt bridges
+    // or metal contacts
+    findHydrogenBonds(ligand, { residueOf, polymerAtoms }, existing) {
+        const interactions = [];
+        const paired = new Set(existing.filter(i => i.type === 'salt_bridge' || i.type === 'metal')
+            .map(i => `${ligand.atoms.indexOf(i.ligandAtoms[0])}:${residueOf.get(i.partnerAtoms[0]).chainId}:${residueOf.get(i.partnerAtoms[0]).resSeq}`));
+        const polar = (atom) => ['N', 'O'].includes(this.element(atom));
+
+        const polymerPolar = polymerAtoms.filter(polar);
+
+        for (const ligandAtom of ligand.atoms.filter(polar)) {
+            for (const atom of polymerPolar) {
+                // Proline's backbone nitrogen has no hydrogen to donate
+                if (atom.name === 'N' && residueOf.get(atom).resName === 'PRO') continue;
+
+                const distance = this.distance(ligandAtom, atom);
+                const residue = residueOf.get(atom);
+                if (distance < this.hydrogenBondDistance.min || distance > this.hydrogenBondDistance.max) continue;
+                if (paired.has(`${ligand.atoms.indexOf(ligandAtom)}:${residue.chainId}:${residue.resSeq}`)) continue;
+
+                interactions.push({
+                    type: 'hbond', ligandAtoms: [ligandAtom], partnerAtoms: [atom], residue, distance,
+                    detail: ['N', 'C', 'CA', 'O', 'OXT'].includes(atom.name) ? 'backbone' : 'side chain'
+                });
+            }
+        }
+
+        return interactions;
+    }
+}
+
+// Export to global namespace for non-module usage
+window.InteractionAnalyzer = InteractionAnalyzer;
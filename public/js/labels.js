@@ -0,0 +1,197 @@
+/**
+ * Label Expressions
+ * PyMOL-style label text for atoms: property names, quoted strings, "+" to
+ * join and Python "%" formatting, e.g.
+ *   resn + resi
+ *   "%s-%s" % (resn, resi)
+ *   "B=%.1f" % b
+ * Properties: resn, resi, chain, name, elem, b, q, model.
+ */
+
+class LabelExpression {
+    constructor(expression) {
+        this.expression = expression;
+        this.tokens = this.tokenize(expression);
+        this.position = 0;
+        this.ast = this.parseConcat();
+
+        if (this.position < this.tokens.length) {
+            throw new Error(`Unexpected "${this.tokens[this.position].value}" in label expression`);
+        }
+    }
+
+    // Atom property readers, keyed by expression name
+    static get properties() {
+        return {
+            resn: (atom) => atom.resName,
+            resi: (atom) => String(atom.resSeq) + (atom.iCode || '').trim(),
+            chain: (atom) => atom.chainId,
+            name: (atom) => atom.name,
+            elem: (atom) => atom.element,
+            b: (atom) => atom.tempFactor,
+            q: (atom) => atom.occupancy,
+            model: (atom, model) => model
+        };
+    }
+
+    tokenize(expression) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < expression.length) {
+            const ch = expression[i];
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (ch === '"' || ch === "'") {
+                const end = expression.indexOf(ch, i + 1);
+                if (end < 0) {
+                    throw new Error('Unterminated string in label expression');
+                }
+                tokens.push({ type: 'string', value: expression.slice(i + 1, end) });
+                i = end + 1;
+            } else if ('+%(),'.includes(ch)) {
+                tokens.push({ type: ch, value: ch });
+                i++;
+            } else {
+                const match = expression.slice(i).match(/^([A-Za-z_][A-Za-z0-9_]*|\d+(\.\d+)?)/);
+                if (!match) {
+                    throw new Error(`Unexpected "${ch}" in label expression`);
+                }
+                const word = match[0];
+                if (/^\d/.test(word)) {
+                    tokens.push({ type: 'number', value: parseFloat(word) });
+                } else if (Object.prototype.hasOwnProperty.call(LabelExpression.properties, word.toLowerCase())) {
+                    tokens.push({ type: 'property', value: word.toLowerCase() });
+                } else {
+                    throw new Error(`Unknown label property: ${word} (use ${Object.keys(LabelExpression.properties).join(', ')})`);
+                }
+                i += word.length;
+            }
+        }
+
+        return tokens;
+    }
+
+    peek(type) {
+        const token = this.tokens[this.position];
+        return token && token.type === type;
+    }
+
+    expect(type) {
+        if (!this.peek(type)) {
+            throw new Error(`Expected "${type}" in label expression`);
+        }
+        return this.tokens[this.position++];
+    }
+
+    // concat := format ('+' format)*
+    parseConcat() {
+        const parts = [this.parseFormat()];
+        while (this.peek('+')) {
+            this.position++;
+            parts.push(this.parseFormat());
+        }
+        return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+    }
+
+    // format := primary ('%' primary)?
+    parseFormat() {
+        const template = this.parsePrimary();
+        if (!this.peek('%')) return template;
+
+        this.position++;
+        return { type: 'format', template, values: this.parsePrimary() };
+    }
+
+    // primary := string | number | property | '(' concat (',' concat)* ')'
+    parsePrimary() {
+        const token = this.tokens[this.position];
+        if (!token) {
+            throw new Error('Incomplete label expression');
+        }
+
+        if (token.type === 'string' || token.type === 'number') {
+            this.position++;
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'property') {
+            this.position++;
+            return { type: 'property', name: token.value };
+        }
+        if (token.type === '(') {
+            this.position++;
+            const items = [this.parseConcat()];
+            while (this.peek(',')) {
+                this.position++;
+                items.push(this.parseConcat());
+            }
+            this.expect(')');
+            return items.length === 1 ? items[0] : { type: 'tuple', items };
+        }
+
+        throw new Error(`Unexpected "${token.value}" in label expression`);
+    }
+
+    // Label text for an atom; model is the protein's filename
+    evaluate(atom, model = '') {
+        const value = this.evaluateNode(this.ast, atom, model);
+        return Array.isArray(value) ? value.join(' ') : String(value);
+    }
+
+    evaluateNode(node, atom, model) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'property':
+                return LabelExpression.properties[node.name](atom, model);
+            case 'tuple':
+                return node.items.map(item => this.evaluateNode(item, atom, model));
+            case 'concat': {
+                const values = node.parts.map(part => this.evaluateNode(part, atom, model));
+                // Numbers add, anything involving text joins as text
+                return values.every(value => typeof value === 'number')
+                    ? values.reduce((sum, value) => sum + value, 0)
+                    : values.map(value => String(value)).join('');
+            }
+            case 'format': {
+                const values = this.evaluateNode(node.values, atom, model);
+                return LabelExpression.format(String(this.evaluateNode(node.template, atom, model)),
+                    Array.isArray(values) ? values : [values]);
+            }
+        }
+        return '';
+    }
+
+    // Python-style %s, %d, %i and %f (with optional width and precision)
+    static format(template, values) {
+        let index = 0;
+        const text = template.replace(/%(-?)(\d*)(?:\.(\d+))?([sdif%])/g, (match, left, width, precision, conversion) => {
+            if (conversion === '%') return '%';
+            if (index >= values.length) {
+                throw new Error('Not enough values for the label format');
+            }
+
+            const value = values[index++];
+            let formatted;
+            if (conversion === 's') {
+                formatted = String(value);
+            } else if (conversion === 'f') {
+                formatted = Number(value).toFixed(precision !== undefined ? parseInt(precision) : 6);
+            } else {
+                formatted = String(Math.trunc(Number(value)));
+            }
+
+            const padWidth = parseInt(width) || 0;
+            return left ? formatted.padEnd(padWidth) : formatted.padStart(padWidth);
+        });
+
+        if (index < values.length) {
+            throw new Error('Too many values for the label format');
+        }
+        return text;
+    }
+}
+
+// Export to global namespace for non-module usage
+window.LabelExpression = LabelExpression;
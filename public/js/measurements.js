@@ -0,0 +1,124 @@
+/**
+ * Measurement Geometry
+ * Distances, angles and dihedrals between atoms, and the arc points used to
+ * draw angles. Points are plain { x, y, z } objects.
+ */
+
+class MeasurementGeometry {
+    static subtract(a, b) {
+        return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+    }
+
+    static dot(a, b) {
+        return a.x * b.x + a.y * b.y + a.z * b.z;
+    }
+
+    static cross(a, b) {
+        return {
+            x: a.y * b.z - a.z * b.y,
+            y: a.z * b.x - a.x * b.z,
+            z: a.x * b.y - a.y * b.x
+        };
+    }
+
+    static length(a) {
+        return Math.sqrt(MeasurementGeometry.dot(a, a));
+    }
+
+    static normalize(a) {
+        const length = MeasurementGeometry.length(a) || 1;
+        return { x: a.x / length, y: a.y / length, z: a.z / length };
+    }
+
+    // Distance in Angstroms
+    static distance(a, b) {
+        return MeasurementGeometry.length(MeasurementGeometry.subtract(a, b));
+    }
+
+    // Angle a-b-c at b, in degrees
+    static angle(a, b, c) {
+        const u = MeasurementGeometry.normalize(MeasurementGeometry.subtract(a, b));
+        const v = MeasurementGeometry.normalize(MeasurementGeometry.subtract(c, b));
+        const cosine = Math.max(-1, Math.min(1, MeasurementGeometry.dot(u, v)));
+        return Math.acos(cosine) * 180 / Math.PI;
+    }
+
+    // Signed dihedral a-b-c-d in degrees (-180..180, IUPAC sign convention)
+    static dihedral(a, b, c, d) {
+        const { subtract, cross, dot, length } = MeasurementGeometry;
+        const b1 = subtract(b, a);
+        const b2 = subtract(c, b);
+        const b3 = subtract(d, c);
+        const n1 = cross(b1, b2);
+        const n2 = cross(b2, b3);
+        return Math.atan2(length(b2) * dot(b1, n2), dot(n1, n2)) * 180 / Math.PI;
+    }
+
+    // Points on a circular arc around center, starting in direction `from` (unit,
+    // perpendicular to the unit `axis`) and turning by `degrees` about the axis
+    static arcPoints(center, from, axis, degrees, radius, segments = 24) {
+        const points = [];
+        const k = axis;
+        const kCrossFrom = MeasurementGeometry.cross(k, from);
+
+        for (let i = 0; i <= segments; i++) {
+            const theta = (degrees * i / segments) * Math.PI / 180;
+            const cos = Math.cos(theta);
+            const sin = Math.sin(theta);
+            points.push({
+                x: center.x + radius * (from.x * cos + kCrossFrom.x * sin),
+                y: center.y + radius * (from.y * cos + kCrossFrom.y * sin),
+                z: center.z + radius * (from.z * cos + kCrossFrom.z * sin)
+            });
+        }
+
+        return points;
+    }
+
+    // Arc for the angle a-b-c at b, and a label position just outside it;
+    // null when the arms are (anti)parallel
+    static angleArc(a, b, c, radius) {
+        const { subtract, normalize, cross, length } = MeasurementGeometry;
+        const u = normalize(subtract(a, b));
+        const v = normalize(subtract(c, b));
+        const normal = cross(u, v);
+        if (length(normal) < 1e-6) return null;
+
+        const degrees = MeasurementGeometry.angle(a, b, c);
+        const points = MeasurementGeometry.arcPoints(b, u, normalize(normal), degrees, radius);
+        const middle = points[Math.floor(points.length / 2)];
+        return { points, labelPosition: MeasurementGeometry.extend(b, middle, 1.4) };
+    }
+
+    // Arc about the b-c axis from the a side to the d side, centered on the bond
+    static dihedralArc(a, b, c, d, radius) {
+        const { subtract, normalize, dot, length } = MeasurementGeometry;
+        const axis = normalize(subtract(c, b));
+        const project = (p, origin) => {
+            const offset = subtract(p, origin);
+            const along = dot(offset, axis);
+            return { x: offset.x - axis.x * along, y: offset.y - axis.y * along, z: offset.z - axis.z * along };
+        };
+
+        const from = project(a, b);
+        if (length(from) < 1e-6 || length(project(d, c)) < 1e-6) return null;
+
+        const center = { x: (b.x + c.x) / 2, y: (b.y + c.y) / 2, z: (b.z + c.z) / 2 };
+        const degrees = MeasurementGeometry.dihedral(a, b, c, d);
+        const points = MeasurementGeometry.arcPoints(center, normalize(from), axis, degrees, radius);
+        const middle = points[Math.floor(points.length / 2)];
+        return { points, labelPosition: MeasurementGeometry.extend(center, middle, 1.4) };
+    }
+
+    // Point on the ray from origin through p, scaled by factor
+    static extend(origin, p, factor) {
+        return {
+            x: origin.x + (p.x - origin.x) * factor,
+            y: origin.y + (p.y - origin.y) * factor,
+            z: origin.z + (p.z - origin.z) * factor
+        };
+    }
+}
+
+// Export to global namespace for non-module usage
+window.MeasurementGeometry = MeasurementGeometry;
@@ -0,0 +1,266 @@
+/**
+ * mmCIF / PDBx Parser
+ * Reads STAR-format category/loop data and fills the same atoms, residues,
+ * chains, helices, sheets and ligands structure as PDBParser
+ */
+
+class MMCIFParser extends PDBParser {
+    constructor() {
+        super();
+        this.categories = new Map(); // category name -> { fields: [], rows: [[]] }
+    }
+
+    // Quick content check: mmCIF files start with a data_ block and use _atom_site
+    static isMMCIF(text) {
+        const head = text.slice(0, 4096);
+        return /^\s*(#.*\n\s*)*data_/i.test(head) || /^_atom_site\./m.test(head);
+    }
+
+    parse(cifText) {
+        console.log('Parsing mmCIF structure...');
+        this.reset();
+        this.categories = this.parseCategories(this.tokenize(cifText));
+
+        const atomMap = new Map();
+
+        this.parseHeaderCategories();
+        const modelCoordinates = this.parseAtomSite(atomMap);
+        this.parseStructConf();
+        this.parseSheetRanges();
+
+        this.buildStructure(atomMap, modelCoordinates);
+        return this;
+    }
+
+    // Split CIF text into tokens. Unquoted "?" and "." (unknown / not applicable)
+    // become null; quoted values keep a flag so "_foo" strings are not read as tags.
+    tokenize(text) {
+        const tokens = [];
+        const lines = text.split(/\r?\n/);
+        const pattern = /'((?:[^']|'(?=\S))*)'(?=\s|$)|"((?:[^"]|"(?=\S))*)"(?=\s|$)|(#.*$)|(\S+)/g;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Semicolon-delimited multi-line text field
+            if (line.startsWith(';')) {
+                const textLines = [line.substring(1)];
+                i++;
+                while (i < lines.length && !lines[i].startsWith(';')) {
+                    textLines.push(lines[i]);
+                    i++;
+                }
+                tokens.push({ value: textLines.join('\n').trim(), quoted: true });
+                continue;
+            }
+
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(line)) !== null) {
+                if (match[3] !== undefined) break; // Comment runs to end of line
+
+                if (match[1] !== undefined || match[2] !== undefined) {
+                    tokens.push({ value: match[1] !== undefined ? match[1] : match[2], quoted: true });
+                } else {
+                    const value = match[4];
+                    tokens.push({ value: value === '?' || value === '.' ? null : value, quoted: false });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    // Group tokens into categories; only the first data block is read
+    parseCategories(tokens) {
+        const categories = new Map();
+        const isTag = (token) => token && !token.quoted && token.value && token.value.startsWith('_');
+        const isKeyword = (token, keyword) => token && !token.quoted && token.value &&
+            token.value.toLowerCase().startsWith(keyword);
+        const splitTag = (tag) => {
+            const dot = tag.indexOf('.');
+            return dot > 0
+                ? { category: tag.substring(1, dot), field: tag.substring(dot + 1) }
+                : { category: tag.substring(1), field: '' };
+        };
+        const getCategory = (name) => {
+            if (!categories.has(name)) {
+                categories.set(name, { fields: [], rows: [] });
+            }
+            return categories.get(name);
+        };
+
+        let seenDataBlock = false;
+        let i = 0;
+
+        while (i < tokens.length) {
+            const token = tokens[i];
+
+            if (isKeyword(token, 'data_')) {
+                if (seenDataBlock) break;
+                seenDataBlock = true;
+                i++;
+            } else if (isKeyword(token, 'loop_')) {
+                i++;
+                const tags = [];
+                while (i < tokens.length && isTag(tokens[i])) {
+                    tags.push(splitTag(tokens[i].value));
+                    i++;
+                }
+                if (tags.length === 0) continue;
+
+                const category = getCategory(tags[0].category);
+                category.fields = tags.map(tag => tag.field);
+
+                let row = [];
+                while (i < tokens.length && !isTag(tokens[i]) &&
+                       !isKeyword(tokens[i], 'loop_') && !isKeyword(tokens[i], 'data_')) {
+                    row.push(tokens[i].value);
+                    if (row.length === tags.length) {
+                        category.rows.push(row);
+                        row = [];
+                    }
+                    i++;
+                }
+            } else if (isTag(token)) {
+                // Single-row category written as "_category.field value" pairs
+                const { category: name, field } = splitTag(token.value);
+                const category = getCategory(name);
+                const value = i + 1 < tokens.length ? tokens[i + 1].value : null;
+
+                if (category.rows.length === 0) {
+                    category.rows.push([]);
+                }
+                category.fields.push(field);
+                category.rows[0].push(value);
+                i += 2;
+            } else {
+                i++;
+            }
+        }
+
+        return categories;
+    }
+
+    // Rows of a category as plain objects keyed by field name
+    getCategory(name) {
+        const category = this.categories.get(name);
+        if (!category) return [];
+
+        return category.rows.map(row => {
+            const record = {};
+            category.fields.forEach((field, index) => {
+                record[field] = row[index];
+            });
+            return record;
+        });
+    }
+
+    parseHeaderCategories() {
+        const entry = this.getCategory('entry')[0] || {};
+        const keywords = this.getCategory('struct_keywords')[0] || {};
+        const status = this.getCategory('pdbx_database_status')[0] || {};
+        const struct = this.getCategory('struct')[0] || {};
+
+        this.header = {
+            classification: keywords.pdbx_keywords || '',
+            depDate: status.recvd_initial_deposition_date || '',
+            idCode: entry.id || '',
+            title: struct.title || ''
+        };
+    }
+
+    // Atoms of the first model build the topology; coordinates of later
+    // models (pdbx_PDB_model_num) are returned as flat x,y,z arrays
+    parseAtomSite(atomMap) {
+        const rows = this.getCategory('atom_site');
+        if (rows.length === 0) {
+            console.warn('mmCIF file has no _atom_site records');
+            return [];
+        }
+
+        const firstModel = rows[0].pdbx_PDB_model_num;
+        const modelCoordinates = new Map();
+
+        for (const row of rows) {
+            if (firstModel !== undefined && row.pdbx_PDB_model_num !== firstModel) {
+                if (!modelCoordinates.has(row.pdbx_PDB_model_num)) {
+                    modelCoordinates.set(row.pdbx_PDB_model_num, []);
+                }
+                modelCoordinates.get(row.pdbx_PDB_model_num).push(
+                    parseFloat(row.Cartn_x), parseFloat(row.Cartn_y), parseFloat(row.Cartn_z)
+                );
+                continue;
+            }
+
+            const name = row.auth_atom_id || row.label_atom_id || '';
+            const occupancy = parseFloat(row.occupancy); // NaN for "?" or "."; 0 is a real value
+            const atom = {
+                id: parseInt(row.id),
+                name: name,
+                altLoc: row.label_alt_id || '',
+                resName: row.auth_comp_id || row.label_comp_id || '',
+                chainId: row.auth_asym_id || row.label_asym_id || '',
+                resSeq: parseInt(row.auth_seq_id !== null && row.auth_seq_id !== undefined ? row.auth_seq_id : row.label_seq_id),
+                iCode: row.pdbx_PDB_ins_code || '',
+                x: parseFloat(row.Cartn_x),
+                y: parseFloat(row.Cartn_y),
+                z: parseFloat(row.Cartn_z),
+                occupancy: isNaN(occupancy) ? 1.0 : occupancy,
+                tempFactor: parseFloat(row.B_iso_or_equiv) || 0.0,
+                element: row.type_symbol || this.guessElement(name),
+                charge: row.pdbx_formal_charge || '',
+                isHetAtom: row.group_PDB === 'HETATM'
+            };
+
+            this.addAtom(atom, atomMap);
+        }
+
+        return Array.from(modelCoordinates.values());
+    }
+
+    // _struct_conf holds helices (HELX_*) and turns; only helices are used
+    parseStructConf() {
+        for (const row of this.getCategory('struct_conf')) {
+            if (!row.conf_type_id || !row.conf_type_id.toUpperCase().startsWith('HELX')) continue;
+
+            this.helices.push({
+                id: row.pdbx_PDB_helix_id || row.id || '',
+                helixClass: parseInt(row.pdbx_PDB_helix_class) || 1,
+                initChainId: row.beg_auth_asym_id || row.beg_label_asym_id || '',
+                initResSeq: parseInt(row.beg_auth_seq_id || row.beg_label_seq_id),
+                initICode: row.pdbx_beg_PDB_ins_code || '',
+                endChainId: row.end_auth_asym_id || row.end_label_asym_id || '',
+                endResSeq: parseInt(row.end_auth_seq_id || row.end_label_seq_id),
+                endICode: row.pdbx_end_PDB_ins_code || '',
+                comment: row.details || '',
+                length: parseInt(row.pdbx_PDB_helix_length) || 0
+            });
+        }
+    }
+
+    parseSheetRanges() {
+        const strandCounts = new Map();
+        for (const sheet of this.getCategory('struct_sheet')) {
+            strandCounts.set(sheet.id, parseInt(sheet.number_strands) || 1);
+        }
+
+        for (const row of this.getCategory('struct_sheet_range')) {
+            this.sheets.push({
+                strand: parseInt(row.id),
+                sheetId: row.sheet_id || '',
+                numStrands: strandCounts.get(row.sheet_id) || 1,
+                initChainId: row.beg_auth_asym_id || row.beg_label_asym_id || '',
+                initResSeq: parseInt(row.beg_auth_seq_id || row.beg_label_seq_id),
+                initICode: row.pdbx_beg_PDB_ins_code || '',
+                endChainId: row.end_auth_asym_id || row.end_label_asym_id || '',
+                endResSeq: parseInt(row.end_auth_seq_id || row.end_label_seq_id),
+                endICode: row.pdbx_end_PDB_ins_code || '',
+                sense: 0
+            });
+        }
+    }
+}
+
+// Export to global namespace for non-module usage
+window.MMCIFParser = MMCIFParser;
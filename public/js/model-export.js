@@ -0,0 +1,270 @@
+/**
+ * Model Export
+ * Writes rendered meshes as 3D model files for 3D printing, AR and other
+ * modelling software: binary glTF (.glb), Wavefront OBJ and binary STL.
+ * Meshes are merged per representation and baked into world coordinates with
+ * per-vertex colors. Coordinates are converted to a right-handed system with
+ * 1 unit per Angstrom (so 1 mm per Angstrom when printed).
+ */
+
+class ModelExporter {
+    // groups: [{ name, meshes }], one per representation; empty groups are skipped
+    constructor(groups) {
+        this.groups = groups
+            .map(({ name, meshes }) => ModelExporter.mergeMeshes(name, meshes))
+            .filter(group => group.indices.length > 0);
+    }
+
+    static get formats() {
+        return ['glb', 'obj', 'stl'];
+    }
+
+    // Color a material gives its mesh (vertex colors are multiplied by it)
+    static materialColor(material) {
+        const color = material && (material.diffuseColor || material.albedoColor);
+        return color || new BABYLON.Color3(1, 1, 1);
+    }
+
+    // One triangle list in world space: positions, normals and sRGB colors per
+    // vertex. Triangles are wound counter-clockwise when seen from the side the
+    // normals point to, whatever winding the source mesh used.
+    static mergeMeshes(name, meshes) {
+        const positions = [];
+        const normals = [];
+        const colors = [];
+        const indices = [];
+        const point = new BABYLON.Vector3();
+        const normal = new BABYLON.Vector3();
+
+        for (const mesh of meshes) {
+            const meshPositions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+            if (!meshPositions) continue;
+
+            const vertexCount = meshPositions.length / 3;
+            const meshNormals = mesh.getVerticesData(BABYLON.VertexBuffer.NormalKind);
+            const meshColors = mesh.getVerticesData(BABYLON.VertexBuffer.ColorKind);
+            const colorStride = meshColors ? meshColors.length / vertexCount : 0;
+            const meshIndices = mesh.getIndices() || Array.from({ length: vertexCount }, (value, i) => i);
+            const base = ModelExporter.materialColor(mesh.material);
+            const world = mesh.computeWorldMatrix(true);
+            const offset = positions.length / 3;
+
+            for (let i = 0; i < vertexCount; i++) {
+                // Mirror z to turn the left-handed scene into a right-handed model
+                BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(
+                    meshPositions[i * 3], meshPositions[i * 3 + 1], meshPositions[i * 3 + 2], world, point);
+                positions.push(point.x, point.y, -point.z);
+
+                if (meshNormals) {
+                    BABYLON.Vector3.TransformNormalFromFloatsToRef(
+                        meshNormals[i * 3], meshNormals[i * 3 + 1], meshNormals[i * 3 + 2], world, normal);
+                    normal.normalize();
+                    normals.push(normal.x, normal.y, -normal.z);
+                } else {
+                    normals.push(0, 0, 0); // Filled in from the faces below
+                }
+
+                const r = meshColors ? meshColors[i * colorStride] : 1;
+                const g = meshColors ? meshColors[i * colorStride + 1] : 1;
+                const b = meshColors ? meshColors[i * colorStride + 2] : 1;
+                colors.push(r * base.r, g * base.g, b * base.b);
+            }
+
+            for (let t = 0; t + 2 < meshIndices.length; t += 3) {
+                const a = offset + meshIndices[t];
+                let b = offset + meshIndices[t + 1];
+                let c = offset + meshIndices[t + 2];
+                if (meshNormals) {
+                    const face = ModelExporter.faceNormal(positions, a, b, c);
+                    const dot = [0, 1, 2].reduce((sum, axis) =>
+                        sum + face[axis] * (normals[a * 3 + axis] + normals[b * 3 + axis] + normals[c * 3 + axis]), 0);
+                    if (dot < 0) [b, c] = [c, b];
+                } else {
+                    // Mirroring reversed the winding; restore it and build smooth normals
+                    [b, c] = [c, b];
+                    const face = ModelExporter.faceNormal(positions, a, b, c);
+                    for (const vertex of [a, b, c]) {
+                        for (let axis = 0; axis < 3; axis++) {
+                            normals[vertex * 3 + axis] += face[axis];
+                        }
+                    }
+                }
+                indices.push(a, b, c);
+            }
+
+            if (!meshNormals) {
+                for (let i = offset; i < positions.length / 3; i++) {
+                    const length = Math.hypot(normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]) || 1;
+                    for (let axis = 0; axis < 3; axis++) normals[i * 3 + axis] /= length;
+                }
+            }
+        }
+
+        return {
+            name,
+            positions: Float32Array.from(positions),
+            normals: Float32Array.from(normals),
+            colors: Float32Array.from(colors),
+            indices: Uint32Array.from(indices)
+        };
+    }
+
+    // Unnormalized normal of triangle a, b, c wound counter-clockwise
+    static faceNormal(positions, a, b, c) {
+        const u = [0, 1, 2].map(axis => positions[b * 3 + axis] - positions[a * 3 + axis]);
+        const v = [0, 1, 2].map(axis => positions[c * 3 + axis] - positions[a * 3 + axis]);
+        return [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    }
+
+    getTriangleCount() {
+        return this.groups.reduce((total, group) => total + group.indices.length / 3, 0);
+    }
+
+    // Binary glTF 2.0: one node and mesh per representation sharing a double-sided
+    // vertex-color material (cartoon ribbons are open surfaces)
+    toGLB() {
+        const json = {
+            asset: { version: '2.0', generator: 'protein-cartoon-viewer' },
+            scene: 0,
+            scenes: [{ nodes: this.groups.map((group, index) => index) }],
+            nodes: this.groups.map((group, index) => ({ name: group.name, mesh: index })),
+            meshes: [],
+            materials: [{
+                name: 'vertexColor',
+                pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 0.6 },
+                doubleSided: true
+            }],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+
+        const chunks = [];
+        let byteLength = 0;
+        const addAccessor = (array, type, componentType, target, bounds = false) => {
+            json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: array.byteLength, target });
+            const size = type === 'VEC3' ? 3 : 1;
+            const accessor = { bufferView: json.bufferViews.length - 1, componentType, count: array.length / size, type };
+            if (bounds) {
+                accessor.min = [Infinity, Infinity, Infinity];
+                accessor.max = [-Infinity, -Infinity, -Infinity];
+                for (let i = 0; i < array.length; i++) {
+                    accessor.min[i % 3] = Math.min(accessor.min[i % 3], array[i]);
+                    accessor.max[i % 3] = Math.max(accessor.max[i % 3], array[i]);
+                }
+            }
+            json.accessors.push(accessor);
+            chunks.push(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+            byteLength += array.byteLength; // Float32 and Uint32 data keep 4-byte alignment
+            return json.accessors.length - 1;
+        };
+
+        for (const group of this.groups) {
+            // glTF vertex colors are linear; the viewer's colors are sRGB
+            const linear = group.colors.map(c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)));
+            json.meshes.push({
+                name: group.name,
+                primitives: [{
+                    attributes: {
+                        POSITION: addAccessor(group.positions, 'VEC3', 5126, 34962, true),
+                        NORMAL: addAccessor(group.normals, 'VEC3', 5126, 34962),
+                        COLOR_0: addAccessor(linear, 'VEC3', 5126, 34962)
+                    },
+                    indices: addAccessor(group.indices, 'SCALAR', 5125, 34963),
+                    material: 0
+                }]
+            });
+        }
+        json.buffers.push({ byteLength });
+
+        // JSON chunk padded with spaces to a 4-byte boundary
+        let jsonText = JSON.stringify(json);
+        while (jsonText.length % 4 !== 0) jsonText += ' ';
+        const jsonBytes = new TextEncoder().encode(jsonText);
+
+        const glb = new Uint8Array(12 + 8 + jsonBytes.length + 8 + byteLength);
+        const view = new DataView(glb.buffer);
+        view.setUint32(0, 0x46546c67, true); // "glTF"
+        view.setUint32(4, 2, true);
+        view.setUint32(8, glb.length, true);
+        view.setUint32(12, jsonBytes.length, true);
+        view.setUint32(16, 0x4e4f534a, true); // "JSON"
+        glb.set(jsonBytes, 20);
+
+        let position = 20 + jsonBytes.length;
+        view.setUint32(position, byteLength, true);
+        view.setUint32(position + 4, 0x004e4942, true); // "BIN\0"
+        position += 8;
+        for (const chunk of chunks) {
+            glb.set(chunk, position);
+            position += chunk.length;
+        }
+
+        return glb.buffer;
+    }
+
+    // Wavefront OBJ with one object per representation; vertex colors follow
+    // each position ("v x y z r g b"), as read by Blender and MeshLab
+    toOBJ() {
+        const lines = ['# protein-cartoon-viewer model export'];
+        let offset = 1; // OBJ indices are 1-based and global
+
+        for (const group of this.groups) {
+            const { positions, normals, colors, indices } = group;
+            lines.push(`o ${group.name}`);
+            for (let i = 0; i < positions.length; i += 3) {
+                lines.push(`v ${positions[i].toFixed(4)} ${positions[i + 1].toFixed(4)} ${positions[i + 2].toFixed(4)} ` +
+                    `${colors[i].toFixed(3)} ${colors[i + 1].toFixed(3)} ${colors[i + 2].toFixed(3)}`);
+            }
+            for (let i = 0; i < normals.length; i += 3) {
+                lines.push(`vn ${normals[i].toFixed(4)} ${normals[i + 1].toFixed(4)} ${normals[i + 2].toFixed(4)}`);
+            }
+            for (let i = 0; i < indices.length; i += 3) {
+                const [a, b, c] = [indices[i] + offset, indices[i + 1] + offset, indices[i + 2] + offset];
+                lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+            }
+            offset += positions.length / 3;
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    // Binary STL. Each facet stores its average color in the attribute bytes
+    // (VisCAM/SolidView convention: 5 bits per channel, bit 15 set).
+    toSTL() {
+        const triangleCount = this.getTriangleCount();
+        const buffer = new ArrayBuffer(84 + triangleCount * 50);
+        const view = new DataView(buffer);
+        const header = new TextEncoder().encode(`protein-cartoon-viewer: ${this.groups.map(group => group.name).join(', ')}`);
+        new Uint8Array(buffer).set(header.subarray(0, 80));
+        view.setUint32(80, triangleCount, true);
+
+        let position = 84;
+        for (const { positions, colors, indices } of this.groups) {
+            for (let t = 0; t < indices.length; t += 3) {
+                const vertices = [indices[t], indices[t + 1], indices[t + 2]];
+                const face = ModelExporter.faceNormal(positions, ...vertices);
+                const length = Math.hypot(...face) || 1;
+                face.forEach((value, axis) => view.setFloat32(position + axis * 4, value / length, true));
+                position += 12;
+
+                for (const vertex of vertices) {
+                    for (let axis = 0; axis < 3; axis++) {
+                        view.setFloat32(position, positions[vertex * 3 + axis], true);
+                        position += 4;
+                    }
+                }
+
+                const channel = (offset) => Math.round(31 * Math.min(1, Math.max(0,
+                    vertices.reduce((sum, vertex) => sum + colors[vertex * 3 + offset], 0) / 3)));
+                view.setUint16(position, 0x8000 | (channel(0) << 10) | (channel(1) << 5) | channel(2), true);
+                position += 2;
+            }
+        }
+
+        return buffer;
+    }
+}
+
+// Export to global namespace for non-module usage
+window.ModelExporter = ModelExporter;
@@ -0,0 +1,177 @@
+/**
+ * Movie Export
+ * Records movies one rendered frame at a time, either as a WebM video (a
+ * MediaRecorder on a canvas stream) or as a zip of numbered PNG files.
+ * Frames usually take longer to render than they are shown for, so the
+ * recorder is paused while a frame renders and resumed for exactly one frame
+ * interval; the video plays at the chosen rate however slow the rendering.
+ */
+
+class MovieExporter {
+    constructor(width, height, fps = 30) {
+        if (!(fps >= 1 && fps <= 120)) {
+            throw new Error(`Invalid frame rate: ${fps} (use 1-120 frames per second)`);
+        }
+        this.width = width;
+        this.height = height;
+        this.fps = fps;
+        this.bitsPerPixel = 0.2; // Per frame; about 12 Mbit/s for 1080p at 30 fps
+    }
+
+    static get formats() {
+        return ['webm', 'zip'];
+    }
+
+    // First WebM codec the browser can record, or null
+    static getWebMType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+        return ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    // Render frameCount frames with renderFrame(index) -> canvas and return the
+    // movie as a Blob. options: prefix (PNG file names), onProgress(done, total).
+    async record(format, frameCount, renderFrame, { prefix = 'frame', onProgress = null } = {}) {
+        switch (format) {
+            case 'webm':
+                return this.recordWebM(frameCount, renderFrame, onProgress);
+            case 'zip':
+                return this.recordZip(frameCount, renderFrame, prefix, onProgress);
+            default:
+                throw new Error(`Unknown movie format: ${format} (use ${MovieExporter.formats.join(' or ')})`);
+        }
+    }
+
+    async recordWebM(frameCount, renderFrame, onProgress) {
+        const mimeType = MovieExporter.getWebMType();
+        if (!mimeType) {
+            throw new Error('This browser cannot record WebM video; save a .zip of PNG frames instead');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        const context = canvas.getContext('2d');
+
+        // captureStream(0) only sends a frame when requestFrame is called
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: Math.round(this.width * this.height * this.fps * this.bitsPerPixel)
+        });
+        const chunks = [];
+        recorder.ondataavailable = (event) => {
+            if (event.data.size > 0) chunks.push(event.data);
+        };
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+        });
+
+        recorder.start();
+        recorder.pause();
+        try {
+            for (let frame = 0; frame < frameCount; frame++) {
+                context.drawImage(await renderFrame(frame), 0, 0, this.width, this.height);
+
+                recorder.resume();
+                track.requestFrame();
+                await new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+                recorder.pause();
+
+                if (onProgress) onProgress(frame + 1, frameCount);
+            }
+        } finally {
+            recorder.stop();
+            track.stop();
+        }
+
+        await stopped;
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    // PNG files prefix0001.png, prefix0002.png, ... in an uncompressed zip
+    async recordZip(frameCount, renderFrame, prefix, onProgress) {
+        const digits = Math.max(4, String(frameCount).length);
+        const files = [];
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const blob = await ImageExporter.toPNG(await renderFrame(frame));
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            files.push({
+                name: `${prefix}${String(frame + 1).padStart(digits, '0')}.png`,
+                data: blob,
+                size: bytes.length,
+                crc: ImageExporter.crc32(bytes)
+            });
+
+            if (onProgress) onProgress(frame + 1, frameCount);
+        }
+
+        return MovieExporter.createZip(files);
+    }
+
+    // Zip archive of stored (uncompressed) files: [{ name, data (Blob), size, crc }].
+    // PNG data is already compressed, so deflating it again would gain little.
+    static createZip(files, date = new Date()) {
+        const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+        const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+        const encoder = new TextEncoder();
+
+        // Fields shared by the local and central headers, from "version needed" on
+        const commonFields = (view, at, file, name) => {
+            view.setUint16(at, 20, true); // Version needed: 2.0
+            view.setUint16(at + 2, 0x0800, true); // UTF-8 names
+            view.setUint16(at + 4, 0, true); // Stored
+            view.setUint16(at + 6, time, true);
+            view.setUint16(at + 8, day, true);
+            view.setUint32(at + 10, file.crc, true);
+            view.setUint32(at + 14, file.size, true);
+            view.setUint32(at + 18, file.size, true);
+            view.setUint16(at + 22, name.length, true);
+        };
+
+        const parts = [];
+        const central = [];
+        let offset = 0;
+        for (const file of files) {
+            const name = encoder.encode(file.name);
+
+            const local = new Uint8Array(30 + name.length);
+            const localView = new DataView(local.buffer);
+            localView.setUint32(0, 0x04034b50, true);
+            commonFields(localView, 4, file, name);
+            local.set(name, 30);
+            parts.push(local, file.data);
+
+            const entry = new Uint8Array(46 + name.length);
+            const entryView = new DataView(entry.buffer);
+            entryView.setUint32(0, 0x02014b50, true);
+            entryView.setUint16(4, 20, true); // Version made by
+            commonFields(entryView, 6, file, name);
+            entryView.setUint32(42, offset, true);
+            entry.set(name, 46);
+            central.push(entry);
+
+            offset += local.length + file.size;
+            if (offset > 0xffffffff) {
+                throw new Error('Movie is larger than 4 GB; use fewer frames or a smaller size');
+            }
+        }
+
+        const centralSize = central.reduce((total, entry) => total + entry.length, 0);
+        const end = new Uint8Array(22);
+        const endView = new DataView(end.buffer);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, centralSize, true);
+        endView.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, end], { type: 'application/zip' });
+    }
+}
+
+// Export to global namespace for non-module usage
+window.MovieExporter = MovieExporter;
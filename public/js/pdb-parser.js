@@ -12,6 +12,8 @@ class PDBParser {
         this.sheets = [];
         this.header = {};
         this.ligands = []; // Store ligand molecules separately
+        this.coordinateSets = []; // One Float64Array of x,y,z per model (state)
+        this.currentState = 0;
     }
 
     parse(pdbText) {
@@ -20,12 +22,34 @@ class PDBParser {
 
         const lines = pdbText.split('\n');
         const atomMap = new Map();
+        const modelCoordinates = [];
+        let modelCount = 0;
+        let coordinates = null; // Coordinates of the current extra model
 
         for (const line of lines) {
             if (line.startsWith('HEADER')) {
                 this.parseHeader(line);
+            } else if (line.startsWith('TITLE')) {
+                this.parseTitle(line);
+            } else if (line.startsWith('MODEL')) {
+                // The first model defines the topology; later models only add coordinates
+                modelCount++;
+                coordinates = modelCount > 1 ? [] : null;
+            } else if (line.startsWith('ENDMDL')) {
+                if (coordinates) {
+                    modelCoordinates.push(coordinates);
+                }
+                coordinates = null;
             } else if (line.startsWith('ATOM') || line.startsWith('HETATM')) {
-                this.parseAtom(line, atomMap);
+                if (coordinates) {
+                    coordinates.push(
+                        parseFloat(line.substring(30, 38)),
+                        parseFloat(line.substring(38, 46)),
+                        parseFloat(line.substring(46, 54))
+                    );
+                } else {
+                    this.parseAtom(line, atomMap);
+                }
             } else if (line.startsWith('HELIX')) {
                 this.parseHelix(line);
             } else if (line.startsWith('SHEET')) {
@@ -33,13 +57,71 @@ class PDBParser {
             }
         }
 
+        if (coordinates) {
+            modelCoordinates.push(coordinates); // Last model without ENDMDL
+        }
+
+        this.buildStructure(atomMap, modelCoordinates);
+        return this;
+    }
+
+    // Build residues, chains, secondary structure and ligands from grouped atoms
+    // (shared with format-specific parsers such as MMCIFParser)
+    buildStructure(atomMap, modelCoordinates = []) {
         this.buildResidues(atomMap);
         this.buildChains();
         this.assignSecondaryStructure();
         this.buildLigands();
+        this.buildCoordinateSets(modelCoordinates);
 
-        console.log(`Parsed ${this.atoms.length} atoms, ${this.residues.length} residues, ${this.chains.length} chains, ${this.ligands.length} ligands`);
-        return this;
+        console.log(`Parsed ${this.atoms.length} atoms, ${this.residues.length} residues, ${this.chains.length} chains, ${this.ligands.length} ligands, ${this.coordinateSets.length} states`);
+    }
+
+    // State 0 holds the first model's coordinates; additional models must list
+    // the same atoms in the same order to share its topology
+    buildCoordinateSets(modelCoordinates) {
+        const first = new Float64Array(this.atoms.length * 3);
+        this.atoms.forEach((atom, i) => {
+            first[i * 3] = atom.x;
+            first[i * 3 + 1] = atom.y;
+            first[i * 3 + 2] = atom.z;
+        });
+
+        this.coordinateSets = [first];
+        this.currentState = 0;
+
+        modelCoordinates.forEach((coordinates, index) => {
+            if (coordinates.length !== first.length) {
+                console.warn(`Skipping model ${index + 2}: ${coordinates.length / 3} atoms, expected ${this.atoms.length}`);
+                return;
+            }
+            this.coordinateSets.push(Float64Array.from(coordinates));
+        });
+    }
+
+    getStateCount() {
+        return this.coordinateSets.length;
+    }
+
+    // Copy a coordinate set into the shared atom objects (0-based index)
+    setState(index) {
+        const coordinates = this.coordinateSets[index];
+        if (!coordinates || index === this.currentState) return false;
+
+        this.setCoordinates(coordinates);
+        this.currentState = index;
+        return true;
+    }
+
+    // Copy a flat x,y,z array (e.g. a streamed trajectory frame) into the atoms.
+    // The atoms no longer match a stored state until setState is called again.
+    setCoordinates(coordinates) {
+        this.atoms.forEach((atom, i) => {
+            atom.x = coordinates[i * 3];
+            atom.y = coordinates[i * 3 + 1];
+            atom.z = coordinates[i * 3 + 2];
+        });
+        this.currentState = -1;
     }
 
     reset() {
@@ -50,6 +132,8 @@ class PDBParser {
         this.sheets = [];
         this.header = {};
         this.ligands = [];
+        this.coordinateSets = [];
+        this.currentState = 0;
     }
 
     parseHeader(line) {
@@ -61,8 +145,16 @@ class PDBParser {
         };
     }
 
+    parseTitle(line) {
+        // TITLE may continue over several records (continuation number in columns 9-10)
+        const text = line.substring(10, 80).trim();
+        this.header.title = this.header.title ? `${this.header.title} ${text}` : text;
+    }
+
     parseAtom(line, atomMap) {
-        // ATOM/HETATM record format
+        // ATOM/HETATM record format. A blank occupancy means 1.0; a real 0.00
+        // (unobserved atoms) is kept so saving the structure preserves it.
+        const occupancy = parseFloat(line.substring(54, 60).trim());
         const atom = {
             id: parseInt(line.substring(6, 11).trim()),
             name: line.substring(12, 16).trim(),
@@ -74,13 +166,17 @@ class PDBParser {
             x: parseFloat(line.substring(30, 38).trim()),
             y: parseFloat(line.substring(38, 46).trim()),
             z: parseFloat(line.substring(46, 54).trim()),
-            occupancy: parseFloat(line.substring(54, 60).trim()) || 1.0,
+            occupancy: isNaN(occupancy) ? 1.0 : occupancy,
             tempFactor: parseFloat(line.substring(60, 66).trim()) || 0.0,
             element: line.substring(76, 78).trim() || this.guessElement(line.substring(12, 16).trim()),
             charge: line.substring(78, 80).trim(),
             isHetAtom: line.startsWith('HETATM')
         };
 
+        this.addAtom(atom, atomMap);
+    }
+
+    addAtom(atom, atomMap) {
         this.atoms.push(atom);
 
         // Group by residue
@@ -276,6 +372,13 @@ class PDBParser {
     }
 
     assignSecondaryStructure() {
+        // Predicted models and many mmCIF-derived files have no HELIX/SHEET
+        // records; assign from backbone hydrogen bonds instead (like PyMOL's dss)
+        if (this.helices.length === 0 && this.sheets.length === 0 && typeof DSSPAnalyzer !== 'undefined') {
+            new DSSPAnalyzer().analyze(this);
+            return;
+        }
+
         // First pass: assign from PDB records
         this.assignFromPDBRecords();
 
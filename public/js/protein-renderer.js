@@ -18,12 +18,55 @@ class ProteinRenderer {
         // Global rendering options
         this.currentColorScheme = 'secondary';
         this.showCartoon = false;
+        this.showPutty = false;
+        this.showSurface = false;
         this.showBackbone = true;
         this.showSticks = false;
         this.showSpheres = false;
         this.showLigands = true; // Show ligands by default
         this.lodEnabled = true;
 
+        // Molecular surfaces, computed in a Web Worker (surface-worker.js)
+        this.surfaceSettings = { probeRadius: 1.4, resolution: 0.5 };
+        this.surfaceWorker = null;
+        this.surfaceRequests = new Map(); // request id -> { resolve, reject }
+        this.nextSurfaceRequest = 1;
+
+        // PyMOL-style atom selections
+        this.selectionParser = new SelectionParser();
+        this.atomSelector = new AtomSelector();
+
+        // Multi-model coordinate states (NMR ensembles, trajectories)
+        this.currentState = 0; // 0-based; shown to users as 1-based
+        this.stateSpeed = 10; // States per second during playback
+        this.stateTimer = null;
+
+        // Streamed trajectories (proteinData.trajectory), stepped by frame
+        this.currentFrame = 0;
+        this.frameTimer = null;
+
+        // Distance/angle/dihedral measurements and the GUI layer for 3D labels
+        this.measurements = []; // { name, type, atoms: [{ proteinData, atom }], value, meshes, label }
+        this.labelTexture = null;
+
+        // Atom labels from the label command, keyed by atom
+        this.atomLabels = new Map(); // atom -> { proteinData, atom, text, label }
+        this.labelSettings = { size: 14, color: 'white', offset: { x: 0, y: 0 } }; // offset in pixels
+        this.maxLabels = 2000; // Each label is a GUI control; thousands slow every frame
+
+        // Named scenes (camera, representations and colors) for presenting
+        this.scenes = new Map(); // name -> { name, camera, representations, colorScheme, proteins: { filename: view } }
+        this.currentScene = null;
+        this.sceneTransition = null; // { finish } while a recall is animating
+
+        // Movie: a camera roll or rock, or a tour of the scenes, over movieLength frames
+        this.movie = null; // { type: 'roll' | 'rock' | 'scenes', angle }
+        this.movieLength = 120;
+        this.moviePlayback = null; // { stopped } while previewing
+
+        // SequenceViewer attached by the app; refreshed when proteins or "sele" change
+        this.sequenceViewer = null;
+
         // Performance tracking
         this.renderStats = {
             totalProteins: 0,
@@ -36,7 +79,9 @@ class ProteinRenderer {
     }
 
     // Add a new protein to the scene (supports multiple proteins)
-    async addProtein(pdbText, filename = 'unknown.pdb', clearFirst = false) {
+    // source records where the text came from for sessions: { server: name } for
+    // files in the data directory, otherwise the text itself is kept
+    async addProtein(pdbText, filename = 'unknown.pdb', clearFirst = false, source = null) {
         console.log(`Adding protein from ${filename}...`);
         const startTime = performance.now();
 
@@ -55,23 +100,38 @@ class ProteinRenderer {
                 this.removeProtein(filename);
             }
 
-            // Create new parser for this protein
-            const parser = new PDBParser();
+            // Create new parser for this protein (mmCIF detected from content)
+            const parser = MMCIFParser.isMMCIF(pdbText) ? new MMCIFParser() : new PDBParser();
             parser.parse(pdbText);
 
+            // Show the same state as the proteins already loaded
+            if (this.currentState > 0) {
+                parser.setState(Math.min(this.currentState, parser.getStateCount() - 1));
+            }
+
             // Calculate position for this protein
             const position = this.calculateProteinPosition();
 
             // Create protein data object
             const proteinData = {
                 filename: filename,
+                source: source || { content: pdbText },
                 parser: parser,
                 position: position,
                 meshes: [],
+                putty: [], // B-factor putty tubes
+                surface: [], // Solvent-excluded surface
                 backboneTraces: [],
                 sticks: [], // Combined atoms and bonds
                 spheres: [], // Space-filling CPK spheres
                 ligands: [], // Wireframe ligand representations
+                interactions: [], // InteractionAnalyzer results for analyzed ligands
+                interactionLines: [], // Dashed lines drawn for those interactions
+                selections: new Map(), // Named selections: name -> Set of atoms
+                trajectory: null, // TrajectoryStream of streamed coordinate frames
+                transform: null, // Rigid transform from align, applied to trajectory frames
+                staleMeshes: false, // Putty/surface left at old coordinates during playback
+                atomColors: new Map(), // atom -> Color3 from color/spectrum commands
                 bounds: null,
                 visible: true
             };
@@ -79,11 +139,19 @@ class ProteinRenderer {
             // Store protein
             this.proteins.set(filename, proteinData);
 
+            // Predicted models are colored by pLDDT confidence by default
+            if (this.isPredictedModel(parser, filename)) {
+                const allAtoms = [{ proteinData, atoms: new Set(parser.atoms) }];
+                this.colorResults(allAtoms, atom => ColorTable.spectrum('plddt', atom.tempFactor / 100));
+                this.showSpectrumLegend({ property: 'plddt', palette: 'plddt', minimum: 0, maximum: 100 });
+            }
+
             // Generate visualizations for this protein
             await this.generateProteinVisualizations(proteinData);
 
             // Update statistics
             this.updateRenderStats();
+            this.updateSequenceViewer();
 
             // Update UI
             this.updateProteinInfo(filename);
@@ -149,6 +217,21 @@ class ProteinRenderer {
     async generateProteinVisualizations(proteinData) {
         const promises = [];
 
+        // Generate cartoon ribbons
+        if (this.showCartoon) {
+            promises.push(this.generateProteinCartoonRibbons(proteinData));
+        }
+
+        // Generate putty tubes
+        if (this.showPutty) {
+            promises.push(this.generateProteinPutty(proteinData));
+        }
+
+        // Generate molecular surface
+        if (this.showSurface) {
+            promises.push(this.generateProteinSurface(proteinData));
+        }
+
         // Generate backbone traces
         if (this.showBackbone) {
             promises.push(this.generateProteinBackboneTraces(proteinData));
@@ -192,12 +275,171 @@ class ProteinRenderer {
             }
         }
 
-        // Apply current color scheme
-        this.applyProteinColorScheme(proteinData, this.currentColorScheme);
+        // Apply current color scheme, then any colors set on atoms
+        this.ribbonGenerator.applyColorScheme(proteinData.meshes, this.currentColorScheme, proteinData.parser);
+        this.applyStoredColors(proteinData, proteinData.meshes);
 
         console.log(`Generated ${proteinData.meshes.length} PyMOL-style cartoon segments for ${proteinData.filename}`);
     }
 
+    async generateProteinPutty(proteinData) {
+        console.log(`Generating putty for ${proteinData.filename}...`);
+
+        for (const chain of proteinData.parser.chains) {
+            if (chain.type === 'protein' && chain.residues.length > 3) {
+                const puttyMeshes = this.cartoonGenerator.generatePutty(proteinData.parser, chain.id);
+
+                puttyMeshes.forEach(mesh => {
+                    mesh.position.x += proteinData.position.x;
+                    mesh.position.y += proteinData.position.y;
+                    mesh.position.z += proteinData.position.z;
+                    mesh.proteinId = proteinData.filename;
+                });
+
+                proteinData.putty.push(...puttyMeshes);
+            }
+        }
+
+        this.applyStoredColors(proteinData, proteinData.putty);
+        console.log(`Generated ${proteinData.putty.length} putty tubes for ${proteinData.filename}`);
+    }
+
+    // Build a solvent-excluded surface over the given atoms (polymer atoms by default,
+    // so ligand pockets stay open). The previous surface stays until the new one is ready.
+    async generateProteinSurface(proteinData, atoms = null) {
+        console.log(`Generating surface for ${proteinData.filename}...`);
+
+        if (!atoms) {
+            const ast = this.selectionParser.parse('polymer');
+            atoms = [...this.atomSelector.evaluate(ast, proteinData.parser, this.getSelectionContext(proteinData.filename))];
+        }
+        if (atoms.length === 0) return;
+
+        const surface = await this.computeSurface(atoms);
+
+        // The protein may have been removed while the worker was busy
+        if (this.proteins.get(proteinData.filename) !== proteinData) return;
+
+        const mesh = this.ribbonGenerator.createSurfaceMesh(
+            `surface_${proteinData.filename}`, surface, atoms, atom => this.getAtomColor(proteinData, atom));
+        mesh.position.x += proteinData.position.x;
+        mesh.position.y += proteinData.position.y;
+        mesh.position.z += proteinData.position.z;
+        mesh.proteinId = proteinData.filename;
+
+        proteinData.surface.forEach(old => old.dispose());
+        proteinData.surface = [mesh];
+
+        console.log(`Generated surface with ${surface.indices.length / 3} triangles for ${proteinData.filename}`);
+    }
+
+    // Run SurfaceGenerator in the surface worker; resolves with positions, normals,
+    // indices and the nearest atom index of each vertex
+    computeSurface(atoms) {
+        const positions = new Float32Array(atoms.length * 3);
+        const radii = new Float32Array(atoms.length);
+
+        atoms.forEach((atom, i) => {
+            positions[i * 3] = atom.x;
+            positions[i * 3 + 1] = atom.y;
+            positions[i * 3 + 2] = atom.z;
+            radii[i] = this.ribbonGenerator.cpkRadii[(atom.element || 'C').toUpperCase()] || 1.70;
+        });
+
+        const { probeRadius, resolution } = this.surfaceSettings;
+        return this.runSurfaceTask(
+            { task: 'surface', positions, radii, probeRadius, resolution },
+            [positions.buffer, radii.buffer],
+            () => new SurfaceGenerator({ probeRadius, resolution }).generate(positions, radii)
+        );
+    }
+
+    // Post a task to the surface worker and resolve with its reply; fallback()
+    // computes the same result on the main thread where workers are unavailable
+    runSurfaceTask(message, transfer, fallback) {
+        if (typeof Worker === 'undefined') {
+            return Promise.resolve().then(fallback);
+        }
+
+        if (!this.surfaceWorker) {
+            this.surfaceWorker = new Worker('js/surface-worker.js');
+            this.surfaceWorker.onmessage = (event) => {
+                const request = this.surfaceRequests.get(event.data.id);
+                if (!request) return;
+
+                this.surfaceRequests.delete(event.data.id);
+                if (event.data.error) {
+                    request.reject(new Error(event.data.error));
+                } else {
+                    request.resolve(event.data);
+                }
+            };
+            this.surfaceWorker.onerror = (event) => {
+                for (const request of this.surfaceRequests.values()) {
+                    request.reject(new Error(`Surface worker failed: ${event.message}`));
+                }
+                this.surfaceRequests.clear();
+            };
+        }
+
+        const id = this.nextSurfaceRequest++;
+        return new Promise((resolve, reject) => {
+            this.surfaceRequests.set(id, { resolve, reject });
+            this.surfaceWorker.postMessage({ id, ...message }, transfer);
+        });
+    }
+
+    // Color surfaces by electrostatic potential (kT/e) with a red-white-blue ramp:
+    // red at or below minimum, blue at or above maximum
+    async colorSurfacesByPotential(minimum = -5, maximum = 5) {
+        if (isNaN(minimum) || isNaN(maximum) || minimum >= maximum) {
+            throw new Error(`Invalid potential limits: ${minimum} to ${maximum}`);
+        }
+
+        const surfaced = Array.from(this.proteins.values()).filter(proteinData => proteinData.surface.length > 0);
+        if (surfaced.length === 0) {
+            throw new Error('No surface to color (use "show surface" first)');
+        }
+
+        for (const proteinData of surfaced) {
+            for (const mesh of proteinData.surface) {
+                await this.applySurfacePotential(proteinData, mesh, { minimum, maximum });
+            }
+        }
+
+        this.showSpectrumLegend({ property: 'potential (kT/e)', palette: 'red_white_blue', minimum, maximum });
+        return surfaced.length;
+    }
+
+    // Potential at the surface vertices from the protein's partial charges is
+    // computed once per mesh in the worker; new limits only recolor
+    async applySurfacePotential(proteinData, mesh, limits) {
+        if (!mesh.metadata.potential) {
+            const { positions, charges } = Electrostatics.assignCharges(proteinData.parser);
+            const points = Float32Array.from(mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind));
+
+            const result = await this.runSurfaceTask(
+                { task: 'potential', points, chargePositions: positions, charges },
+                [points.buffer, positions.buffer, charges.buffer],
+                () => ({ potential: Electrostatics.computePotential(points, positions, charges) })
+            );
+
+            // The surface may have been rebuilt while the worker was busy
+            if (!proteinData.surface.includes(mesh)) return;
+            mesh.metadata.potential = result.potential;
+        }
+
+        const { minimum, maximum } = limits;
+        mesh.metadata.potentialLimits = limits;
+        this.ribbonGenerator.setVertexColorsFromValues(mesh, mesh.metadata.potential,
+            value => ColorTable.spectrum('red_white_blue', (value - minimum) / (maximum - minimum)));
+    }
+
+    // Color of an atom on surfaces: set by color/spectrum, otherwise CPK
+    getAtomColor(proteinData, atom) {
+        return proteinData.atomColors.get(atom) || this.ribbonGenerator.getCPKColor((atom.element || 'C').toUpperCase());
+    }
+
     async generateProteinBackboneTraces(proteinData) {
         console.log(`Generating backbone traces for ${proteinData.filename}...`);
 
@@ -249,6 +491,7 @@ class ProteinRenderer {
                 });
 
                 // Combine atoms and bonds into sticks array
+                this.applyStoredColors(proteinData, spheres);
                 proteinData.sticks.push(...spheres, ...bonds);
             }
         }
@@ -273,6 +516,7 @@ class ProteinRenderer {
                     sphere.isVisible = this.showSpheres;
                 });
 
+                this.applyStoredColors(proteinData, spheres);
                 proteinData.spheres.push(...spheres);
             }
         }
@@ -295,6 +539,7 @@ class ProteinRenderer {
             mesh.isVisible = this.showLigands;
         });
 
+        this.applyStoredColors(proteinData, ligandMeshes);
         proteinData.ligands.push(...ligandMeshes);
 
         console.log(`Generated ${proteinData.ligands.length} ligand wireframe elements for ${proteinData.filename}`);
@@ -312,16 +557,26 @@ class ProteinRenderer {
 
         // Dispose meshes
         proteinData.meshes.forEach(mesh => mesh.dispose());
+        proteinData.putty.forEach(mesh => mesh.dispose());
+        proteinData.surface.forEach(mesh => mesh.dispose());
         proteinData.backboneTraces.forEach(trace => trace.dispose());
         proteinData.sticks.forEach(stick => stick.dispose());
         proteinData.spheres.forEach(sphere => sphere.dispose());
         proteinData.ligands.forEach(ligand => ligand.dispose());
+        proteinData.interactionLines.forEach(line => line.dispose());
+
+        // Measurements lose an atom when its protein goes
+        this.measurements
+            .filter(measurement => measurement.atoms.some(entry => entry.proteinData === proteinData))
+            .forEach(measurement => this.deleteMeasurement(measurement.name));
+        this.clearLabels(proteinData);
 
         // Remove from map
         this.proteins.delete(filename);
 
         // Update statistics
         this.updateRenderStats();
+        this.updateSequenceViewer();
 
         console.log(`Protein ${filename} removed. Remaining proteins: ${this.proteins.size}`);
         return true;
@@ -334,24 +589,41 @@ class ProteinRenderer {
         for (const [filename, proteinData] of this.proteins) {
             // Dispose meshes
             proteinData.meshes.forEach(mesh => mesh.dispose());
+            proteinData.putty.forEach(mesh => mesh.dispose());
+            proteinData.surface.forEach(mesh => mesh.dispose());
             proteinData.backboneTraces.forEach(trace => trace.dispose());
             proteinData.sticks.forEach(stick => stick.dispose());
             proteinData.spheres.forEach(sphere => sphere.dispose());
             proteinData.ligands.forEach(ligand => ligand.dispose());
+            proteinData.interactionLines.forEach(line => line.dispose());
         }
 
+        this.deleteMeasurement('all');
+        this.clearLabels();
         this.proteins.clear();
         this.nextProteinPosition = { x: 0, y: 0, z: 0 };
+        this.stopStates();
+        this.stopFrames();
+        this.currentState = 0;
+        this.currentFrame = 0;
 
         // Update statistics
         this.updateRenderStats();
+        this.updateSequenceViewer();
 
         console.log('All proteins cleared');
     }
 
     // Apply color scheme to a specific protein
     applyProteinColorScheme(proteinData, colorScheme) {
+        // Schemes replace any per-residue colors from the color and spectrum commands
+        proteinData.atomColors.clear();
+        proteinData.meshes.forEach(mesh => this.ribbonGenerator.resetVertexColors(mesh));
         this.ribbonGenerator.applyColorScheme(proteinData.meshes, colorScheme, proteinData.parser);
+        proteinData.surface.forEach(mesh => {
+            delete mesh.metadata.potentialLimits;
+            this.ribbonGenerator.setAtomVertexColors(mesh, atom => this.getAtomColor(proteinData, atom));
+        });
     }
 
     // Get list of loaded protein names
@@ -370,6 +642,12 @@ class ProteinRenderer {
             if (proteinData.meshes.includes(mesh)) {
                 return 'cartoon';
             }
+            if (proteinData.putty.includes(mesh)) {
+                return 'putty';
+            }
+            if (proteinData.surface.includes(mesh)) {
+                return 'surface';
+            }
             if (proteinData.backboneTraces.includes(mesh)) {
                 return 'backbone';
             }
@@ -402,6 +680,33 @@ class ProteinRenderer {
         }
     }
 
+    // Regenerate putty tubes for all proteins (also after putty settings change)
+    async generatePutty() {
+        for (const [filename, proteinData] of this.proteins) {
+            proteinData.putty.forEach(mesh => mesh.dispose());
+            proteinData.putty = [];
+
+            if (this.showPutty) {
+                await this.generateProteinPutty(proteinData);
+            }
+        }
+    }
+
+    // Build surfaces for proteins that do not have one yet
+    async generateSurfaces() {
+        for (const [filename, proteinData] of this.proteins) {
+            if (proteinData.surface.length > 0) continue;
+
+            try {
+                await this.generateProteinSurface(proteinData);
+                proteinData.surface.forEach(mesh => this.setMeshVisibility(mesh, this.showSurface));
+            } catch (error) {
+                console.error('Error generating surface:', error);
+                this.showError(`Failed to generate surface: ${error.message}`);
+            }
+        }
+    }
+
     // Legacy method - now regenerates for all proteins
     async generateBackboneTraces() {
         console.log('Regenerating backbone traces for all proteins...', 'showBackbone:', this.showBackbone);
@@ -516,6 +821,42 @@ class ProteinRenderer {
     // Toggle representation visibility
     toggleRepresentation(type, visible) {
         switch (type) {
+            case 'cartoon':
+                this.showCartoon = visible;
+                for (const [filename, proteinData] of this.proteins) {
+                    for (const mesh of proteinData.meshes) {
+                        this.setMeshVisibility(mesh, visible);
+                    }
+                }
+                if (visible) {
+                    this.generateCartoonRibbons();
+                }
+                break;
+
+            case 'putty':
+                this.showPutty = visible;
+                for (const [filename, proteinData] of this.proteins) {
+                    for (const mesh of proteinData.putty) {
+                        this.setMeshVisibility(mesh, visible);
+                    }
+                }
+                if (visible) {
+                    this.generatePutty();
+                }
+                break;
+
+            case 'surface':
+                this.showSurface = visible;
+                for (const [filename, proteinData] of this.proteins) {
+                    for (const mesh of proteinData.surface) {
+                        this.setMeshVisibility(mesh, visible);
+                    }
+                }
+                if (visible) {
+                    this.generateSurfaces();
+                }
+                break;
+
             case 'backbone':
                 this.showBackbone = visible;
                 for (const [filename, proteinData] of this.proteins) {
@@ -584,150 +925,2184 @@ class ProteinRenderer {
         }
     }
 
-    // Apply color scheme to all proteins
-    applyColorScheme(scheme) {
-        this.currentColorScheme = scheme;
+    // Evaluate a selection expression against every loaded protein.
+    // Returns [{ proteinData, atoms: Set }] for proteins with at least one match.
+    selectAtoms(expression) {
+        const ast = this.selectionParser.parse(expression);
+        const results = [];
 
         for (const [filename, proteinData] of this.proteins) {
-            this.applyProteinColorScheme(proteinData, scheme);
+            const atoms = this.atomSelector.evaluate(ast, proteinData.parser, this.getSelectionContext(filename));
+            if (atoms.size > 0) {
+                results.push({ proteinData, atoms });
+            }
         }
 
-        console.log(`Applied color scheme: ${scheme} to ${this.proteins.size} proteins`);
+        return results;
     }
 
-    // Update render statistics
-    updateRenderStats() {
-        this.renderStats = {
-            totalProteins: this.proteins.size,
-            totalAtoms: 0,
-            totalResidues: 0,
-            totalChains: 0,
-            helixCount: 0,
-            sheetCount: 0,
-            coilCount: 0,
-            meshCount: 0,
-            lastRenderTime: performance.now()
+    getSelectionContext(filename) {
+        const proteinData = this.proteins.get(filename);
+
+        return {
+            modelName: filename,
+            resolveName: (name) => proteinData.selections.get(name) || null,
+            isKnownName: (name) => this.hasNamedSelection(name) || this.getLoadedProteins().some(loaded =>
+                this.atomSelector.isModel(loaded, [name.toUpperCase()]))
         };
+    }
 
-        // Sum stats from all proteins
+    // Store the atoms matching an expression under a name (per protein)
+    createNamedSelection(name, expression) {
+        if (!/^[A-Za-z_][A-Za-z0-9_.-]*$/.test(name)) {
+            throw new Error(`Invalid selection name: ${name}`);
+        }
+        if (this.selectionParser.isKeyword(name)) {
+            throw new Error(`"${name}" is a selection keyword and cannot be used as a name`);
+        }
+
+        // Evaluate before replacing, so "select site, site or resi 70" works
+        const results = this.selectAtoms(expression);
+
+        // Every protein gets the name, even with no atoms, so an empty
+        // selection can still be used in later expressions (as in PyMOL)
+        const matches = new Map(results.map(({ proteinData, atoms }) => [proteinData, atoms]));
         for (const [filename, proteinData] of this.proteins) {
-            const stats = proteinData.parser.getStatistics();
-            this.renderStats.totalAtoms += stats.totalAtoms;
-            this.renderStats.totalResidues += stats.totalResidues;
-            this.renderStats.totalChains += stats.totalChains;
-            this.renderStats.helixCount += stats.helixCount;
-            this.renderStats.sheetCount += stats.sheetCount;
-            this.renderStats.coilCount += stats.coilCount;
-            this.renderStats.meshCount += proteinData.meshes.length + proteinData.backboneTraces.length + proteinData.sticks.length + proteinData.spheres.length + proteinData.ligands.length;
+            proteinData.selections.set(name, matches.get(proteinData) || new Set());
         }
+
+        this.updateSequenceSelection();
+        console.log(`Selection ${name} defined with ${this.countSelectedAtoms(results)} atoms`);
+        return results;
     }
 
-    // Update protein information display
-    updateProteinInfo(filename) {
-        const nameElement = document.getElementById('proteinName');
-        const detailsElement = document.getElementById('proteinDetails');
-        const statsElement = document.getElementById('renderStats');
+    deleteNamedSelection(name) {
+        let deleted = false;
 
-        if (nameElement) {
-            nameElement.textContent = `${filename} (${this.parser.chains.length} chains)`;
+        for (const [filename, proteinData] of this.proteins) {
+            deleted = proteinData.selections.delete(name) || deleted;
         }
 
-        if (detailsElement) {
-            const stats = this.renderStats;
-            detailsElement.innerHTML = `
-                <strong>Structure:</strong> ${stats.totalResidues} residues, ${stats.totalAtoms} atoms<br>
-                <strong>Secondary Structure:</strong> ${stats.helixCount} helix, ${stats.sheetCount} sheet, ${stats.coilCount} coil
-            `;
-        }
+        this.updateSequenceSelection();
+        return deleted;
+    }
 
-        if (statsElement) {
-            statsElement.textContent = `Rendered: ${this.renderStats.meshCount} mesh segments`;
+    hasNamedSelection(name) {
+        for (const [filename, proteinData] of this.proteins) {
+            if (proteinData.selections.has(name)) return true;
         }
+        return false;
     }
 
-    // Show/hide loading indicator
-    showLoading(show) {
-        const indicator = document.getElementById('loadingIndicator');
-        if (indicator) {
-            indicator.classList.toggle('hidden', !show);
+    // List named selections with atom counts per protein
+    getNamedSelections() {
+        const selections = new Map();
+
+        for (const [filename, proteinData] of this.proteins) {
+            for (const [name, atoms] of proteinData.selections) {
+                if (!selections.has(name)) {
+                    selections.set(name, { name: name, atomCount: 0, proteins: [] });
+                }
+                const entry = selections.get(name);
+                entry.atomCount += atoms.size;
+                entry.proteins.push(filename);
+            }
         }
+
+        return Array.from(selections.values()).sort((a, b) => a.name.localeCompare(b.name));
     }
 
-    // Show error message
-    showError(message) {
-        const errorElement = document.getElementById('errorMessage');
-        if (errorElement) {
-            errorElement.textContent = message;
-            errorElement.classList.remove('hidden');
+    // Count atoms across a selectAtoms() result
+    countSelectedAtoms(results) {
+        return results.reduce((total, result) => total + result.atoms.size, 0);
+    }
 
-            // Auto-hide after 5 seconds
-            setTimeout(() => {
-                errorElement.classList.add('hidden');
-            }, 5000);
+    // Show or hide one representation for the atoms matching a selection
+    async setRepresentationForSelection(type, expression, visible) {
+        const results = this.selectAtoms(expression);
+
+        for (const { proteinData, atoms } of results) {
+            await this.setRepresentationForAtoms(proteinData, atoms, type, visible);
         }
-    }
 
-    // Get protein information for display
-    getProteinInfo() {
-        return {
-            filename: this.currentFilename || 'Unknown',
-            header: this.parser.header,
-            statistics: this.renderStats,
-            chains: this.parser.chains.map(chain => ({
-                id: chain.id,
-                type: chain.type,
-                residueCount: chain.residues.length
-            })),
-            boundingBox: this.parser.getBoundingBox()
-        };
+        console.log(`${type} ${visible ? 'shown' : 'hidden'} for ${this.countSelectedAtoms(results)} atoms`);
+        return results;
     }
 
-    // Export current view as image
-    exportImage(width = 1920, height = 1080) {
-        return new Promise((resolve) => {
-            const canvas = this.scene.getEngine().getRenderingCanvas();
+    // Show or hide one representation for a set of atoms of one protein
+    async setRepresentationForAtoms(proteinData, atoms, type, visible) {
+        switch (type) {
+            case 'cartoon':
+                if (visible && proteinData.meshes.length === 0) {
+                    await this.generateProteinCartoonRibbons(proteinData);
+                    proteinData.meshes.forEach(mesh => this.setMeshVisibility(mesh, false));
+                }
+                for (const mesh of proteinData.meshes) {
+                    const residues = (mesh.metadata && mesh.metadata.residues) || [];
+                    if (residues.some(residue => residue.atoms.some(atom => atoms.has(atom)))) {
+                        this.setMeshVisibility(mesh, visible);
+                    }
+                }
+                break;
 
-            // Render at higher resolution
-            this.scene.getEngine().setSize(width, height);
-            this.scene.render();
+            case 'putty':
+                if (visible && proteinData.putty.length === 0) {
+                    await this.generateProteinPutty(proteinData);
+                    proteinData.putty.forEach(mesh => this.setMeshVisibility(mesh, false));
+                }
+                // One tube per chain: shown or hidden when any of its residues is selected
+                for (const mesh of proteinData.putty) {
+                    if (mesh.metadata.residues.some(residue => residue.atoms.some(atom => atoms.has(atom)))) {
+                        this.setMeshVisibility(mesh, visible);
+                    }
+                }
+                break;
 
-            // Get image data
-            canvas.toBlob((blob) => {
-                resolve(blob);
+            case 'surface':
+                if (visible) {
+                    // Surface the selected atoms on their own, replacing any earlier surface
+                    await this.generateProteinSurface(proteinData, [...atoms]);
+                } else {
+                    for (const mesh of proteinData.surface) {
+                        if ([...atoms].some(atom => mesh.metadata.atoms.has(atom))) {
+                            this.setMeshVisibility(mesh, false);
+                        }
+                    }
+                }
+                break;
 
-                // Restore original canvas size
-                this.scene.getEngine().resize();
-            }, 'image/png');
-        });
-    }
+            case 'backbone':
+                if (visible && proteinData.backboneTraces.length === 0) {
+                    await this.generateProteinBackboneTraces(proteinData);
+                    proteinData.backboneTraces.forEach(trace => { trace.isVisible = false; });
+                }
+                for (const trace of proteinData.backboneTraces) {
+                    const chainId = trace.name.replace(/^backbone_/, '');
+                    if ([...atoms].some(atom => atom.chainId === chainId)) {
+                        trace.isVisible = visible;
+                    }
+                }
+                break;
 
-    // Performance optimization: Level of Detail
-    updateLOD() {
-        if (!this.lodEnabled) return;
+            case 'sticks':
+                if (visible && proteinData.sticks.length === 0) {
+                    await this.generateProteinSticks(proteinData);
+                }
+                this.setAtomMeshVisibility(proteinData.sticks, atoms, visible);
+                break;
 
-        const cameraDistance = BABYLON.Vector3.Distance(
-            this.camera.position,
-            this.proteinCenter || BABYLON.Vector3.Zero()
-        );
+            case 'spheres':
+                if (visible && proteinData.spheres.length === 0) {
+                    await this.generateProteinSpheres(proteinData);
+                }
+                this.setAtomMeshVisibility(proteinData.spheres, atoms, visible);
+                break;
 
-        const lodLevel = this.calculateLODLevel(cameraDistance);
+            case 'ligands':
+                if (visible && proteinData.ligands.length === 0) {
+                    await this.generateProteinLigands(proteinData);
+                }
+                this.setAtomMeshVisibility(proteinData.ligands, atoms, visible);
+                break;
 
-        // Adjust mesh detail based on distance for all proteins
-        for (const [filename, proteinData] of this.proteins) {
-            for (const mesh of proteinData.meshes) {
-                this.applyLODToMesh(mesh, lodLevel);
-            }
+            default:
+                throw new Error(`Unknown representation type: ${type}`);
         }
     }
 
-    calculateLODLevel(distance) {
-        if (distance < 50) return 'high';
-        if (distance < 100) return 'medium';
-        return 'low';
-    }
+    // Atom meshes carry metadata.atom; bond meshes carry metadata.atoms (both ends).
+    // Bonds are shown when both atoms are selected and hidden when either one is.
+    setAtomMeshVisibility(meshes, atoms, visible) {
+        for (const mesh of meshes) {
+            if (!mesh.metadata) continue;
 
-    applyLODToMesh(mesh, lodLevel) {
-        // Implement LOD by adjusting mesh visibility or detail
+            if (mesh.metadata.atom) {
+                if (atoms.has(mesh.metadata.atom)) {
+                    mesh.isVisible = visible;
+                }
+            } else if (mesh.metadata.atoms) {
+                const [atom1, atom2] = mesh.metadata.atoms;
+                if (visible ? atoms.has(atom1) && atoms.has(atom2) : atoms.has(atom1) || atoms.has(atom2)) {
+                    mesh.isVisible = visible;
+                }
+            }
+        }
+    }
+
+    // Cartoon visibility is also tracked in metadata so LOD updates respect it
+    setMeshVisibility(mesh, visible) {
+        mesh.isVisible = visible;
+        mesh.metadata = { ...(mesh.metadata || {}), hidden: !visible };
+    }
+
+    // Color atoms and cartoon residues matching a selection with a BABYLON.Color3
+    colorSelection(color, expression) {
+        return this.colorSelectionBy(expression, () => color);
+    }
+
+    // Color a selection with a palette: rainbow (N- to C-terminus per chain),
+    // chain, ss (secondary structure) or element (CPK)
+    colorSelectionByPalette(palette, expression) {
+        return this.colorSelectionBy(expression, (atom, residue, proteinData) => {
+            switch (palette) {
+                case 'rainbow':
+                    return ColorTable.rainbow(this.getResidueFraction(proteinData, residue));
+                case 'chain':
+                    return ColorTable.chainColor(Math.max(0, proteinData.parser.chains.findIndex(c => c.id === atom.chainId)));
+                case 'ss':
+                    return ColorTable.secondaryStructureColor(residue && residue.secondaryStructure);
+                case 'element':
+                    return this.ribbonGenerator.getCPKColor((atom.element || 'C').toUpperCase());
+                default:
+                    throw new Error(`Unknown palette: ${palette}`);
+            }
+        });
+    }
+
+    // Position of a residue along its chain (0 = first, 1 = last)
+    getResidueFraction(proteinData, residue) {
+        if (!proteinData.residueFractions) {
+            proteinData.residueFractions = new Map();
+            for (const chain of proteinData.parser.chains) {
+                const last = Math.max(1, chain.residues.length - 1);
+                chain.residues.forEach((r, i) => proteinData.residueFractions.set(r, i / last));
+            }
+        }
+        return proteinData.residueFractions.get(residue) || 0;
+    }
+
+    // Recolor selected atoms (sticks, spheres, ligands) and the cartoon cross-sections
+    // of residues with a selected atom. colorFor(atom, residue, proteinData) returns a Color3.
+    colorSelectionBy(expression, colorFor) {
+        const results = this.selectAtoms(expression);
+        this.colorResults(results, colorFor);
+        return results;
+    }
+
+    // Store per-atom colors for selection results and apply them to existing meshes;
+    // meshes generated later pick the stored colors up in applyStoredColors
+    colorResults(results, colorFor) {
+        for (const { proteinData, atoms } of results) {
+            const residueOf = this.atomSelector.getResidueMap(proteinData.parser);
+
+            for (const atom of atoms) {
+                proteinData.atomColors.set(atom, colorFor(atom, residueOf.get(atom), proteinData));
+            }
+
+            this.applyStoredColors(proteinData, [
+                ...proteinData.sticks, ...proteinData.spheres, ...proteinData.ligands,
+                ...proteinData.meshes, ...proteinData.putty, ...proteinData.surface
+            ]);
+        }
+    }
+
+    // Apply colors set by color/spectrum to atom meshes and cartoon residues
+    applyStoredColors(proteinData, meshes) {
+        const atomColors = proteinData.atomColors;
+        if (atomColors.size === 0) return;
+
+        // Cartoon residues follow the color of their CA, as in PyMOL
+        const colorForResidue = (residue) => (residue.ca && atomColors.get(residue.ca)) || null;
+
+        for (const mesh of meshes) {
+            const metadata = mesh.metadata || {};
+            if (metadata.pointResidues) {
+                this.ribbonGenerator.setResidueVertexColors(mesh, colorForResidue);
+            } else if (metadata.vertexAtoms) {
+                delete metadata.potentialLimits; // Atom colors replace potential coloring
+                this.ribbonGenerator.setAtomVertexColors(mesh, atom => this.getAtomColor(proteinData, atom));
+            } else if (metadata.atom && atomColors.has(metadata.atom)) {
+                mesh.material = this.ribbonGenerator.getSolidColorMaterial(atomColors.get(metadata.atom));
+            }
+        }
+    }
+
+    // Per-atom values used by spectrum; pLDDT is stored in the B-factor column
+    getSpectrumProperty(property) {
+        switch (property) {
+            case 'b':
+            case 'plddt':
+                return atom => atom.tempFactor;
+            case 'q':
+                return atom => atom.occupancy;
+            case 'resi':
+                return atom => atom.resSeq;
+            default:
+                throw new Error(`Unknown spectrum property: ${property} (use b, q, resi or plddt)`);
+        }
+    }
+
+    // Color a selection by a per-atom property through a continuous palette.
+    // Limits default to the range within the selection (0-100 for pLDDT).
+    spectrum(property, palette = null, expression = 'all', minimum = null, maximum = null) {
+        const valueOf = this.getSpectrumProperty(property);
+        palette = palette || (property === 'plddt' ? 'plddt' : 'rainbow');
+        if (!ColorTable.isSpectrumPalette(palette)) {
+            throw new Error(`Unknown palette: ${palette}`);
+        }
+
+        const results = this.selectAtoms(expression);
+
+        if (property === 'plddt') {
+            if (minimum === null) minimum = 0;
+            if (maximum === null) maximum = 100;
+        }
+        if (minimum === null || maximum === null) {
+            let low = Infinity;
+            let high = -Infinity;
+            for (const { atoms } of results) {
+                for (const atom of atoms) {
+                    const value = valueOf(atom);
+                    if (value < low) low = value;
+                    if (value > high) high = value;
+                }
+            }
+            if (minimum === null) minimum = low;
+            if (maximum === null) maximum = high;
+        }
+
+        const range = maximum - minimum;
+        this.colorResults(results, atom => ColorTable.spectrum(
+            palette,
+            range > 0 ? (valueOf(atom) - minimum) / range : 0.5
+        ));
+
+        const spectrum = { property, palette, minimum, maximum };
+        if (this.countSelectedAtoms(results) > 0) {
+            this.showSpectrumLegend(spectrum);
+        }
+        return { results, ...spectrum };
+    }
+
+    // AlphaFold (and other predicted) models carry pLDDT in the B-factor column
+    isPredictedModel(parser, filename) {
+        const title = (parser.header && parser.header.title) || '';
+        return /^AF-/i.test(filename) ||
+            /alphafold/i.test(title) ||
+            (parser.categories instanceof Map && parser.categories.has('ma_qa_metric_local'));
+    }
+
+    // Bounding box of selected atoms in scene coordinates (includes protein offsets)
+    getSelectionBounds(results) {
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        for (const { proteinData, atoms } of results) {
+            const pos = proteinData.position;
+            for (const atom of atoms) {
+                minX = Math.min(minX, atom.x + pos.x);
+                minY = Math.min(minY, atom.y + pos.y);
+                minZ = Math.min(minZ, atom.z + pos.z);
+                maxX = Math.max(maxX, atom.x + pos.x);
+                maxY = Math.max(maxY, atom.y + pos.y);
+                maxZ = Math.max(maxZ, atom.z + pos.z);
+            }
+        }
+
+        if (minX === Infinity) return null;
+
+        return {
+            center: new BABYLON.Vector3((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2),
+            size: Math.max(maxX - minX, maxY - minY, maxZ - minZ)
+        };
+    }
+
+    // Center (and optionally zoom) the camera on a selection
+    centerOnSelection(expression, zoom = false) {
+        const results = this.selectAtoms(expression);
+        const bounds = this.getSelectionBounds(results);
+        if (!bounds) return results;
+
+        this.camera.setTarget(bounds.center);
+
+        if (zoom) {
+            // Leave some margin around small selections such as a single residue
+            const radius = Math.max(bounds.size * 2.0, 10);
+            this.camera.radius = Math.min(Math.max(radius, this.camera.lowerRadiusLimit), this.camera.upperRadiusLimit);
+        }
+
+        return results;
+    }
+
+    // Reassign secondary structure with DSSP and redraw cartoons.
+    // Only residues in the selection change; without an expression every
+    // protein is reassigned.
+    async reassignSecondaryStructure(expression = null) {
+        // Residues with any selected atom are reassigned; null means all of them
+        const targets = expression
+            ? this.selectAtoms(expression).map(({ proteinData, atoms }) => ({
+                proteinData,
+                residues: new Set(proteinData.parser.residues.filter(residue => residue.atoms.some(atom => atoms.has(atom))))
+            }))
+            : Array.from(this.proteins.values(), proteinData => ({ proteinData, residues: null }));
+        const analyzer = new DSSPAnalyzer();
+        const summaries = [];
+
+        for (const { proteinData, residues } of targets) {
+            const summary = analyzer.analyze(proteinData.parser, residues);
+            summaries.push({ filename: proteinData.filename, ...summary });
+
+            // Rebuild cartoon segments, which are split by secondary structure.
+            // Segment boundaries move, so visibility set through selections is
+            // carried over per residue: a new segment is shown when most of its
+            // residues were shown before.
+            if (proteinData.meshes.length > 0) {
+                const shown = new Map();
+                for (const mesh of proteinData.meshes) {
+                    const visible = mesh.metadata.hidden !== undefined ? !mesh.metadata.hidden : this.showCartoon;
+                    for (const residue of mesh.metadata.residues || []) {
+                        // A residue shared by a hidden and a shown segment counts as hidden
+                        shown.set(residue, visible && shown.get(residue) !== false);
+                    }
+                    mesh.dispose();
+                }
+                proteinData.meshes = [];
+
+                await this.generateProteinCartoonRibbons(proteinData);
+                proteinData.meshes.forEach(mesh => {
+                    const states = (mesh.metadata.residues || []).map(residue => shown.get(residue)).filter(state => state !== undefined);
+                    const visible = states.length > 0
+                        ? states.filter(Boolean).length * 2 >= states.length
+                        : this.showCartoon;
+                    this.setMeshVisibility(mesh, visible);
+                });
+            }
+        }
+
+        this.updateRenderStats();
+        this.updateSequenceViewer();
+        return summaries;
+    }
+
+    // Change putty scaling (linear, quadratic or absolute) and rebuild putty tubes
+    async setPuttyTransform(transform) {
+        if (!['linear', 'quadratic', 'absolute'].includes(transform)) {
+            throw new Error(`Unknown putty transform: ${transform} (use linear, quadratic or absolute)`);
+        }
+
+        this.cartoonGenerator.updateSettings({ putty_transform: transform });
+        for (const proteinData of this.proteins.values()) {
+            await this.rebuildPutty(proteinData);
+        }
+    }
+
+    // Regenerate existing putty tubes (new coordinates or settings), keeping
+    // per-chain visibility set through selections
+    async rebuildPutty(proteinData) {
+        if (proteinData.putty.length === 0) return;
+
+        const hidden = new Map(proteinData.putty.map(mesh => [mesh.metadata.chainId, mesh.metadata.hidden]));
+        proteinData.putty.forEach(mesh => mesh.dispose());
+        proteinData.putty = [];
+
+        await this.generateProteinPutty(proteinData);
+        proteinData.putty.forEach(mesh => {
+            const wasHidden = hidden.get(mesh.metadata.chainId);
+            this.setMeshVisibility(mesh, wasHidden !== undefined ? !wasHidden : this.showPutty);
+        });
+    }
+
+    // Change the probe radius and/or grid spacing (Å) and rebuild existing surfaces
+    async setSurfaceSettings(settings) {
+        for (const [name, value] of Object.entries(settings)) {
+            if (isNaN(value) || value < 0 || (name === 'resolution' && value < 0.2)) {
+                throw new Error(`Invalid surface ${name}: ${value}`);
+            }
+        }
+
+        Object.assign(this.surfaceSettings, settings);
+        for (const proteinData of this.proteins.values()) {
+            await this.rebuildSurface(proteinData);
+        }
+    }
+
+    // Recompute an existing surface over the same atoms (new coordinates or settings),
+    // keeping its visibility and potential coloring
+    async rebuildSurface(proteinData) {
+        if (proteinData.surface.length === 0) return;
+
+        const previous = proteinData.surface[0];
+        const { hidden: wasHidden, potentialLimits } = previous.metadata;
+        await this.generateProteinSurface(proteinData, [...previous.metadata.atoms]);
+
+        const mesh = proteinData.surface[0];
+        if (mesh !== previous) {
+            this.setMeshVisibility(mesh, wasHidden !== undefined ? !wasHidden : this.showSurface);
+            if (potentialLimits) {
+                await this.applySurfacePotential(proteinData, mesh, potentialLimits);
+            }
+        }
+    }
+
+    // Ligands matching a residue name ("ATP"), or failing that every ligand with
+    // an atom in a selection; returns [{ proteinData, ligand }]
+    findLigands(expression) {
+        const name = expression.trim().toUpperCase();
+        const byName = [];
+        for (const proteinData of this.proteins.values()) {
+            for (const ligand of proteinData.parser.ligands) {
+                if (ligand.resName.toUpperCase() === name) {
+                    byName.push({ proteinData, ligand });
+                }
+            }
+        }
+        if (byName.length > 0) return byName;
+
+        const matches = [];
+        for (const { proteinData, atoms } of this.selectAtoms(expression)) {
+            for (const ligand of proteinData.parser.ligands) {
+                if (ligand.atoms.some(atom => atoms.has(atom))) {
+                    matches.push({ proteinData, ligand });
+                }
+            }
+        }
+        return matches;
+    }
+
+    // Classify the interactions of matching ligands and draw them as dashed lines,
+    // replacing earlier ones. Pocket residues are stored as the "pocket" selection.
+    analyzeInteractions(expression, cutoff = 5.0) {
+        const ligands = this.findLigands(expression);
+        if (ligands.length === 0) {
+            throw new Error(`No ligand matches "${expression}"`);
+        }
+
+        this.clearInteractions();
+        const analyzer = new InteractionAnalyzer({ pocketCutoff: cutoff });
+        const results = [];
+
+        for (const { proteinData, ligand } of ligands) {
+            const analysis = analyzer.analyze(proteinData.parser, ligand);
+            proteinData.interactions.push(analysis);
+            results.push({ proteinData, ...analysis });
+        }
+
+        for (const proteinData of this.proteins.values()) {
+            const pocket = new Set(proteinData.interactions.flatMap(analysis =>
+                analysis.pocketResidues.flatMap(residue => residue.atoms)));
+            if (pocket.size > 0) {
+                proteinData.selections.set('pocket', pocket);
+            }
+            this.drawInteractions(proteinData);
+        }
+
+        console.log(`Analyzed ${results.length} ligand(s) matching ${expression}`);
+        return results;
+    }
+
+    // Redraw interaction lines at the current coordinates; rings are drawn from
+    // their centers
+    drawInteractions(proteinData) {
+        proteinData.interactionLines.forEach(line => line.dispose());
+        proteinData.interactionLines = [];
+
+        const offset = proteinData.position;
+        const center = (atoms) => new BABYLON.Vector3(
+            atoms.reduce((sum, atom) => sum + atom.x, 0) / atoms.length + offset.x,
+            atoms.reduce((sum, atom) => sum + atom.y, 0) / atoms.length + offset.y,
+            atoms.reduce((sum, atom) => sum + atom.z, 0) / atoms.length + offset.z
+        );
+
+        for (const analysis of proteinData.interactions) {
+            analysis.interactions.forEach((interaction, i) => {
+                const line = this.ribbonGenerator.createDashedLine(
+                    `interaction_${interaction.type}_${analysis.ligand.resName}_${i}`,
+                    center(interaction.ligandAtoms),
+                    center(interaction.partnerAtoms),
+                    this.getInteractionColor(interaction.type)
+                );
+                line.metadata = { interaction };
+                proteinData.interactionLines.push(line);
+            });
+        }
+    }
+
+    // Line colors by interaction type (polar contacts yellow, as in PyMOL)
+    getInteractionColor(type) {
+        const colors = {
+            hbond: 'yellow',
+            salt_bridge: 'magenta',
+            pi_stacking: 'green',
+            cation_pi: 'orange',
+            hydrophobic: 'grey',
+            metal: 'violet'
+        };
+        return ColorTable.parse(colors[type] || 'white');
+    }
+
+    clearInteractions() {
+        for (const proteinData of this.proteins.values()) {
+            proteinData.interactionLines.forEach(line => line.dispose());
+            proteinData.interactionLines = [];
+            proteinData.interactions = [];
+        }
+    }
+
+    // Measure between atoms given as selections (each must match one atom):
+    // 2 for distance, 3 for angle, 4 for dihedral. Returns the new measurement.
+    measure(type, expressions, name = null) {
+        const counts = { distance: 2, angle: 3, dihedral: 4 };
+        if (!counts[type]) {
+            throw new Error(`Unknown measurement: ${type}`);
+        }
+        // Without selections, measure the atoms of "sele" in the order they were added
+        if (expressions.length === 0) {
+            const atoms = [];
+            for (const proteinData of this.proteins.values()) {
+                for (const atom of proteinData.selections.get('sele') || []) {
+                    atoms.push({ proteinData, atom });
+                }
+            }
+            if (atoms.length !== counts[type]) {
+                throw new Error(`${type} needs ${counts[type]} atoms in "sele" (it has ${atoms.length})`);
+            }
+            return this.addMeasurement(type, atoms, name);
+        }
+
+        if (expressions.length !== counts[type]) {
+            throw new Error(`${type} needs ${counts[type]} atoms, got ${expressions.length}`);
+        }
+
+        const atoms = expressions.map(expression => {
+            const matches = this.selectAtoms(expression)
+                .flatMap(({ proteinData, atoms }) => [...atoms].map(atom => ({ proteinData, atom })));
+            if (matches.length !== 1) {
+                throw new Error(`Selection "${expression}" must match exactly one atom (matched ${matches.length})`);
+            }
+            return matches[0];
+        });
+
+        return this.addMeasurement(type, atoms, name);
+    }
+
+    // Store and draw a measurement; names default to dist01, angle01, dihe01 as in PyMOL
+    addMeasurement(type, atoms, name = null) {
+        if (!name) {
+            const prefix = { distance: 'dist', angle: 'angle', dihedral: 'dihe' }[type];
+            let index = 1;
+            while (this.measurements.some(m => m.name === `${prefix}${String(index).padStart(2, '0')}`)) index++;
+            name = `${prefix}${String(index).padStart(2, '0')}`;
+        }
+        this.deleteMeasurement(name);
+
+        const measurement = { name, type, atoms, value: 0, meshes: [], label: null };
+        this.measurements.push(measurement);
+        this.drawMeasurement(measurement);
+
+        console.log(`Measurement ${name}: ${this.formatMeasurement(measurement)}`);
+        return measurement;
+    }
+
+    // World position of a measured atom (includes the protein's offset)
+    getMeasurementPoint({ proteinData, atom }) {
+        const offset = proteinData.position;
+        return { x: atom.x + offset.x, y: atom.y + offset.y, z: atom.z + offset.z };
+    }
+
+    // (Re)compute the value at the current coordinates and redraw lines, arc and label
+    drawMeasurement(measurement) {
+        this.disposeMeasurementMeshes(measurement);
+
+        const points = measurement.atoms.map(entry => this.getMeasurementPoint(entry));
+        const vectors = points.map(p => new BABYLON.Vector3(p.x, p.y, p.z));
+        const color = ColorTable.parse('yellow');
+        let arc = null;
+        let labelPosition;
+
+        for (let i = 0; i < vectors.length - 1; i++) {
+            measurement.meshes.push(this.ribbonGenerator.createDashedLine(`${measurement.name}_line${i}`, vectors[i], vectors[i + 1], color));
+        }
+
+        switch (measurement.type) {
+            case 'distance':
+                measurement.value = MeasurementGeometry.distance(points[0], points[1]);
+                labelPosition = MeasurementGeometry.extend(points[0], points[1], 0.5);
+                break;
+            case 'angle': {
+                measurement.value = MeasurementGeometry.angle(points[0], points[1], points[2]);
+                const radius = 0.4 * Math.min(MeasurementGeometry.distance(points[0], points[1]), MeasurementGeometry.distance(points[2], points[1]));
+                arc = MeasurementGeometry.angleArc(points[0], points[1], points[2], radius);
+                labelPosition = arc ? arc.labelPosition : points[1];
+                break;
+            }
+            case 'dihedral': {
+                measurement.value = MeasurementGeometry.dihedral(points[0], points[1], points[2], points[3]);
+                const radius = 0.6 * MeasurementGeometry.distance(points[1], points[2]);
+                arc = MeasurementGeometry.dihedralArc(points[0], points[1], points[2], points[3], radius);
+                labelPosition = arc ? arc.labelPosition : MeasurementGeometry.extend(points[1], points[2], 0.5);
+                break;
+            }
+        }
+
+        if (arc) {
+            const lines = BABYLON.MeshBuilder.CreateLines(`${measurement.name}_arc`, {
+                points: arc.points.map(p => new BABYLON.Vector3(p.x, p.y, p.z))
+            }, this.scene);
+            lines.color = color;
+            lines.isPickable = false;
+            measurement.meshes.push(lines);
+        }
+
+        measurement.label = this.createTextLabel(`${measurement.name}_label`, this.formatMeasurementValue(measurement),
+            new BABYLON.Vector3(labelPosition.x, labelPosition.y, labelPosition.z), { color: '#ffff66' });
+    }
+
+    disposeMeasurementMeshes(measurement) {
+        measurement.meshes.forEach(mesh => mesh.dispose());
+        measurement.meshes = [];
+        if (measurement.label) {
+            measurement.label.dispose();
+            measurement.label = null;
+        }
+    }
+
+    // Delete a measurement by name, or every measurement with "all"
+    deleteMeasurement(name) {
+        const doomed = this.measurements.filter(m => name === 'all' || m.name === name);
+        doomed.forEach(measurement => this.disposeMeasurementMeshes(measurement));
+        this.measurements = this.measurements.filter(m => !doomed.includes(m));
+        return doomed.length > 0;
+    }
+
+    formatMeasurementValue(measurement) {
+        return measurement.type === 'distance'
+            ? `${measurement.value.toFixed(2)} Å`
+            : `${measurement.value.toFixed(1)}°`;
+    }
+
+    // Atom as file:chain/residue/name, e.g. 1erm.pdb:A/SER70/OG
+    formatMeasuredAtom({ proteinData, atom }) {
+        return `${proteinData.filename}:${atom.chainId}/${atom.resName}${atom.resSeq}/${atom.name}`;
+    }
+
+    formatMeasurement(measurement) {
+        return `${this.formatMeasurementValue(measurement)} (${measurement.atoms.map(entry => this.formatMeasuredAtom(entry)).join(' - ')})`;
+    }
+
+    // Measurements as CSV: name, type, value, unit and up to four atoms
+    exportMeasurementsCSV() {
+        const rows = [['name', 'type', 'value', 'unit', 'atom1', 'atom2', 'atom3', 'atom4']];
+        for (const measurement of this.measurements) {
+            const atoms = measurement.atoms.map(entry => this.formatMeasuredAtom(entry));
+            while (atoms.length < 4) atoms.push('');
+            rows.push([
+                measurement.name,
+                measurement.type,
+                measurement.value.toFixed(measurement.type === 'distance' ? 3 : 2),
+                measurement.type === 'distance' ? 'angstrom' : 'degree',
+                ...atoms
+            ]);
+        }
+        return rows.map(row => row.join(',')).join('\n') + '\n';
+    }
+
+    // Text anchored to a 3D position; the GUI layer keeps it facing the camera.
+    // Returns the label with a dispose() method.
+    createTextLabel(name, text, position, { color = 'white', fontSize = 14 } = {}) {
+        if (!this.labelTexture) {
+            this.labelTexture = BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI('labels', true, this.scene);
+        }
+
+        const anchor = new BABYLON.TransformNode(`${name}_anchor`, this.scene);
+        anchor.position = position;
+
+        const block = new BABYLON.GUI.TextBlock(name, text);
+        block.color = color;
+        block.fontSize = fontSize;
+        block.outlineWidth = 3;
+        block.outlineColor = 'black';
+        block.resizeToFit = true;
+        this.labelTexture.addControl(block);
+        block.linkWithMesh(anchor);
+
+        return {
+            anchor,
+            block,
+            dispose: () => {
+                this.labelTexture.removeControl(block);
+                block.dispose();
+                anchor.dispose();
+            }
+        };
+    }
+
+    // Label every atom matching a selection with a LabelExpression; an empty
+    // expression removes their labels (as in PyMOL). Returns the atom count.
+    labelSelection(expression, labelExpression) {
+        const results = this.selectAtoms(expression);
+        const count = this.countSelectedAtoms(results);
+
+        if (!labelExpression) {
+            for (const { atoms } of results) {
+                atoms.forEach(atom => this.removeAtomLabel(atom));
+            }
+            return count;
+        }
+
+        const label = new LabelExpression(labelExpression);
+        if (count > this.maxLabels) {
+            throw new Error(`Selection has ${count} atoms; labels are limited to ${this.maxLabels} (try adding "and name CA")`);
+        }
+
+        for (const { proteinData, atoms } of results) {
+            for (const atom of atoms) {
+                this.addAtomLabel(proteinData, atom, label.evaluate(atom, proteinData.filename));
+            }
+        }
+
+        console.log(`Labeled ${count} atoms with ${labelExpression}`);
+        return count;
+    }
+
+    // Label one atom with fixed text, replacing its previous label
+    addAtomLabel(proteinData, atom, text) {
+        this.removeAtomLabel(atom);
+        const entry = { proteinData, atom, text, label: null };
+        entry.label = this.createTextLabel(`label_${this.atomLabels.size}`, text, this.getLabelPosition(entry), {
+            color: this.labelSettings.color,
+            fontSize: this.labelSettings.size
+        });
+        entry.label.block.linkOffsetX = this.labelSettings.offset.x;
+        entry.label.block.linkOffsetY = this.labelSettings.offset.y;
+        this.atomLabels.set(atom, entry);
+        return entry;
+    }
+
+    getLabelPosition({ proteinData, atom }) {
+        const offset = proteinData.position;
+        return new BABYLON.Vector3(atom.x + offset.x, atom.y + offset.y, atom.z + offset.z);
+    }
+
+    removeAtomLabel(atom) {
+        const entry = this.atomLabels.get(atom);
+        if (!entry) return false;
+
+        entry.label.dispose();
+        this.atomLabels.delete(atom);
+        return true;
+    }
+
+    // Remove all labels, or only those of one protein. Returns the number removed.
+    clearLabels(proteinData = null) {
+        let removed = 0;
+        for (const entry of [...this.atomLabels.values()]) {
+            if (!proteinData || entry.proteinData === proteinData) {
+                removed += this.removeAtomLabel(entry.atom) ? 1 : 0;
+            }
+        }
+        return removed;
+    }
+
+    // Update label size, color (CSS color string) and pixel offset; existing labels follow
+    setLabelSettings({ size, color, offset }) {
+        if (size !== undefined) {
+            if (isNaN(size) || size < 4 || size > 200) {
+                throw new Error('Label size must be between 4 and 200 pixels');
+            }
+            this.labelSettings.size = size;
+        }
+        if (color !== undefined) {
+            this.labelSettings.color = color;
+        }
+        if (offset !== undefined) {
+            if (isNaN(offset.x) || isNaN(offset.y)) {
+                throw new Error('Label offset needs x and y in pixels');
+            }
+            this.labelSettings.offset = offset;
+        }
+
+        for (const { label } of this.atomLabels.values()) {
+            label.block.fontSize = this.labelSettings.size;
+            label.block.color = this.labelSettings.color;
+            label.block.linkOffsetX = this.labelSettings.offset.x;
+            label.block.linkOffsetY = this.labelSettings.offset.y;
+        }
+    }
+
+    // Protein that owns a representation mesh, or null. Every representation
+    // mesh is tagged with its protein's filename when it is generated.
+    getMeshOwner(mesh) {
+        return this.proteins.get(mesh.proteinId) || null;
+    }
+
+    // Put whole residues into "sele" (from the sequence viewer), replacing it
+    // unless add is set. Returns the number of atoms in "sele".
+    selectResidues(proteinData, residues, add = false) {
+        if (!add) {
+            for (const loaded of this.proteins.values()) {
+                loaded.selections.delete('sele');
+            }
+        }
+
+        const sele = proteinData.selections.get('sele') || new Set();
+        residues.forEach(residue => residue.atoms.forEach(atom => sele.add(atom)));
+        proteinData.selections.set('sele', sele);
+
+        this.updateSequenceSelection();
+        let count = 0;
+        for (const loaded of this.proteins.values()) {
+            count += (loaded.selections.get('sele') || new Set()).size;
+        }
+        return count;
+    }
+
+    // Rebuild the sequence rows (after proteins are added or removed, or DSS)
+    updateSequenceViewer() {
+        if (!this.sequenceViewer) return;
+
+        this.sequenceViewer.update(this.proteins);
+        this.updateSequenceSelection();
+    }
+
+    // Mark the residues of "sele" in the sequence viewer
+    updateSequenceSelection() {
+        if (!this.sequenceViewer) return;
+
+        const selected = new Map();
+        for (const proteinData of this.proteins.values()) {
+            const sele = proteinData.selections.get('sele');
+            if (sele) {
+                selected.set(proteinData, sele);
+            }
+        }
+        this.sequenceViewer.showSelection(selected);
+    }
+
+    // Ray-pick the atom under a screen position. Atom and bond meshes know their
+    // atoms, surfaces know the atom nearest each vertex, and cartoon-like meshes
+    // resolve to the closest CA (or P) of the residues they cover.
+    // Returns { proteinData, atom } or null.
+    pickAtom(x, y) {
+        const pick = this.scene.pick(x, y, mesh =>
+            mesh.isPickable && mesh.isVisible && mesh.isEnabled() && this.proteins.has(mesh.proteinId));
+        if (!pick || !pick.hit || !pick.pickedMesh || !pick.pickedPoint) return null;
+
+        const mesh = pick.pickedMesh;
+        const proteinData = this.getMeshOwner(mesh);
+        const metadata = mesh.metadata || {};
+        const offset = proteinData.position;
+        const point = {
+            x: pick.pickedPoint.x - offset.x,
+            y: pick.pickedPoint.y - offset.y,
+            z: pick.pickedPoint.z - offset.z
+        };
+
+        let candidates = [];
+        if (metadata.atom) {
+            candidates = [metadata.atom];
+        } else if (Array.isArray(metadata.atoms)) {
+            candidates = metadata.atoms; // Bond: whichever end is closer
+        } else if (metadata.vertexAtoms && pick.faceId >= 0) {
+            const indices = mesh.getIndices();
+            candidates = [0, 1, 2]
+                .map(k => metadata.vertexAtoms[indices[pick.faceId * 3 + k]])
+                .filter(Boolean);
+        } else {
+            const residues = metadata.residues || proteinData.parser.residues.filter(residue =>
+                !metadata.chainId || residue.chainId === metadata.chainId);
+            candidates = residues.map(residue => residue.ca || residue.p).filter(Boolean);
+        }
+
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const atom of candidates) {
+            const distance = MeasurementGeometry.distance(atom, point);
+            if (distance < nearestDistance) {
+                nearest = atom;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest ? { proteinData, atom: nearest } : null;
+    }
+
+    // Add a picked atom to "sele", or take it out if it is already there.
+    // Returns true when the atom was added.
+    togglePickedAtom({ proteinData, atom }) {
+        const sele = proteinData.selections.get('sele') || new Set();
+
+        const added = !sele.has(atom);
+        if (added) {
+            sele.add(atom);
+            proteinData.selections.set('sele', sele);
+        } else {
+            sele.delete(atom);
+            if (sele.size === 0) {
+                proteinData.selections.delete('sele');
+            }
+        }
+
+        this.updateSequenceSelection();
+        return added;
+    }
+
+    // Tooltip text for a picked atom: identity, then B-factor and occupancy
+    formatPickedAtom({ proteinData, atom }) {
+        const element = atom.element ? ` (${atom.element})` : '';
+        return `${this.formatMeasuredAtom({ proteinData, atom })}${element}\n` +
+            `chain ${atom.chainId || '-'}  ${atom.resName} ${atom.resSeq}  ${atom.name}\n` +
+            `B ${atom.tempFactor.toFixed(2)}  occ ${atom.occupancy.toFixed(2)}`;
+    }
+
+    // Protein and CA-bearing residues of an alignment selection; the
+    // selection must fall within a single protein
+    getAlignmentResidues(expression) {
+        const results = this.selectAtoms(expression);
+        if (results.length === 0) {
+            throw new Error(`Selection "${expression}" matched no atoms`);
+        }
+        if (results.length > 1) {
+            throw new Error(`Selection "${expression}" spans ${results.length} proteins; align needs one`);
+        }
+
+        const { proteinData, atoms } = results[0];
+        const residues = proteinData.parser.residues.filter(residue =>
+            residue.isProtein && residue.ca && atoms.has(residue.ca));
+        return { proteinData, residues };
+    }
+
+    // Superpose the protein of the mobile selection onto the target's: pair
+    // residues by sequence alignment, fit their CA atoms with outlier rejection,
+    // then move the mobile protein (all states) into the target's frame
+    async alignProteins(mobileExpression, targetExpression, { cycles = 5, cutoff = 2.0 } = {}) {
+        const mobile = this.getAlignmentResidues(mobileExpression);
+        const target = this.getAlignmentResidues(targetExpression);
+        if (mobile.proteinData === target.proteinData) {
+            throw new Error('Mobile and target must be different proteins');
+        }
+
+        const sequence = (residues) => residues.map(residue => Superposition.oneLetterCode(residue.resName)).join('');
+        const alignment = Superposition.alignSequences(sequence(mobile.residues), sequence(target.residues));
+        if (alignment.pairs.length < 3) {
+            throw new Error(`Only ${alignment.pairs.length} residues could be paired`);
+        }
+
+        const mobilePoints = alignment.pairs.map(([i]) => mobile.residues[i].ca);
+        const targetPoints = alignment.pairs.map(([, j]) => target.residues[j].ca);
+        const fit = Superposition.superpose(mobilePoints, targetPoints, { cycles, cutoff });
+
+        this.transformProtein(mobile.proteinData, fit.transform);
+        await this.moveProtein(mobile.proteinData, target.proteinData.position);
+
+        console.log(`Aligned ${mobile.proteinData.filename} to ${target.proteinData.filename}: RMSD ${fit.rmsd.toFixed(3)} Å over ${fit.count} atoms`);
+        return {
+            mobile: mobile.proteinData.filename,
+            target: target.proteinData.filename,
+            rmsd: fit.rmsd,
+            count: fit.count,
+            initialRmsd: fit.initialRmsd,
+            initialCount: fit.initialCount,
+            identity: alignment.identity
+        };
+    }
+
+    // Structure-based superposition (TM-align) of the mobile selection's protein
+    // onto the target's; residue numbering and sequence do not need to match
+    async tmAlignProteins(mobileExpression, targetExpression) {
+        const mobile = this.getAlignmentResidues(mobileExpression);
+        const target = this.getAlignmentResidues(targetExpression);
+        if (mobile.proteinData === target.proteinData) {
+            throw new Error('Mobile and target must be different proteins');
+        }
+
+        const describe = (residues) => ({
+            points: residues.map(residue => residue.ca),
+            sequence: residues.map(residue => Superposition.oneLetterCode(residue.resName)).join(''),
+            ss: residues.map(residue => residue.secondaryStructure)
+        });
+        const result = new TMAlign().align(describe(mobile.residues), describe(target.residues));
+
+        this.transformProtein(mobile.proteinData, result.transform);
+        await this.moveProtein(mobile.proteinData, target.proteinData.position);
+
+        console.log(`TM-aligned ${mobile.proteinData.filename} to ${target.proteinData.filename}: TM-score ${result.tmScore.toFixed(4)}`);
+        return {
+            ...result,
+            mobile: mobile.proteinData.filename,
+            target: target.proteinData.filename,
+            mobileLength: mobile.residues.length,
+            targetLength: target.residues.length
+        };
+    }
+
+    // Apply a rigid transform to a protein's atoms and stored states. It is
+    // also kept on proteinData.transform for trajectory frames read later.
+    transformProtein(proteinData, transform) {
+        const parser = proteinData.parser;
+        parser.coordinateSets = parser.coordinateSets.map(coordinates =>
+            Superposition.transformCoordinates(coordinates, transform));
+
+        for (const atom of parser.atoms) {
+            const moved = Superposition.apply(atom, transform);
+            atom.x = moved.x;
+            atom.y = moved.y;
+            atom.z = moved.z;
+        }
+
+        proteinData.transform = proteinData.transform
+            ? Superposition.compose(transform, proteinData.transform)
+            : transform;
+    }
+
+    // Change a protein's scene offset and bring its meshes along
+    async moveProtein(proteinData, position) {
+        const delta = {
+            x: position.x - proteinData.position.x,
+            y: position.y - proteinData.position.y,
+            z: position.z - proteinData.position.z
+        };
+
+        // Atom, bond and ligand meshes are placed from the offset in updateProteinCoordinates
+        for (const mesh of [...proteinData.meshes, ...proteinData.putty, ...proteinData.surface, ...proteinData.backboneTraces]) {
+            mesh.position.x += delta.x;
+            mesh.position.y += delta.y;
+            mesh.position.z += delta.z;
+        }
+
+        proteinData.position = { ...position };
+        await this.updateProteinCoordinates(proteinData);
+    }
+
+    static get representationTypes() {
+        return ['cartoon', 'putty', 'surface', 'backbone', 'sticks', 'spheres', 'ligands'];
+    }
+
+    // Meshes of one representation type for a protein
+    getRepresentationMeshes(proteinData, type) {
+        const meshes = {
+            cartoon: proteinData.meshes,
+            putty: proteinData.putty,
+            surface: proteinData.surface,
+            backbone: proteinData.backboneTraces,
+            sticks: proteinData.sticks,
+            spheres: proteinData.spheres,
+            ligands: proteinData.ligands
+        }[type];
+        if (!meshes) {
+            throw new Error(`Unknown representation type: ${type}`);
+        }
+        return meshes;
+    }
+
+    // Atoms a representation currently shows, or null if it was never generated
+    getRepresentationAtoms(proteinData, type) {
+        const meshes = this.getRepresentationMeshes(proteinData, type);
+        if (meshes.length === 0) return null;
+
+        const atoms = new Set();
+        for (const mesh of meshes) {
+            const metadata = mesh.metadata || {};
+            const visible = metadata.hidden !== undefined ? !metadata.hidden : mesh.isVisible;
+            if (!visible) continue;
+
+            if (metadata.atom) {
+                atoms.add(metadata.atom);
+            } else if (metadata.atoms instanceof Set) {
+                metadata.atoms.forEach(atom => atoms.add(atom)); // Surface patch
+            } else if (metadata.residues) {
+                metadata.residues.forEach(residue => residue.atoms.forEach(atom => atoms.add(atom)));
+            } else if (type === 'backbone') {
+                const chainId = mesh.name.replace(/^backbone_/, '');
+                proteinData.parser.atoms.filter(atom => atom.chainId === chainId).forEach(atom => atoms.add(atom));
+            }
+        }
+        return atoms;
+    }
+
+    // Position of each atom in parser.atoms, used to refer to atoms in sessions
+    getAtomIndices(proteinData) {
+        if (!proteinData.atomIndices) {
+            proteinData.atomIndices = new Map(proteinData.parser.atoms.map((atom, index) => [atom, index]));
+        }
+        return proteinData.atomIndices;
+    }
+
+    // Atom set -> sorted [first, last] index ranges
+    encodeAtoms(proteinData, atoms) {
+        const indexOf = this.getAtomIndices(proteinData);
+        const indices = [...atoms].map(atom => indexOf.get(atom)).filter(index => index !== undefined).sort((a, b) => a - b);
+
+        const ranges = [];
+        for (const index of indices) {
+            const last = ranges[ranges.length - 1];
+            if (last && index === last[1] + 1) {
+                last[1] = index;
+            } else {
+                ranges.push([index, index]);
+            }
+        }
+        return ranges;
+    }
+
+    decodeAtoms(proteinData, ranges) {
+        const atoms = new Set();
+        for (const [first, last] of ranges) {
+            for (let index = first; index <= last && index < proteinData.parser.atoms.length; index++) {
+                atoms.add(proteinData.parser.atoms[index]);
+            }
+        }
+        return atoms;
+    }
+
+    // Shown atoms per representation and atoms per color of one protein, encoded
+    getProteinViewState(proteinData) {
+        const representations = {};
+        for (const type of ProteinRenderer.representationTypes) {
+            const atoms = this.getRepresentationAtoms(proteinData, type);
+            if (atoms) {
+                representations[type] = this.encodeAtoms(proteinData, atoms);
+            }
+        }
+
+        // Atoms grouped by color, as hex strings
+        const colorGroups = new Map();
+        for (const [atom, color] of proteinData.atomColors) {
+            const hex = color.toHexString();
+            if (!colorGroups.has(hex)) colorGroups.set(hex, new Set());
+            colorGroups.get(hex).add(atom);
+        }
+        const colors = {};
+        for (const [hex, atoms] of colorGroups) {
+            colors[hex] = this.encodeAtoms(proteinData, atoms);
+        }
+
+        return { representations, colors };
+    }
+
+    // Bring a protein's representations and colors to a getProteinViewState() result.
+    // Only representations and colors that differ are redone; a representation
+    // missing from the view had not been generated, so it shows nothing.
+    async applyProteinViewState(proteinData, view) {
+        const representations = view.representations || {};
+        for (const type of ProteinRenderer.representationTypes) {
+            const atoms = this.decodeAtoms(proteinData, representations[type] || []);
+            const shown = this.getRepresentationAtoms(proteinData, type) || new Set();
+            if (shown.size === atoms.size && [...atoms].every(atom => shown.has(atom))) continue;
+
+            if (shown.size > 0) {
+                await this.setRepresentationForAtoms(proteinData, new Set(proteinData.parser.atoms), type, false);
+            }
+            if (atoms.size > 0) {
+                await this.setRepresentationForAtoms(proteinData, atoms, type, true);
+            }
+        }
+
+        const colors = view.colors || {};
+        if (JSON.stringify(this.getProteinViewState(proteinData).colors) === JSON.stringify(colors)) return;
+
+        // Back to the color scheme (CPK for atoms), then the saved colors on top
+        this.applyProteinColorScheme(proteinData, this.currentColorScheme);
+        for (const mesh of [...proteinData.sticks, ...proteinData.spheres, ...proteinData.ligands]) {
+            if (mesh.metadata && mesh.metadata.atom) {
+                mesh.material = this.ribbonGenerator.getSolidColorMaterial(this.getAtomColor(proteinData, mesh.metadata.atom));
+            }
+        }
+        for (const [hex, ranges] of Object.entries(colors)) {
+            const color = BABYLON.Color3.FromHexString(hex);
+            this.colorResults([{ proteinData, atoms: this.decodeAtoms(proteinData, ranges) }], () => color);
+        }
+    }
+
+    // Global representation flags (showCartoon, ...) by type
+    getRepresentationFlags() {
+        return Object.fromEntries(ProteinRenderer.representationTypes.map(type =>
+            [type, this[`show${type.charAt(0).toUpperCase()}${type.slice(1)}`]]));
+    }
+
+    setRepresentationFlags(flags) {
+        for (const [type, visible] of Object.entries(flags || {})) {
+            if (ProteinRenderer.representationTypes.includes(type)) {
+                this[`show${type.charAt(0).toUpperCase()}${type.slice(1)}`] = !!visible;
+            }
+        }
+    }
+
+    getCameraState() {
+        const target = this.camera.getTarget();
+        return {
+            position: { x: this.camera.position.x, y: this.camera.position.y, z: this.camera.position.z },
+            target: { x: target.x, y: target.y, z: target.z }
+        };
+    }
+
+    // Everything needed to rebuild the current view as plain JSON. Atoms are
+    // referred to by protein filename and index in the parsed file.
+    getSessionState() {
+        const atomRef = ({ proteinData, atom }) => ({ protein: proteinData.filename, atom: this.getAtomIndices(proteinData).get(atom) });
+
+        const proteins = [];
+        for (const proteinData of this.proteins.values()) {
+            const selections = {};
+            for (const [name, atoms] of proteinData.selections) {
+                selections[name] = this.encodeAtoms(proteinData, atoms);
+            }
+
+            proteins.push({
+                filename: proteinData.filename,
+                source: proteinData.source,
+                position: { ...proteinData.position },
+                transform: proteinData.transform,
+                ...this.getProteinViewState(proteinData),
+                selections
+            });
+        }
+
+        return {
+            version: 1,
+            proteins,
+            representations: this.getRepresentationFlags(),
+            colorScheme: this.currentColorScheme,
+            state: this.currentState,
+            nextProteinPosition: { ...this.nextProteinPosition },
+            labels: [...this.atomLabels.values()].map(entry => ({ ...atomRef(entry), text: entry.text })),
+            labelSettings: { ...this.labelSettings, offset: { ...this.labelSettings.offset } },
+            measurements: this.measurements.map(measurement => ({
+                name: measurement.name,
+                type: measurement.type,
+                atoms: measurement.atoms.map(atomRef)
+            })),
+            scenes: [...this.scenes.values()],
+            camera: this.getCameraState(),
+            background: this.scene.clearColor.toHexString().slice(0, 7) // Color4 adds alpha
+        };
+    }
+
+    // Replace the current view with a saved session. loadSource(source) resolves
+    // a protein's source ({ server } or { content }) to structure text.
+    async restoreSessionState(session, loadSource) {
+        if (!session || session.version !== 1 || !Array.isArray(session.proteins)) {
+            throw new Error('Not a session file (expected version 1)');
+        }
+
+        this.clearAllProteins();
+        this.scene.clearColor = BABYLON.Color3.FromHexString(session.background || '#000000');
+        this.currentColorScheme = session.colorScheme || this.currentColorScheme;
+        this.setRepresentationFlags(session.representations);
+        if (session.labelSettings) {
+            this.setLabelSettings(session.labelSettings);
+        }
+
+        for (const saved of session.proteins) {
+            const text = await loadSource(saved.source);
+            this.nextProteinPosition = { ...saved.position }; // Placed where it was saved
+            if (!await this.addProtein(text, saved.filename, false, saved.source)) {
+                throw new Error(`Could not load ${saved.filename}`);
+            }
+            const proteinData = this.proteins.get(saved.filename);
+
+            if (saved.transform) {
+                this.transformProtein(proteinData, saved.transform);
+                await this.updateProteinCoordinates(proteinData);
+            }
+
+            await this.applyProteinViewState(proteinData, saved);
+            for (const [name, ranges] of Object.entries(saved.selections || {})) {
+                proteinData.selections.set(name, this.decodeAtoms(proteinData, ranges));
+            }
+        }
+
+        if (session.state > 0) {
+            await this.setState(Math.min(session.state, this.getStateCount() - 1));
+        }
+        if (session.nextProteinPosition) {
+            this.nextProteinPosition = { ...session.nextProteinPosition };
+        }
+
+        // Saved atom references -> { proteinData, atom }, skipping any that no longer resolve
+        const resolve = ({ protein, atom }) => {
+            const proteinData = this.proteins.get(protein);
+            return proteinData && proteinData.parser.atoms[atom] ? { proteinData, atom: proteinData.parser.atoms[atom] } : null;
+        };
+        for (const saved of session.labels || []) {
+            const entry = resolve(saved);
+            if (entry) {
+                this.addAtomLabel(entry.proteinData, entry.atom, saved.text);
+            }
+        }
+        for (const saved of session.measurements || []) {
+            const atoms = saved.atoms.map(resolve);
+            if (atoms.every(entry => entry)) {
+                this.addMeasurement(saved.type, atoms, saved.name);
+            }
+        }
+
+        this.scenes = new Map((session.scenes || []).map(scene => [scene.name, scene]));
+        this.currentScene = null;
+
+        this.centerAndScaleProtein();
+        if (session.camera) {
+            const { position, target } = session.camera;
+            this.camera.position = new BABYLON.Vector3(position.x, position.y, position.z);
+            this.camera.setTarget(new BABYLON.Vector3(target.x, target.y, target.z));
+        }
+        this.updateSequenceSelection();
+
+        console.log(`Session restored with ${this.proteins.size} proteins`);
+    }
+
+    // Store the camera, representations and colors under a name (replacing an
+    // existing scene of that name, which keeps its place in the order)
+    storeScene(name) {
+        if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+            throw new Error(`Invalid scene name: ${name}`);
+        }
+
+        const proteins = {};
+        for (const proteinData of this.proteins.values()) {
+            proteins[proteinData.filename] = this.getProteinViewState(proteinData);
+        }
+
+        this.scenes.set(name, {
+            name,
+            camera: this.getCameraState(),
+            representations: this.getRepresentationFlags(),
+            colorScheme: this.currentColorScheme,
+            proteins
+        });
+        this.currentScene = name;
+        return this.scenes.get(name);
+    }
+
+    deleteScene(name) {
+        if (name === 'all') {
+            const count = this.scenes.size;
+            this.scenes.clear();
+            this.currentScene = null;
+            return count > 0;
+        }
+
+        if (this.currentScene === name) this.currentScene = null;
+        return this.scenes.delete(name);
+    }
+
+    // Name of the scene step places after (1) or before (-1) the current one, wrapping around
+    getAdjacentScene(step) {
+        const names = [...this.scenes.keys()];
+        if (names.length === 0) return null;
+
+        const index = names.indexOf(this.currentScene);
+        if (index < 0) return step > 0 ? names[0] : names[names.length - 1];
+        return names[(index + step + names.length) % names.length];
+    }
+
+    // Animate to a stored scene: the camera moves while meshes that appear fade
+    // in and meshes that disappear fade out. Proteins loaded after the scene was
+    // stored keep their representations.
+    async recallScene(name, duration = 1000) {
+        const transition = await this.beginSceneTransition(name);
+
+        const { position, target } = transition.scene.camera;
+        await this.animateToView(
+            new BABYLON.Vector3(position.x, position.y, position.z),
+            new BABYLON.Vector3(target.x, target.y, target.z),
+            duration,
+            (eased) => {
+                if (transition.done) return false;
+                transition.fade(eased);
+                return true;
+            }
+        );
+        transition.finish();
+
+        return transition.scene;
+    }
+
+    // Apply a stored scene's representations and colors, keeping meshes that
+    // disappear drawn so they can fade out. The camera is left where it is.
+    // Returns the transition: fade(eased) crossfades from 0 to 1, finish() ends it.
+    async beginSceneTransition(name) {
+        const scene = this.scenes.get(name);
+        if (!scene) {
+            throw new Error(`Scene not found: ${name}`);
+        }
+
+        // A recall still animating jumps to its end first
+        if (this.sceneTransition) {
+            this.sceneTransition.finish();
+        }
+
+        const allMeshes = () => {
+            const meshes = [];
+            for (const proteinData of this.proteins.values()) {
+                for (const type of ProteinRenderer.representationTypes) {
+                    meshes.push(...this.getRepresentationMeshes(proteinData, type));
+                }
+            }
+            return meshes;
+        };
+        const isShown = (mesh) => (mesh.metadata && mesh.metadata.hidden !== undefined ? !mesh.metadata.hidden : mesh.isVisible);
+        const before = new Set(allMeshes().filter(isShown));
+
+        this.currentScene = name;
+        this.setRepresentationFlags(scene.representations);
+        if (scene.colorScheme && scene.colorScheme !== this.currentColorScheme) {
+            this.applyColorScheme(scene.colorScheme);
+        }
+        for (const proteinData of this.proteins.values()) {
+            const view = scene.proteins[proteinData.filename];
+            if (view) {
+                await this.applyProteinViewState(proteinData, view);
+            }
+        }
+
+        const after = allMeshes().filter(isShown);
+        const fadeIn = after.filter(mesh => !before.has(mesh));
+        const fadeOut = [...before].filter(mesh => !after.includes(mesh) && !mesh.isDisposed());
+
+        // Hidden meshes stay drawn until they have faded out
+        const setShown = (mesh, shown) => {
+            if (mesh.metadata && mesh.metadata.hidden !== undefined) {
+                this.setMeshVisibility(mesh, shown);
+            } else {
+                mesh.isVisible = shown;
+            }
+        };
+        fadeOut.forEach(mesh => setShown(mesh, true));
+        fadeIn.forEach(mesh => { mesh.visibility = 0; });
+
+        const transition = {
+            scene,
+            done: false,
+            fade: (eased) => {
+                fadeIn.forEach(mesh => { mesh.visibility = eased; });
+                fadeOut.forEach(mesh => { mesh.visibility = 1 - eased; });
+            },
+            finish: () => {
+                if (transition.done) return;
+                transition.done = true;
+                fadeIn.forEach(mesh => { mesh.visibility = 1; });
+                fadeOut.forEach(mesh => {
+                    mesh.visibility = 1;
+                    setShown(mesh, false);
+                });
+                if (this.sceneTransition === transition) this.sceneTransition = null;
+            }
+        };
+        this.sceneTransition = transition;
+        return transition;
+    }
+
+    setMovieLength(frames) {
+        if (!Number.isInteger(frames) || frames < 1 || frames > 10000) {
+            throw new Error(`Invalid movie length: ${frames} (use 1-10000 frames)`);
+        }
+        this.movieLength = frames;
+    }
+
+    // Program the movie: 'roll' turns the view once around the vertical axis,
+    // 'rock' swings it angle degrees each way, 'scenes' tours the stored scenes
+    setMovie(type, angle = 30) {
+        if (!['roll', 'rock', 'scenes'].includes(type)) {
+            throw new Error(`Unknown movie type: ${type} (use roll, rock or scenes)`);
+        }
+        if (type === 'rock' && !(angle > 0 && angle <= 180)) {
+            throw new Error(`Invalid rock angle: ${angle} (use 1-180 degrees)`);
+        }
+        if (type === 'scenes' && this.scenes.size === 0) {
+            throw new Error('No scenes stored; use scene store first');
+        }
+        this.movie = { type, angle };
+        return this.movie;
+    }
+
+    clearMovie() {
+        this.movie = null;
+        return this.stopMovie();
+    }
+
+    // Step through the movie, setting up the view for each frame in turn and
+    // yielding the frame index. Camera moves end where they started.
+    async *playMovie() {
+        if (!this.movie) {
+            throw new Error('No movie programmed; use movie roll, movie rock or movie scenes');
+        }
+        if (this.movie.type === 'scenes') {
+            yield* this.playSceneTour();
+            return;
+        }
+
+        const alpha = this.camera.alpha;
+        const angle = this.movie.angle * Math.PI / 180;
+        try {
+            for (let frame = 0; frame < this.movieLength; frame++) {
+                const phase = 2 * Math.PI * frame / this.movieLength;
+                this.camera.alpha = alpha + (this.movie.type === 'roll' ? phase : angle * Math.sin(phase));
+                yield frame;
+            }
+        } finally {
+            this.camera.alpha = alpha;
+        }
+    }
+
+    // Scene tour: each stored scene in turn, looping back to the first. A scene
+    // holds still for the first half of its frames and moves on to the next
+    // scene (camera and crossfade, as in recallScene) during the second half.
+    async *playSceneTour() {
+        const names = [...this.scenes.keys()];
+        if (names.length === 0) {
+            throw new Error('No scenes stored; use scene store first');
+        }
+
+        await this.recallScene(names[0], 0);
+        let frame = 0;
+        for (let index = 0; index < names.length; index++) {
+            const end = Math.round((index + 1) * this.movieLength / names.length);
+            const moveStart = Math.round((frame + end) / 2);
+            while (frame < moveStart) {
+                yield frame++;
+            }
+
+            const startPosition = this.camera.position.clone();
+            const startTarget = this.camera.getTarget().clone();
+            const transition = await this.beginSceneTransition(names[(index + 1) % names.length]);
+            const { position, target } = transition.scene.camera;
+            const endPosition = new BABYLON.Vector3(position.x, position.y, position.z);
+            const endTarget = new BABYLON.Vector3(target.x, target.y, target.z);
+            try {
+                for (let step = 1; frame < end; step++) {
+                    const eased = 0.5 * (1 - Math.cos(Math.PI * step / (end - moveStart)));
+                    this.camera.position = BABYLON.Vector3.Lerp(startPosition, endPosition, eased);
+                    this.camera.setTarget(BABYLON.Vector3.Lerp(startTarget, endTarget, eased));
+                    transition.fade(eased);
+                    yield frame++;
+                }
+            } finally {
+                transition.finish();
+            }
+        }
+    }
+
+    // Play the movie in the viewport at fps frames per second, looping until
+    // stopMovie; resolves when playback ends
+    async previewMovie(fps = 30) {
+        await this.stopMovie();
+
+        const playback = { stopped: false };
+        playback.finished = (async () => {
+            while (!playback.stopped) {
+                for await (const frame of this.playMovie()) {
+                    await new Promise(resolve => setTimeout(resolve, 1000 / fps));
+                    if (playback.stopped) break;
+                }
+            }
+        })().finally(() => {
+            if (this.moviePlayback === playback) this.moviePlayback = null;
+        });
+        this.moviePlayback = playback;
+        return playback.finished;
+    }
+
+    // Stop a preview; resolves once the view is back where the movie started
+    async stopMovie() {
+        const playback = this.moviePlayback;
+        if (!playback) return;
+
+        playback.stopped = true;
+        this.moviePlayback = null;
+        await playback.finished.catch(() => {});
+    }
+
+    // Number of states across loaded proteins (the largest ensemble wins)
+    getStateCount() {
+        let count = 1;
+        for (const proteinData of this.proteins.values()) {
+            count = Math.max(count, proteinData.parser.getStateCount());
+        }
+        return count;
+    }
+
+    // Switch every protein to a coordinate state (0-based). Proteins with
+    // fewer states stay on their last one, like single-state objects in PyMOL.
+    async setState(index) {
+        const stateCount = this.getStateCount();
+        if (index < 0 || index >= stateCount) {
+            throw new Error(`State ${index + 1} out of range (1-${stateCount})`);
+        }
+
+        this.currentState = index;
+
+        for (const proteinData of this.proteins.values()) {
+            const parser = proteinData.parser;
+            if (parser.setState(Math.min(index, parser.getStateCount() - 1))) {
+                await this.updateProteinCoordinates(proteinData);
+            }
+        }
+
+        return index;
+    }
+
+    // Move existing meshes to the parser's current coordinates; topology,
+    // materials and visibility are left untouched
+    async updateProteinCoordinates(proteinData) {
+        const offset = proteinData.position;
+
+        for (const mesh of [...proteinData.sticks, ...proteinData.spheres, ...proteinData.ligands]) {
+            const metadata = mesh.metadata || {};
+            if (metadata.atom) {
+                mesh.position.set(metadata.atom.x + offset.x, metadata.atom.y + offset.y, metadata.atom.z + offset.z);
+            } else if (metadata.atoms) {
+                this.ribbonGenerator.updateBondCylinder(mesh, offset);
+            }
+        }
+
+        for (const trace of proteinData.backboneTraces) {
+            this.ribbonGenerator.updateBackboneTrace(trace, proteinData.parser, trace.name.replace('backbone_', ''));
+        }
+
+        // Putty and surfaces are too slow to recompute every playback step;
+        // they are rebuilt once when playback stops
+        if (this.isPlayingStates() || this.isPlayingFrames()) {
+            proteinData.staleMeshes = true;
+        } else {
+            await this.rebuildPutty(proteinData);
+            await this.rebuildSurface(proteinData);
+        }
+        this.drawInteractions(proteinData);
+        this.measurements
+            .filter(measurement => measurement.atoms.some(entry => entry.proteinData === proteinData))
+            .forEach(measurement => this.drawMeasurement(measurement));
+        for (const entry of this.atomLabels.values()) {
+            if (entry.proteinData === proteinData) {
+                entry.label.anchor.position = this.getLabelPosition(entry);
+            }
+        }
+
+        if (proteinData.meshes.length === 0) return;
+
+        // Cartoon meshes are updated per chain; rebuild them if the segments changed
+        const meshesByChain = new Map();
+        for (const mesh of proteinData.meshes) {
+            const chainId = mesh.metadata.chainId;
+            if (!meshesByChain.has(chainId)) {
+                meshesByChain.set(chainId, []);
+            }
+            meshesByChain.get(chainId).push(mesh);
+        }
+
+        let updated = true;
+        for (const [chainId, meshes] of meshesByChain) {
+            updated = updated && this.cartoonGenerator.updateCartoon(proteinData.parser, chainId, meshes);
+        }
+
+        if (!updated) {
+            proteinData.meshes.forEach(mesh => mesh.dispose());
+            proteinData.meshes = [];
+            await this.generateProteinCartoonRibbons(proteinData);
+            proteinData.meshes.forEach(mesh => this.setMeshVisibility(mesh, this.showCartoon));
+        }
+    }
+
+    // Cycle through states at stateSpeed states per second
+    playStates() {
+        clearInterval(this.stateTimer); // Restart without stopping playback
+
+        let busy = false;
+        this.stateTimer = setInterval(async () => {
+            if (busy) return; // Skip ticks while a large state is still updating
+            busy = true;
+            try {
+                await this.setState((this.currentState + 1) % this.getStateCount());
+            } catch (error) {
+                console.error('Error advancing state:', error);
+                this.stopStates();
+            } finally {
+                busy = false;
+            }
+        }, 1000 / this.stateSpeed);
+    }
+
+    stopStates() {
+        if (this.stateTimer) {
+            clearInterval(this.stateTimer);
+            this.stateTimer = null;
+        }
+        return this.rebuildStaleMeshes();
+    }
+
+    isPlayingStates() {
+        return this.stateTimer !== null;
+    }
+
+    // Change state and frame playback speed; restarts the timer if playing
+    setStateSpeed(statesPerSecond) {
+        this.stateSpeed = statesPerSecond;
+        if (this.isPlayingStates()) {
+            this.playStates();
+        }
+        if (this.isPlayingFrames()) {
+            this.playFrames();
+        }
+    }
+
+    // Attach a streamed trajectory to a loaded protein; the atom order of the
+    // trajectory must match the protein's topology
+    attachTrajectory(filename, trajectory) {
+        const proteinData = this.proteins.get(filename);
+        if (!proteinData) {
+            throw new Error(`Protein ${filename} not found`);
+        }
+        if (trajectory.atomCount !== proteinData.parser.atoms.length) {
+            throw new Error(`${trajectory.filename} has ${trajectory.atomCount} atoms but ${filename} has ${proteinData.parser.atoms.length}`);
+        }
+
+        proteinData.trajectory = trajectory;
+        return proteinData;
+    }
+
+    // Number of frames across attached trajectories (0 when none are attached)
+    getFrameCount() {
+        let count = 0;
+        for (const proteinData of this.proteins.values()) {
+            if (proteinData.trajectory) {
+                count = Math.max(count, proteinData.trajectory.frameCount);
+            }
+        }
+        return count;
+    }
+
+    // Show a trajectory frame (0-based) on every protein with a trajectory;
+    // shorter trajectories stay on their last frame
+    async setFrame(index) {
+        const frameCount = this.getFrameCount();
+        if (frameCount === 0) {
+            throw new Error('No trajectory loaded');
+        }
+        if (index < 0 || index >= frameCount) {
+            throw new Error(`Frame ${index + 1} out of range (1-${frameCount})`);
+        }
+
+        for (const proteinData of this.proteins.values()) {
+            const trajectory = proteinData.trajectory;
+            if (!trajectory) continue;
+
+            const frame = Math.min(index, trajectory.frameCount - 1);
+            const coordinates = await trajectory.getFrame(frame);
+            trajectory.prefetch(frame);
+
+            // Frames are stored as read; aligned proteins need their transform applied
+            proteinData.parser.setCoordinates(proteinData.transform
+                ? Superposition.transformCoordinates(coordinates, proteinData.transform)
+                : coordinates);
+            await this.updateProteinCoordinates(proteinData);
+        }
+
+        this.currentFrame = index;
+        return index;
+    }
+
+    // Play trajectory frames at stateSpeed frames per second
+    playFrames() {
+        clearInterval(this.frameTimer); // Restart without stopping playback
+
+        let busy = false;
+        this.frameTimer = setInterval(async () => {
+            if (busy) return; // Wait for frames still being fetched
+            busy = true;
+            try {
+                await this.setFrame((this.currentFrame + 1) % this.getFrameCount());
+            } catch (error) {
+                console.error('Error advancing frame:', error);
+                this.stopFrames();
+            } finally {
+                busy = false;
+            }
+        }, 1000 / this.stateSpeed);
+    }
+
+    stopFrames() {
+        if (this.frameTimer) {
+            clearInterval(this.frameTimer);
+            this.frameTimer = null;
+        }
+        return this.rebuildStaleMeshes();
+    }
+
+    isPlayingFrames() {
+        return this.frameTimer !== null;
+    }
+
+    // Rebuild putty and surfaces skipped during playback, once nothing is playing
+    async rebuildStaleMeshes() {
+        if (this.isPlayingStates() || this.isPlayingFrames()) return;
+
+        for (const proteinData of this.proteins.values()) {
+            if (!proteinData.staleMeshes) continue;
+            proteinData.staleMeshes = false;
+            try {
+                await this.rebuildPutty(proteinData);
+                await this.rebuildSurface(proteinData);
+            } catch (error) {
+                console.error(`Error rebuilding meshes for ${proteinData.filename}:`, error);
+            }
+        }
+    }
+
+    // Apply color scheme to all proteins
+    applyColorScheme(scheme) {
+        this.currentColorScheme = scheme;
+
+        for (const [filename, proteinData] of this.proteins) {
+            this.applyProteinColorScheme(proteinData, scheme);
+        }
+
+        console.log(`Applied color scheme: ${scheme} to ${this.proteins.size} proteins`);
+    }
+
+    // Update render statistics
+    updateRenderStats() {
+        this.renderStats = {
+            totalProteins: this.proteins.size,
+            totalAtoms: 0,
+            totalResidues: 0,
+            totalChains: 0,
+            helixCount: 0,
+            sheetCount: 0,
+            coilCount: 0,
+            meshCount: 0,
+            lastRenderTime: performance.now()
+        };
+
+        // Sum stats from all proteins
+        for (const [filename, proteinData] of this.proteins) {
+            const stats = proteinData.parser.getStatistics();
+            this.renderStats.totalAtoms += stats.totalAtoms;
+            this.renderStats.totalResidues += stats.totalResidues;
+            this.renderStats.totalChains += stats.totalChains;
+            this.renderStats.helixCount += stats.helixCount;
+            this.renderStats.sheetCount += stats.sheetCount;
+            this.renderStats.coilCount += stats.coilCount;
+            this.renderStats.meshCount += proteinData.meshes.length + proteinData.putty.length + proteinData.surface.length + proteinData.interactionLines.length + proteinData.backboneTraces.length + proteinData.sticks.length + proteinData.spheres.length + proteinData.ligands.length;
+        }
+    }
+
+    // Update protein information display
+    updateProteinInfo(filename) {
+        const nameElement = document.getElementById('proteinName');
+        const detailsElement = document.getElementById('proteinDetails');
+        const statsElement = document.getElementById('renderStats');
+
+        if (nameElement) {
+            nameElement.textContent = `${filename} (${this.parser.chains.length} chains)`;
+        }
+
+        if (detailsElement) {
+            const stats = this.renderStats;
+            detailsElement.innerHTML = `
+                <strong>Structure:</strong> ${stats.totalResidues} residues, ${stats.totalAtoms} atoms<br>
+                <strong>Secondary Structure:</strong> ${stats.helixCount} helix, ${stats.sheetCount} sheet, ${stats.coilCount} coil
+            `;
+        }
+
+        if (statsElement) {
+            statsElement.textContent = `Rendered: ${this.renderStats.meshCount} mesh segments`;
+        }
+    }
+
+    // Show/hide loading indicator
+    showLoading(show) {
+        const indicator = document.getElementById('loadingIndicator');
+        if (indicator) {
+            indicator.classList.toggle('hidden', !show);
+        }
+    }
+
+    // Show the spectrum legend: palette gradient with minimum and maximum labels
+    showSpectrumLegend({ property, palette, minimum, maximum }) {
+        const legend = document.getElementById('spectrumLegend');
+        if (!legend) return;
+
+        const stops = [];
+        for (let i = 0; i <= 100; i++) {
+            const color = ColorTable.spectrum(palette, i / 100);
+            stops.push(`${color.toHexString()} ${i}%`);
+        }
+
+        const format = (value) => Number.isInteger(value) ? String(value) : value.toFixed(2);
+        legend.querySelector('.legend-title').textContent = property === 'plddt' ? 'pLDDT' : property;
+        legend.querySelector('.legend-bar').style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+        legend.querySelector('.legend-min').textContent = format(minimum);
+        legend.querySelector('.legend-max').textContent = format(maximum);
+        legend.classList.remove('hidden');
+    }
+
+    hideSpectrumLegend() {
+        const legend = document.getElementById('spectrumLegend');
+        if (legend) {
+            legend.classList.add('hidden');
+        }
+    }
+
+    // Hover tooltip next to the pointer (client coordinates)
+    showPickTooltip(text, clientX, clientY) {
+        const tooltip = document.getElementById('pickTooltip');
+        if (!tooltip) return;
+
+        tooltip.textContent = text;
+        tooltip.style.left = `${clientX + 14}px`;
+        tooltip.style.top = `${clientY + 14}px`;
+        tooltip.classList.remove('hidden');
+    }
+
+    hidePickTooltip() {
+        const tooltip = document.getElementById('pickTooltip');
+        if (tooltip) {
+            tooltip.classList.add('hidden');
+        }
+    }
+
+    // Show error message
+    showError(message) {
+        const errorElement = document.getElementById('errorMessage');
+        if (errorElement) {
+            errorElement.textContent = message;
+            errorElement.classList.remove('hidden');
+
+            // Auto-hide after 5 seconds
+            setTimeout(() => {
+                errorElement.classList.add('hidden');
+            }, 5000);
+        }
+    }
+
+    // Get protein information for display
+    getProteinInfo() {
+        return {
+            filename: this.currentFilename || 'Unknown',
+            header: this.parser.header,
+            statistics: this.renderStats,
+            chains: this.parser.chains.map(chain => ({
+                id: chain.id,
+                type: chain.type,
+                residueCount: chain.residues.length
+            })),
+            boundingBox: this.parser.getBoundingBox()
+        };
+    }
+
+    // Export current view as image
+    // PNG Blob of the current view at any size. options: samples (jittered
+    // renders averaged per pixel), ambientOcclusion, transparent, dpi.
+    async exportImage(width = 1920, height = 1080, options = {}) {
+        const canvas = await this.renderImage(width, height, options);
+        return ImageExporter.toPNG(canvas, options.dpi);
+    }
+
+    // Render every movie frame offscreen and encode them as 'webm' or 'zip' (numbered
+    // PNGs named prefix0001.png, ...). options: fps, samples, prefix, onProgress(done, total).
+    async exportMovie(format, width, height, { fps = 30, samples = 1, prefix = 'frame', onProgress = null } = {}) {
+        await this.stopMovie();
+        const exporter = new MovieExporter(width, height, fps);
+        const frames = this.playMovie();
+
+        try {
+            return await exporter.record(format, this.movieLength, async () => {
+                await frames.next();
+                return this.renderImage(width, height, { samples });
+            }, { prefix, onProgress });
+        } finally {
+            await frames.return();
+        }
+    }
+
+    // Render the scene offscreen to a width x height canvas (see ImageExporter)
+    async renderImage(width, height, options = {}) {
+        const exporter = new ImageExporter(this.scene, this.camera);
+
+        // Labels are redrawn at the output scale instead of through the GUI layer
+        const labels = [
+            ...[...this.atomLabels.values()].map(entry => entry.label),
+            ...this.measurements.map(measurement => measurement.label)
+        ].filter(label => label && label.block.isVisible).map(({ anchor, block }) => ({
+            position: anchor.getAbsolutePosition(),
+            text: block.text,
+            color: block.color,
+            fontSize: parseFloat(block.fontSize),
+            offsetX: parseFloat(block.linkOffsetX) || 0,
+            offsetY: parseFloat(block.linkOffsetY) || 0
+        }));
+
+        if (this.labelTexture) this.labelTexture.rootContainer.isVisible = false;
+        try {
+            return await exporter.render({ width, height, labels, ...options });
+        } finally {
+            if (this.labelTexture) this.labelTexture.rootContainer.isVisible = true;
+        }
+    }
+
+    // PDB or mmCIF text for the atoms matching an expression, at their current
+    // coordinates. Returns { content, atomCount, proteinCount }.
+    exportStructure(expression, format, name = 'structure') {
+        const results = this.selectAtoms(expression);
+        if (results.length === 0) {
+            throw new Error(`No atoms match: ${expression}`);
+        }
+
+        const writer = new StructureWriter(results);
+        return {
+            content: format === 'cif' ? writer.toMMCIF(name) : writer.toPDB(),
+            atomCount: this.countSelectedAtoms(results),
+            proteinCount: results.length
+        };
+    }
+
+    // 3D model ('glb', 'obj' or 'stl') of the shown meshes, merged per
+    // representation. Line representations (backbone) have no surface and are
+    // left out. Returns { data, groups: [{ name, triangles }], triangleCount }.
+    exportModel(format) {
+        const isShown = (mesh) => (mesh.metadata && mesh.metadata.hidden !== undefined ? !mesh.metadata.hidden : mesh.isVisible);
+        const groups = ProteinRenderer.representationTypes
+            .filter(type => type !== 'backbone')
+            .map(type => ({
+                name: type,
+                meshes: [...this.proteins.values()]
+                    .flatMap(proteinData => this.getRepresentationMeshes(proteinData, type))
+                    .filter(mesh => !mesh.isDisposed() && mesh.isEnabled() && isShown(mesh))
+            }));
+
+        const exporter = new ModelExporter(groups);
+        if (exporter.groups.length === 0) {
+            throw new Error('Nothing to export; show cartoon, sticks, spheres, ligands, putty or surface first');
+        }
+
+        const data = { glb: () => exporter.toGLB(), obj: () => exporter.toOBJ(), stl: () => exporter.toSTL() }[format];
+        if (!data) {
+            throw new Error(`Unknown model format: ${format} (use ${ModelExporter.formats.join(', ')})`);
+        }
+
+        return {
+            data: data(),
+            groups: exporter.groups.map(group => ({ name: group.name, triangles: group.indices.length / 3 })),
+            triangleCount: exporter.getTriangleCount()
+        };
+    }
+
+    // Performance optimization: Level of Detail
+    updateLOD() {
+        if (!this.lodEnabled) return;
+
+        const cameraDistance = BABYLON.Vector3.Distance(
+            this.camera.position,
+            this.proteinCenter || BABYLON.Vector3.Zero()
+        );
+
+        const lodLevel = this.calculateLODLevel(cameraDistance);
+
+        // Adjust mesh detail based on distance for all proteins
+        for (const [filename, proteinData] of this.proteins) {
+            for (const mesh of proteinData.meshes) {
+                this.applyLODToMesh(mesh, lodLevel);
+            }
+        }
+    }
+
+    calculateLODLevel(distance) {
+        if (distance < 50) return 'high';
+        if (distance < 100) return 'medium';
+        return 'low';
+    }
+
+    applyLODToMesh(mesh, lodLevel) {
+        // Implement LOD by adjusting mesh visibility or detail
         // But respect user's representation settings
 
         let shouldBeVisible = false;
@@ -735,7 +3110,10 @@ class ProteinRenderer {
         // Determine if mesh should be visible based on representation settings
         let meshType = this.getMeshType(mesh);
         if (meshType === 'cartoon') {
-            shouldBeVisible = this.showCartoon;
+            // Per-segment visibility set through selections overrides the global flag
+            shouldBeVisible = mesh.metadata && mesh.metadata.hidden !== undefined
+                ? !mesh.metadata.hidden
+                : this.showCartoon;
         } else if (meshType === 'backbone') {
             shouldBeVisible = this.showBackbone;
         } else if (meshType === 'sticks') {
@@ -771,34 +3149,47 @@ class ProteinRenderer {
         }
     }
 
-    // Animation support
-    animateToView(targetPosition, targetTarget, duration = 1000) {
+    // Animation support. onFrame(eased progress) runs every frame and can
+    // return false to stop; the returned promise resolves when the move ends.
+    animateToView(targetPosition, targetTarget, duration = 1000, onFrame = null) {
         const startPosition = this.camera.position.clone();
         const startTarget = this.camera.getTarget().clone();
 
         const startTime = performance.now();
 
-        const animate = () => {
-            const elapsed = performance.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+        return new Promise(resolve => {
+            const animate = () => {
+                const elapsed = performance.now() - startTime;
+                const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
 
-            // Smooth easing
-            const eased = 0.5 * (1 - Math.cos(progress * Math.PI));
+                // Smooth easing
+                const eased = 0.5 * (1 - Math.cos(progress * Math.PI));
 
-            // Interpolate camera position and target
-            this.camera.position = BABYLON.Vector3.Lerp(startPosition, targetPosition, eased);
-            this.camera.setTarget(BABYLON.Vector3.Lerp(startTarget, targetTarget, eased));
+                if (onFrame && onFrame(eased) === false) {
+                    resolve();
+                    return;
+                }
 
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            }
-        };
+                // Interpolate camera position and target
+                this.camera.position = BABYLON.Vector3.Lerp(startPosition, targetPosition, eased);
+                this.camera.setTarget(BABYLON.Vector3.Lerp(startTarget, targetTarget, eased));
+
+                if (progress < 1) {
+                    requestAnimationFrame(animate);
+                } else {
+                    resolve();
+                }
+            };
 
-        animate();
+            animate();
+        });
     }
 
     // Dispose all resources
     dispose() {
+        this.stopStates();
+        this.stopFrames();
+        this.stopMovie();
         this.clearProtein();
         this.ribbonGenerator.dispose();
         console.log('ProteinRenderer disposed');
@@ -23,7 +23,10 @@ class CartoonGenerator {
             loop_radius: 0.8,       // Loop/coil radius
             smooth_power: 2.0,      // Smoothing power
             arrow_scale: 1.5,       // Arrow scaling for sheet ends
-            putty_scale: 2.0        // Putty B-factor scaling
+            putty_scale: 2.0,       // Putty B-factor scaling (absolute transform)
+            putty_transform: 'linear', // linear, quadratic or absolute
+            putty_scale_min: 0.5,   // Smallest putty radius scale
+            putty_scale_max: 4.0    // Largest putty radius scale
         };
     }
 
@@ -73,6 +76,15 @@ class CartoonGenerator {
             if (extrude) {
                 const mesh = this.generateMesh(extrude, curve.cartoonType, curve.colors);
                 if (mesh) {
+                    // Residues covered by this segment, for selection-based show/hide/color;
+                    // each cross-section of shapePoints vertices belongs to pointResidues[i]
+                    mesh.metadata = {
+                        chainId: chainId,
+                        cartoonType: curve.cartoonType,
+                        residues: [...new Set(curve.segments.flatMap(s => [s.point1.residue, s.point2.residue]))],
+                        pointResidues: curve.pointResidues,
+                        shapePoints: extrude.nShapePoints
+                    };
                     meshes.push(mesh);
                     this.extrudes.push(extrude);
                 }
@@ -84,6 +96,145 @@ class CartoonGenerator {
         return meshes;
     }
 
+    /**
+     * Generate a putty (sausage) tube for a protein chain: one tube through all
+     * CA atoms whose radius follows the B-factors, colored blue-white-red by B
+     */
+    generatePutty(parser, chainId, options = {}) {
+        const chain = parser.chains.find(c => c.id === chainId);
+        if (!chain || !chain.residues || chain.residues.length < 2) return [];
+
+        const settings = { ...this.settings, ...options };
+        const backbonePoints = this.extractBackboneCoordinates(chain);
+        if (backbonePoints.length < 2) return [];
+
+        const segments = [];
+        for (let i = 0; i < backbonePoints.length - 1; i++) {
+            segments.push({
+                point1: backbonePoints[i],
+                point2: backbonePoints[i + 1],
+                cartoonType: CartoonType.PUTTY,
+                residue: backbonePoints[i].residue,
+                index: i
+            });
+        }
+
+        const group = { cartoonType: CartoonType.PUTTY, segments: segments, points: backbonePoints };
+        const curve = this.generateSmoothCurves([group], settings)[0];
+        const extrude = this.createExtrusion(curve, settings);
+
+        // Per-point radius scale and color, interpolated between neighbouring residues
+        const { scales, fractions } = this.computePuttyScales(parser, settings);
+        const n = curve.points.length;
+        for (let i = 0; i < n; i++) {
+            const position = (n > 1 ? i / (n - 1) : 0) * (backbonePoints.length - 1);
+            const index = Math.min(Math.floor(position), backbonePoints.length - 2);
+            const t = position - index;
+            const residue1 = backbonePoints[index].residue;
+            const residue2 = backbonePoints[index + 1].residue;
+
+            extrude.scaleFactors[i] = scales.get(residue1) * (1 - t) + scales.get(residue2) * t;
+
+            const color = ColorTable.spectrum('blue_white_red', fractions.get(residue1) * (1 - t) + fractions.get(residue2) * t);
+            extrude.colors[i * 3] = color.r;
+            extrude.colors[i * 3 + 1] = color.g;
+            extrude.colors[i * 3 + 2] = color.b;
+        }
+
+        const mesh = this.generateMesh(extrude, 'putty', [1, 1, 1]);
+        if (!mesh) return [];
+
+        mesh.metadata = {
+            chainId: chainId,
+            cartoonType: CartoonType.PUTTY,
+            residues: backbonePoints.map(point => point.residue),
+            pointResidues: curve.pointResidues,
+            shapePoints: extrude.nShapePoints
+        };
+
+        this.meshes.push(mesh);
+        this.extrudes.push(extrude);
+        console.log(`Generated putty for chain ${chainId} (${settings.putty_transform} scaling)`);
+        return [mesh];
+    }
+
+    /**
+     * Radius scale per residue from CA B-factors. B values are normalized over the
+     * whole structure for linear and quadratic scaling; absolute scaling uses the
+     * implied RMS displacement sqrt(B / 8pi^2) in Angstroms.
+     */
+    computePuttyScales(parser, settings) {
+        const residues = parser.residues.filter(residue => residue.ca);
+        const values = residues.map(residue => residue.ca.tempFactor);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min;
+
+        const scales = new Map();
+        const fractions = new Map();
+
+        residues.forEach((residue, i) => {
+            const fraction = range > 0 ? (values[i] - min) / range : 0.5;
+            let scale;
+
+            switch (settings.putty_transform) {
+                case 'quadratic':
+                    scale = settings.putty_scale_min + fraction * fraction * (settings.putty_scale_max - settings.putty_scale_min);
+                    break;
+                case 'absolute':
+                    scale = settings.putty_scale * Math.sqrt(Math.max(0, values[i]) / (8 * Math.PI * Math.PI)) / settings.loop_radius;
+                    break;
+                case 'linear':
+                default:
+                    scale = settings.putty_scale_min + fraction * (settings.putty_scale_max - settings.putty_scale_min);
+                    break;
+            }
+
+            scales.set(residue, Math.max(settings.putty_scale_min, Math.min(settings.putty_scale_max, scale)));
+            fractions.set(residue, fraction);
+        });
+
+        return { scales, fractions };
+    }
+
+    /**
+     * Move existing cartoon meshes of a chain to the parser's current coordinates.
+     * Secondary structure is unchanged between states, so the segments and vertex
+     * counts match and only positions and normals are rewritten. Returns false
+     * when the meshes no longer line up and the cartoon must be regenerated.
+     */
+    updateCartoon(parser, chainId, meshes, options = {}) {
+        const chain = parser.chains.find(c => c.id === chainId);
+        if (!chain) return false;
+
+        const settings = { ...this.settings, ...options };
+        const backbonePoints = this.extractBackboneCoordinates(chain);
+        const cartoonSegments = this.detectSecondaryStructure(backbonePoints, chain);
+        const smoothCurves = this.generateSmoothCurves(cartoonSegments, settings);
+
+        const geometries = [];
+        for (const curve of smoothCurves) {
+            const extrude = this.createExtrusion(curve, settings);
+            if (extrude) {
+                geometries.push(this.generateGeometry(extrude));
+            }
+        }
+
+        if (geometries.length !== meshes.length) return false;
+
+        for (let i = 0; i < meshes.length; i++) {
+            if (geometries[i].vertices.length !== meshes[i].getTotalVertices() * 3) return false;
+        }
+
+        meshes.forEach((mesh, i) => {
+            mesh.setVerticesData(BABYLON.VertexBuffer.PositionKind, geometries[i].vertices);
+            mesh.setVerticesData(BABYLON.VertexBuffer.NormalKind, geometries[i].normals);
+            mesh.refreshBoundingInfo();
+        });
+
+        return true;
+    }
+
     /**
      * Extract backbone coordinates from residues
      */
@@ -258,12 +409,19 @@ class CartoonGenerator {
             // Generate colors
             const colors = this.generateColors(group.segments);
 
+            // Nearest residue for every interpolated point (per-residue coloring)
+            const pointResidues = smoothPoints.map((point, i) => {
+                const t = smoothPoints.length > 1 ? i / (smoothPoints.length - 1) : 0;
+                return points[Math.round(t * (points.length - 1))].residue;
+            });
+
             curves.push({
                 cartoonType: group.cartoonType,
                 points: smoothPoints,
                 frames: frames,
                 colors: colors,
-                segments: group.segments
+                segments: group.segments,
+                pointResidues: pointResidues
             });
         }
 
@@ -507,6 +665,7 @@ class CartoonGenerator {
         // Generate vertices by extruding shape along the curve
         for (let i = 0; i < n; i++) {
             const pointIdx = i * 3;
+            const scale = extrude.scaleFactors ? extrude.scaleFactors[i] : 1.0; // Putty radius
             const frameIdx = i * 9;
             const colorIdx = i * 3;
 
@@ -557,9 +716,9 @@ class CartoonGenerator {
 
                 // Transform shape point to world coordinates
                 const worldPoint = {
-                    x: point.x + shapePoint.x * normal.x + shapePoint.y * binormal.x,
-                    y: point.y + shapePoint.x * normal.y + shapePoint.y * binormal.y,
-                    z: point.z + shapePoint.x * normal.z + shapePoint.y * binormal.z
+                    x: point.x + (shapePoint.x * normal.x + shapePoint.y * binormal.x) * scale,
+                    y: point.y + (shapePoint.x * normal.y + shapePoint.y * binormal.y) * scale,
+                    z: point.z + (shapePoint.x * normal.z + shapePoint.y * binormal.z) * scale
                 };
 
                 // Transform shape normal to world coordinates
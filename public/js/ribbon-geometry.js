@@ -493,7 +493,8 @@ class RibbonGeometryGenerator {
         if (points.length < 2) return null;
 
         const lines = BABYLON.MeshBuilder.CreateLines(`backbone_${chainId}`, {
-            points: points
+            points: points,
+            updatable: true // Moved in place when the coordinate state changes
         }, this.scene);
 
         lines.color = new BABYLON.Color3(0.5, 0.5, 0.5);
@@ -502,6 +503,35 @@ class RibbonGeometryGenerator {
         return lines;
     }
 
+    // Move an existing backbone trace to the parser's current coordinates
+    updateBackboneTrace(trace, parser, chainId) {
+        const chain = parser.chains.find(c => c.id === chainId);
+        if (!chain) return;
+
+        const points = chain.residues
+            .filter(residue => residue.ca)
+            .map(residue => new BABYLON.Vector3(residue.ca.x, residue.ca.y, residue.ca.z));
+
+        BABYLON.MeshBuilder.CreateLines(trace.name, { points: points, instance: trace });
+    }
+
+    // Dashed line between two points (interactions, measurements); about three
+    // dashes per Angstrom
+    createDashedLine(name, from, to, color) {
+        const length = BABYLON.Vector3.Distance(from, to);
+        const line = BABYLON.MeshBuilder.CreateDashedLines(name, {
+            points: [from, to],
+            dashSize: 2,
+            gapSize: 1,
+            dashNb: Math.max(2, Math.round(length * 3))
+        }, this.scene);
+
+        line.color = color;
+        line.isPickable = false;
+
+        return line;
+    }
+
     // Create atom spheres with CPK radii and colors
     createAtomSpheres(parser, chainId) {
         const chain = parser.chains.find(c => c.id === chainId);
@@ -567,7 +597,8 @@ class RibbonGeometryGenerator {
                     residueName: residue.name,
                     residueSeq: residue.resSeq,
                     chainId: residue.chainId,
-                    cpkRadius: this.cpkRadii[element] || 1.70
+                    cpkRadius: this.cpkRadii[element] || 1.70,
+                    atom: atom
                 };
 
                 spheres.push(sphere);
@@ -632,7 +663,8 @@ class RibbonGeometryGenerator {
                     residueSeq: residue.resSeq,
                     chainId: residue.chainId,
                     cpkRadius: radius,
-                    representationType: 'spaceFilling'
+                    representationType: 'spaceFilling',
+                    atom: atom
                 };
 
                 spheres.push(sphere);
@@ -752,6 +784,161 @@ class RibbonGeometryGenerator {
         }
     }
 
+    // Get or create a flat material for per-selection atom coloring
+    getSolidColorMaterial(color) {
+        const key = `solid_${color.toHexString()}`;
+
+        if (!this.materials.has(key)) {
+            const material = new BABYLON.StandardMaterial(key, this.scene);
+            material.diffuseColor = color.clone();
+            material.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
+            material.shininess = 32;
+            this.materials.set(key, material);
+        }
+
+        return this.materials.get(key);
+    }
+
+    // White material so cartoon colors come only from the vertex color buffer
+    getVertexColorMaterial() {
+        if (!this.materials.has('vertexColor')) {
+            const material = new BABYLON.StandardMaterial('vertexColorMaterial', this.scene);
+            material.diffuseColor = new BABYLON.Color3(1, 1, 1);
+            material.specularColor = new BABYLON.Color3(0.3, 0.3, 0.3);
+            material.shininess = 32;
+            material.backFaceCulling = false;
+            this.materials.set('vertexColor', material);
+        }
+        return this.materials.get('vertexColor');
+    }
+
+    // Recolor the cartoon cross-sections of individual residues. colorForResidue
+    // returns a Color3, or null to leave a residue unchanged. The generated colors
+    // and material are kept in metadata so schemes can restore them.
+    setResidueVertexColors(mesh, colorForResidue) {
+        const metadata = mesh.metadata || {};
+        const colors = mesh.getVerticesData(BABYLON.VertexBuffer.ColorKind);
+        if (!colors || !metadata.pointResidues) return 0;
+
+        if (!metadata.baseColors) {
+            metadata.baseColors = Float32Array.from(colors);
+            metadata.baseMaterial = mesh.material;
+        }
+
+        const shapePoints = metadata.shapePoints;
+        const residueColors = new Map();
+        let changed = 0;
+
+        metadata.pointResidues.forEach((residue, i) => {
+            if (!residueColors.has(residue)) {
+                residueColors.set(residue, colorForResidue(residue));
+            }
+            const color = residueColors.get(residue);
+            if (!color) return;
+
+            for (let j = 0; j < shapePoints; j++) {
+                const index = (i * shapePoints + j) * 4;
+                colors[index] = color.r;
+                colors[index + 1] = color.g;
+                colors[index + 2] = color.b;
+                colors[index + 3] = 1.0;
+            }
+            changed++;
+        });
+
+        if (changed > 0) {
+            mesh.setVerticesData(BABYLON.VertexBuffer.ColorKind, colors, true);
+            mesh.material = this.getVertexColorMaterial();
+        }
+
+        return changed;
+    }
+
+    // Restore the generated vertex colors and material after per-residue coloring
+    resetVertexColors(mesh) {
+        const metadata = mesh.metadata;
+        if (metadata && metadata.baseColors) {
+            mesh.setVerticesData(BABYLON.VertexBuffer.ColorKind, Array.from(metadata.baseColors), true);
+            mesh.material = metadata.baseMaterial;
+            delete metadata.baseColors;
+            delete metadata.baseMaterial;
+        }
+    }
+
+    // Build a molecular surface mesh from SurfaceGenerator output. atoms[i] is the
+    // atom behind surface.atomIndices; vertices take the color of their nearest atom.
+    createSurfaceMesh(name, surface, atoms, colorForAtom) {
+        const mesh = new BABYLON.Mesh(name, this.scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = surface.positions;
+        vertexData.normals = surface.normals;
+        vertexData.indices = surface.indices;
+        vertexData.colors = new Float32Array(surface.atomIndices.length * 4).fill(1);
+        vertexData.applyToMesh(mesh, true);
+
+        mesh.metadata = {
+            surface: true,
+            atoms: new Set(atoms),
+            vertexAtoms: Array.from(surface.atomIndices, index => atoms[index] || null)
+        };
+        mesh.material = this.getSurfaceMaterial();
+        this.setAtomVertexColors(mesh, colorForAtom);
+
+        return mesh;
+    }
+
+    // Recolor surface vertices from their nearest atom; colorForAtom returns a Color3
+    setAtomVertexColors(mesh, colorForAtom) {
+        const vertexAtoms = mesh.metadata && mesh.metadata.vertexAtoms;
+        const colors = mesh.getVerticesData(BABYLON.VertexBuffer.ColorKind);
+        if (!vertexAtoms || !colors) return;
+
+        const atomColors = new Map();
+        vertexAtoms.forEach((atom, i) => {
+            if (!atom) return;
+            if (!atomColors.has(atom)) {
+                atomColors.set(atom, colorForAtom(atom));
+            }
+            const color = atomColors.get(atom);
+            colors[i * 4] = color.r;
+            colors[i * 4 + 1] = color.g;
+            colors[i * 4 + 2] = color.b;
+            colors[i * 4 + 3] = 1.0;
+        });
+
+        mesh.setVerticesData(BABYLON.VertexBuffer.ColorKind, colors, true);
+    }
+
+    // Recolor vertices from one value per vertex (e.g. surface potential);
+    // colorForValue returns a Color3
+    setVertexColorsFromValues(mesh, values, colorForValue) {
+        const colors = mesh.getVerticesData(BABYLON.VertexBuffer.ColorKind);
+        if (!colors || colors.length !== values.length * 4) return;
+
+        values.forEach((value, i) => {
+            const color = colorForValue(value);
+            colors[i * 4] = color.r;
+            colors[i * 4 + 1] = color.g;
+            colors[i * 4 + 2] = color.b;
+            colors[i * 4 + 3] = 1.0;
+        });
+
+        mesh.setVerticesData(BABYLON.VertexBuffer.ColorKind, colors, true);
+    }
+
+    // Vertex-colored surface material; less specular than cartoons
+    getSurfaceMaterial() {
+        if (!this.materials.has('surface')) {
+            const material = new BABYLON.StandardMaterial('surfaceMaterial', this.scene);
+            material.diffuseColor = new BABYLON.Color3(1, 1, 1);
+            material.specularColor = new BABYLON.Color3(0.15, 0.15, 0.15);
+            material.shininess = 16;
+            material.backFaceCulling = false;
+            this.materials.set('surface', material);
+        }
+        return this.materials.get('surface');
+    }
+
     hslToRgb(h, s, l) {
         h /= 360;
         const c = (1 - Math.abs(2 * l - 1)) * s;
@@ -814,7 +1001,8 @@ class RibbonGeometryGenerator {
                         ...atom,
                         atomName: atomName,
                         residueId: residue.id,
-                        element: atom.element || this.guessElementFromAtomName(atomName)
+                        element: atom.element || this.guessElementFromAtomName(atomName),
+                        source: atom // Original parser atom, for selections
                     });
                 }
             }
@@ -924,6 +1112,12 @@ class RibbonGeometryGenerator {
             // Apply material
             cylinder.material = material;
 
+            // Store bonded atoms so selections can show/hide the bond
+            cylinder.metadata = {
+                atoms: [atom1.source || atom1, atom2.source || atom2],
+                length: length
+            };
+
             return cylinder;
 
         } catch (error) {
@@ -932,6 +1126,30 @@ class RibbonGeometryGenerator {
         }
     }
 
+    // Re-place a bond cylinder between its atoms' current coordinates;
+    // the height baked into the geometry is stretched via scaling.y
+    updateBondCylinder(cylinder, offset) {
+        const [atom1, atom2] = cylinder.metadata.atoms;
+        const start = new BABYLON.Vector3(atom1.x, atom1.y, atom1.z);
+        const end = new BABYLON.Vector3(atom2.x, atom2.y, atom2.z);
+        const vector = end.subtract(start);
+        const length = vector.length();
+
+        if (length < 0.001) return;
+
+        cylinder.position = start.add(end).scale(0.5).addInPlaceFromFloats(offset.x, offset.y, offset.z);
+        cylinder.scaling.y = length / cylinder.metadata.length;
+
+        const up = new BABYLON.Vector3(0, 1, 0);
+        const axis = vector.normalize();
+        const rotationAxis = BABYLON.Vector3.Cross(up, axis);
+        const angle = Math.acos(Math.max(-1, Math.min(1, BABYLON.Vector3.Dot(up, axis))));
+
+        cylinder.rotationQuaternion = rotationAxis.length() > 0.001
+            ? BABYLON.Quaternion.RotationAxis(rotationAxis.normalize(), angle)
+            : BABYLON.Quaternion.Identity();
+    }
+
     // Get or create bond material
     getBondMaterial() {
         if (!this.materials.has('bond')) {
@@ -988,6 +1206,7 @@ class RibbonGeometryGenerator {
             const color = this.getCPKColor(element);
             const material = this.getOrCreateCPKMaterial(element, color);
             sphere.material = material;
+            sphere.metadata = { atom: atom };
 
             return sphere;
 
@@ -1032,6 +1251,7 @@ class RibbonGeometryGenerator {
 
             // Gray color for bonds
             cylinder.material = this.getLigandBondMaterial();
+            cylinder.metadata = { atoms: [atom1, atom2], length: length };
 
             return cylinder;
 
@@ -0,0 +1,169 @@
+/**
+ * Sequence Viewer
+ * One-letter sequence bar per protein chain, colored by secondary structure.
+ * Residues are picked by clicking or dragging (shift/ctrl adds to the
+ * selection); the 3D view highlights the residue under the pointer here.
+ */
+
+class SequenceViewer {
+    // onSelect(proteinData, residues, add) is called when a range is picked
+    constructor(container, { onSelect = null } = {}) {
+        this.container = container;
+        this.onSelect = onSelect;
+        this.rows = []; // { proteinData, chainId, residues, cells }
+        this.visible = true;
+        this.drag = null; // { row, start, end, add } while dragging
+        this.hovered = null;
+
+        window.addEventListener('mouseup', () => this.finishDrag());
+    }
+
+    // One-letter code of a residue; ligands are shown by name in brackets
+    static residueCode(residue) {
+        if (residue.isProtein) {
+            return Superposition.oneLetterCode(residue.resName);
+        }
+        if (residue.isNucleic) {
+            return residue.resName.slice(-1);
+        }
+        return `[${residue.resName}]`;
+    }
+
+    // Rebuild the rows from the renderer's proteins map
+    update(proteins) {
+        this.container.textContent = '';
+        this.rows = [];
+        this.hovered = null;
+
+        for (const proteinData of proteins.values()) {
+            for (const chain of proteinData.parser.chains) {
+                const residues = chain.residues.filter(residue => !residue.isWater &&
+                    (residue.isProtein || residue.isNucleic || residue.isLigand));
+                if (residues.length > 0) {
+                    this.addRow(proteinData, chain.id, residues);
+                }
+            }
+        }
+
+        this.container.classList.toggle('hidden', !this.visible || this.rows.length === 0);
+    }
+
+    addRow(proteinData, chainId, residues) {
+        const row = { proteinData, chainId, residues, cells: [] };
+        const rowIndex = this.rows.length;
+
+        const element = document.createElement('div');
+        element.className = 'seq-row';
+
+        const label = document.createElement('span');
+        label.className = 'seq-label';
+        label.textContent = `${proteinData.filename.replace(/\.[^.]+$/, '')}/${chainId || '-'}`;
+        label.title = `${proteinData.filename} chain ${chainId || '-'}`;
+        element.appendChild(label);
+
+        residues.forEach((residue, index) => {
+            // Unmodelled residues between polymer residues show as gaps
+            const previous = residues[index - 1];
+            const missing = previous && !previous.isLigand && !residue.isLigand
+                ? residue.resSeq - previous.resSeq - 1
+                : 0;
+            if (missing > 0) {
+                const gap = document.createElement('span');
+                gap.className = 'seq-gap';
+                gap.textContent = '-'.repeat(Math.min(missing, 10));
+                gap.title = `${missing} missing residue${missing > 1 ? 's' : ''}`;
+                element.appendChild(gap);
+            }
+
+            const cell = document.createElement('span');
+            cell.className = 'seq-residue';
+            cell.textContent = SequenceViewer.residueCode(residue);
+            cell.title = `${residue.resName} ${residue.resSeq}${(residue.iCode || '').trim()}`;
+            if (residue.resSeq % 10 === 0 && !residue.isLigand) {
+                cell.dataset.number = residue.resSeq;
+            }
+            if (residue.isProtein) {
+                cell.style.color = ColorTable.secondaryStructureColor(residue.secondaryStructure).toHexString();
+            }
+
+            cell.addEventListener('mousedown', (event) => {
+                event.preventDefault(); // No text selection while dragging
+                this.drag = { row: rowIndex, start: index, end: index, add: event.shiftKey || event.ctrlKey || event.metaKey };
+                this.showDrag();
+            });
+            cell.addEventListener('mouseenter', () => {
+                if (this.drag && this.drag.row === rowIndex) {
+                    this.drag.end = index;
+                    this.showDrag();
+                }
+            });
+
+            row.cells.push(cell);
+            element.appendChild(cell);
+        });
+
+        this.rows.push(row);
+        this.container.appendChild(element);
+    }
+
+    showDrag() {
+        const { row, start, end } = this.drag;
+        const low = Math.min(start, end);
+        const high = Math.max(start, end);
+        this.rows[row].cells.forEach((cell, index) => {
+            cell.classList.toggle('dragging', index >= low && index <= high);
+        });
+    }
+
+    finishDrag() {
+        if (!this.drag) return;
+
+        const { row, start, end, add } = this.drag;
+        this.drag = null;
+        this.rows[row].cells.forEach(cell => cell.classList.remove('dragging'));
+
+        if (this.onSelect) {
+            const { proteinData, residues } = this.rows[row];
+            this.onSelect(proteinData, residues.slice(Math.min(start, end), Math.max(start, end) + 1), add);
+        }
+    }
+
+    // Mark residues with any atom in the given per-protein atom sets (Map proteinData -> Set)
+    showSelection(selected) {
+        for (const { proteinData, residues, cells } of this.rows) {
+            const atoms = selected.get(proteinData);
+            residues.forEach((residue, index) => {
+                cells[index].classList.toggle('selected', !!atoms && residue.atoms.some(atom => atoms.has(atom)));
+            });
+        }
+    }
+
+    // Highlight the residue containing an atom (null clears), scrolling it into view
+    highlightAtom(proteinData, atom) {
+        if (this.hovered) {
+            this.hovered.classList.remove('hovered');
+            this.hovered = null;
+        }
+        if (!atom) return;
+
+        for (const row of this.rows) {
+            if (row.proteinData !== proteinData || row.chainId !== atom.chainId) continue;
+
+            const index = row.residues.findIndex(residue => residue.atoms.includes(atom));
+            if (index >= 0) {
+                this.hovered = row.cells[index];
+                this.hovered.classList.add('hovered');
+                this.hovered.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+                return;
+            }
+        }
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.container.classList.toggle('hidden', !visible || this.rows.length === 0);
+    }
+}
+
+// Export to global namespace for non-module usage
+window.SequenceViewer = SequenceViewer;
@@ -0,0 +1,257 @@
+/**
+ * Structure Writer
+ * Writes atoms back out as PDB or mmCIF text: the current coordinates (after
+ * any alignment, transform or state change), HELIX/SHEET ranges from the
+ * current secondary structure assignment, TER after each polymer chain and,
+ * in PDB files, CONECT records for ligand bonds.
+ */
+
+class StructureWriter {
+    // entries: [{ proteinData, atoms: Set }] as returned by selectAtoms()
+    constructor(entries) {
+        this.entries = entries;
+    }
+
+    // Selected atoms of each entry in file order, with the residues they belong to
+    getContent() {
+        return this.entries.map(({ proteinData, atoms }) => {
+            const parser = proteinData.parser;
+            return {
+                parser,
+                atoms: parser.atoms.filter(atom => atoms.has(atom)),
+                residues: parser.residues.filter(residue => residue.atoms.some(atom => atoms.has(atom))),
+                selected: atoms
+            };
+        });
+    }
+
+    // Runs of consecutive protein residues with the same helix/sheet assignment
+    static secondaryStructureRanges(parser, residues) {
+        const included = new Set(residues);
+        const ranges = [];
+
+        for (const chain of parser.chains) {
+            let current = null;
+            for (const residue of chain.residues) {
+                const type = included.has(residue) && residue.isProtein ? residue.secondaryStructure : null;
+                if (current && current.type === type) {
+                    current.end = residue;
+                    current.length++;
+                    continue;
+                }
+                current = type === 'helix' || type === 'sheet'
+                    ? { type, start: residue, end: residue, length: 1 }
+                    : null;
+                if (current) ranges.push(current);
+            }
+        }
+
+        return ranges;
+    }
+
+    // Formal charge as a number; PDB files write it as "2+" / "1-", mmCIF as "2" / "-1"
+    static parseCharge(charge) {
+        return parseInt(String(charge || '').replace(/^(\d)([+-])$/, '$2$1')) || 0;
+    }
+
+    static formatCharge(charge) {
+        const value = StructureWriter.parseCharge(charge);
+        return value ? `${Math.abs(value)}${value > 0 ? '+' : '-'}` : '';
+    }
+
+    // Atom name in columns 13-16: names under four characters start in column 14
+    // unless the element symbol has two letters (so "CA" calcium differs from C-alpha)
+    static formatAtomName(atom) {
+        const name = atom.name || '';
+        return name.length >= 4 || (atom.element || '').length === 2 ? name.padEnd(4) : ` ${name.padEnd(3)}`;
+    }
+
+    // Residue number (4 columns) and insertion code
+    static formatResidueNumber({ resSeq, iCode }) {
+        return `${String(resSeq).padStart(4)}${(iCode || ' ').slice(0, 1)}`;
+    }
+
+    // Chain, residue number and insertion code in consecutive columns
+    static formatResidueId(residue) {
+        return `${(residue.chainId || ' ').slice(0, 1)}${StructureWriter.formatResidueNumber(residue)}`;
+    }
+
+    toPDB() {
+        const lines = [];
+        const content = this.getContent();
+        const atomCount = content.reduce((sum, { atoms }) => sum + atoms.length, 0);
+        if (atomCount > 99999) {
+            throw new Error(`${atomCount} atoms do not fit in a PDB file (up to 99999); save as .cif instead`);
+        }
+
+        // Secondary structure header records
+        let helixSerial = 0;
+        let strandSerial = 0;
+        for (const { parser, residues } of content) {
+            for (const range of StructureWriter.secondaryStructureRanges(parser, residues)) {
+                const { start, end } = range;
+                if (range.type === 'helix') {
+                    helixSerial++;
+                    lines.push(`HELIX  ${String(helixSerial).padStart(3)} ${String(helixSerial).padStart(3)} ` +
+                        `${start.resName.padStart(3)} ${(start.chainId || ' ').slice(0, 1)} ${StructureWriter.formatResidueNumber(start)} ` +
+                        `${end.resName.padStart(3)} ${(end.chainId || ' ').slice(0, 1)} ${StructureWriter.formatResidueNumber(end)}` +
+                        ` 1${''.padEnd(30)} ${String(range.length).padStart(5)}`);
+                } else {
+                    // Strand pairing is not known, so each strand is written as its own sheet
+                    strandSerial++;
+                    lines.push(`SHEET  ${String(1).padStart(3)} ${String(strandSerial).padStart(3)} 1 ` +
+                        `${start.resName.padStart(3)} ${StructureWriter.formatResidueId(start)}` +
+                        `${end.resName.padStart(4)} ${StructureWriter.formatResidueId(end)} 0`);
+                }
+            }
+        }
+
+        // Coordinates, renumbered from 1; TER follows the last polymer atom of a
+        // chain (modified residues written inline as HETATM do not end it)
+        const serials = new Map();
+        let serial = 0;
+        for (const { atoms } of content) {
+            const lastPolymerAtom = new Map();
+            atoms.forEach((atom, index) => {
+                if (!atom.isHetAtom) lastPolymerAtom.set(atom.chainId, index);
+            });
+
+            atoms.forEach((atom, index) => {
+                const record = atom.isHetAtom ? 'HETATM' : 'ATOM  ';
+                serial++;
+                serials.set(atom, serial);
+                lines.push(`${record}${String(serial).padStart(5)} ${StructureWriter.formatAtomName(atom)}` +
+                    `${(atom.altLoc || ' ').slice(0, 1)}${atom.resName.padStart(3)} ` +
+                    `${StructureWriter.formatResidueId(atom)}   ` +
+                    `${atom.x.toFixed(3).padStart(8)}${atom.y.toFixed(3).padStart(8)}${atom.z.toFixed(3).padStart(8)}` +
+                    `${(atom.occupancy !== undefined ? atom.occupancy : 1).toFixed(2).padStart(6)}` +
+                    `${(atom.tempFactor || 0).toFixed(2).padStart(6)}          ` +
+                    `${(atom.element || '').toUpperCase().padStart(2)}${StructureWriter.formatCharge(atom.charge).padEnd(2)}`);
+
+                if (lastPolymerAtom.get(atom.chainId) === index) {
+                    serial++;
+                    lines.push(`TER   ${String(serial).padStart(5)}      ${atom.resName.padStart(3)} ` +
+                        StructureWriter.formatResidueId(atom));
+                }
+            });
+        }
+
+        // Ligand bonds between saved atoms, at most four partners per CONECT line
+        const bonded = new Map();
+        for (const { parser, selected } of content) {
+            for (const ligand of parser.ligands) {
+                for (const { atom1, atom2 } of ligand.bonds) {
+                    if (!selected.has(atom1) || !selected.has(atom2)) continue;
+                    if (!bonded.has(atom1)) bonded.set(atom1, []);
+                    if (!bonded.has(atom2)) bonded.set(atom2, []);
+                    bonded.get(atom1).push(serials.get(atom2));
+                    bonded.get(atom2).push(serials.get(atom1));
+                }
+            }
+        }
+        const conect = Array.from(bonded, ([atom, partners]) => [serials.get(atom), partners.sort((a, b) => a - b)])
+            .sort((a, b) => a[0] - b[0]);
+        for (const [atomSerial, partners] of conect) {
+            for (let i = 0; i < partners.length; i += 4) {
+                lines.push(`CONECT${String(atomSerial).padStart(5)}` +
+                    partners.slice(i, i + 4).map(partner => String(partner).padStart(5)).join(''));
+            }
+        }
+
+        lines.push('END');
+        return lines.map(line => line.padEnd(80)).join('\n') + '\n';
+    }
+
+    // CIF value: "." for null (not applicable), "?" when empty, quoted when it
+    // contains spaces or quotes
+    static cifValue(value) {
+        if (value === null) return '.';
+        const text = value === undefined ? '' : String(value);
+        if (text === '') return '?';
+        if (/[\s'"]/.test(text) || /^[_#$;[\]]/.test(text) || text === '.' || text === '?' ||
+            /^(data_|loop_|save_|global_|stop_)/i.test(text)) {
+            return text.includes('"') ? `'${text}'` : `"${text}"`;
+        }
+        return text;
+    }
+
+    // A loop_ block with columns padded to a common width
+    static cifLoop(category, fields, rows) {
+        const values = rows.map(row => row.map(StructureWriter.cifValue));
+        const widths = fields.map((field, column) => Math.max(...values.map(row => row[column].length)));
+
+        return [
+            'loop_',
+            ...fields.map(field => `_${category}.${field}`),
+            ...values.map(row => row.map((value, column) => value.padEnd(widths[column])).join(' ').trimEnd()),
+            '#'
+        ];
+    }
+
+    toMMCIF(name = 'structure') {
+        const content = this.getContent();
+        const lines = [`data_${name.replace(/\s+/g, '_')}`, '#'];
+
+        const helices = [];
+        const strands = [];
+        for (const { parser, residues } of content) {
+            for (const range of StructureWriter.secondaryStructureRanges(parser, residues)) {
+                (range.type === 'helix' ? helices : strands).push(range);
+            }
+        }
+
+        if (helices.length > 0) {
+            lines.push(...StructureWriter.cifLoop('struct_conf', [
+                'conf_type_id', 'id', 'pdbx_PDB_helix_id',
+                'beg_label_comp_id', 'beg_auth_asym_id', 'beg_auth_seq_id', 'pdbx_beg_PDB_ins_code',
+                'end_label_comp_id', 'end_auth_asym_id', 'end_auth_seq_id', 'pdbx_end_PDB_ins_code',
+                'pdbx_PDB_helix_class', 'pdbx_PDB_helix_length'
+            ], helices.map(({ start, end, length }, index) => [
+                'HELX_P', `HELX_P${index + 1}`, index + 1,
+                start.resName, start.chainId, start.resSeq, start.iCode,
+                end.resName, end.chainId, end.resSeq, end.iCode,
+                1, length
+            ])));
+        }
+
+        if (strands.length > 0) {
+            // As in PDB output, each strand is its own one-strand sheet
+            lines.push(...StructureWriter.cifLoop('struct_sheet', ['id', 'number_strands'],
+                strands.map((strand, index) => [index + 1, 1])));
+            lines.push(...StructureWriter.cifLoop('struct_sheet_range', [
+                'sheet_id', 'id',
+                'beg_label_comp_id', 'beg_auth_asym_id', 'beg_auth_seq_id', 'pdbx_beg_PDB_ins_code',
+                'end_label_comp_id', 'end_auth_asym_id', 'end_auth_seq_id', 'pdbx_end_PDB_ins_code'
+            ], strands.map(({ start, end }, index) => [
+                index + 1, 1,
+                start.resName, start.chainId, start.resSeq, start.iCode,
+                end.resName, end.chainId, end.resSeq, end.iCode
+            ])));
+        }
+
+        const rows = [];
+        for (const { atoms } of content) {
+            for (const atom of atoms) {
+                rows.push([
+                    atom.isHetAtom ? 'HETATM' : 'ATOM', rows.length + 1, (atom.element || '').toUpperCase(),
+                    atom.name, atom.altLoc || null, atom.resName, atom.chainId || null, atom.isHetAtom ? null : atom.resSeq,
+                    atom.iCode, atom.x.toFixed(3), atom.y.toFixed(3), atom.z.toFixed(3),
+                    (atom.occupancy !== undefined ? atom.occupancy : 1).toFixed(2), (atom.tempFactor || 0).toFixed(2), StructureWriter.parseCharge(atom.charge),
+                    atom.resSeq, atom.resName, atom.chainId || null, atom.name, 1
+                ]);
+            }
+        }
+
+        lines.push(...StructureWriter.cifLoop('atom_site', [
+            'group_PDB', 'id', 'type_symbol', 'label_atom_id', 'label_alt_id', 'label_comp_id',
+            'label_asym_id', 'label_seq_id', 'pdbx_PDB_ins_code', 'Cartn_x', 'Cartn_y', 'Cartn_z',
+            'occupancy', 'B_iso_or_equiv', 'pdbx_formal_charge', 'auth_seq_id', 'auth_comp_id',
+            'auth_asym_id', 'auth_atom_id', 'pdbx_PDB_model_num'
+        ], rows));
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Export to global namespace for non-module usage
+window.StructureWriter = StructureWriter;
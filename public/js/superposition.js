@@ -0,0 +1,347 @@
+/**
+ * Structure Superposition
+ * Sequence alignment (BLOSUM62, affine gaps) to pair residues, and least-squares
+ * fitting of paired points (Kabsch, solved with Horn's quaternion method) with
+ * iterative outlier rejection as in PyMOL's align.
+ * Transforms are { rotation: [9] row-major, translation: { x, y, z } } and map
+ * mobile coordinates onto the target: p' = R p + t.
+ */
+
+class Superposition {
+    static get oneLetterCodes() {
+        return {
+            ALA: 'A', ARG: 'R', ASN: 'N', ASP: 'D', CYS: 'C', GLN: 'Q', GLU: 'E', GLY: 'G',
+            HIS: 'H', ILE: 'I', LEU: 'L', LYS: 'K', MET: 'M', PHE: 'F', PRO: 'P', SER: 'S',
+            THR: 'T', TRP: 'W', TYR: 'Y', VAL: 'V',
+            MSE: 'M', SEP: 'S', TPO: 'T', PTR: 'Y', MLY: 'K', M3L: 'K'
+        };
+    }
+
+    static oneLetterCode(resName) {
+        return Superposition.oneLetterCodes[resName.toUpperCase()] || 'X';
+    }
+
+    // BLOSUM62 as nested maps; X scores -1 against everything
+    static get blosum62() {
+        if (Superposition._blosum62) return Superposition._blosum62;
+
+        const order = 'ARNDCQEGHILKMFPSTWYV';
+        const rows = [
+            ' 4 -1 -2 -2  0 -1 -1  0 -2 -1 -1 -1 -1 -2 -1  1  0 -3 -2  0',
+            '-1  5  0 -2 -3  1  0 -2  0 -3 -2  2 -1 -3 -2 -1 -1 -3 -2 -3',
+            '-2  0  6  1 -3  0  0  0  1 -3 -3  0 -2 -3 -2  1  0 -4 -2 -3',
+            '-2 -2  1  6 -3  0  2 -1 -1 -3 -4 -1 -3 -3 -1  0 -1 -4 -3 -3',
+            ' 0 -3 -3 -3  9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1',
+            '-1  1  0  0 -3  5  2 -2  0 -3 -2  1  0 -3 -1  0 -1 -2 -1 -2',
+            '-1  0  0  2 -4  2  5 -2  0 -3 -3  1 -2 -3 -1  0 -1 -3 -2 -2',
+            ' 0 -2  0 -1 -3 -2 -2  6 -2 -4 -4 -2 -3 -3 -2  0 -2 -2 -3 -3',
+            '-2  0  1 -1 -3  0  0 -2  8 -3 -3 -1 -2 -1 -2 -1 -2 -2  2 -3',
+            '-1 -3 -3 -3 -1 -3 -3 -4 -3  4  2 -3  1  0 -3 -2 -1 -3 -1  3',
+            '-1 -2 -3 -4 -1 -2 -3 -4 -3  2  4 -2  2  0 -3 -2 -1 -2 -1  1',
+            '-1  2  0 -1 -3  1  1 -2 -1 -3 -2  5 -1 -3 -1  0 -1 -3 -2 -2',
+            '-1 -1 -2 -3 -1  0 -2 -3 -2  1  2 -1  5  0 -2 -1 -1 -1 -1  1',
+            '-2 -3 -3 -3 -2 -3 -3 -3 -1  0  0 -3  0  6 -4 -2 -2  1  3 -1',
+            '-1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4  7 -1 -1 -4 -3 -2',
+            ' 1 -1  1  0 -1  0  0  0 -1 -2 -2  0 -1 -2 -1  4  1 -3 -2 -2',
+            ' 0 -1  0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1  1  5 -2 -2  0',
+            '-3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1  1 -4 -3 -2 11  2 -3',
+            '-2 -2 -2 -3 -2 -1 -2 -3  2 -1 -1 -2 -1  3 -3 -2 -2  2  7 -1',
+            ' 0 -3 -3 -3 -1 -2 -2 -3 -3  3  1 -2  1 -1 -2 -2  0 -3 -1  4'
+        ];
+
+        const matrix = {};
+        for (let i = 0; i < order.length; i++) {
+            const scores = rows[i].trim().split(/\s+/).map(Number);
+            matrix[order[i]] = {};
+            for (let j = 0; j < order.length; j++) {
+                matrix[order[i]][order[j]] = scores[j];
+            }
+        }
+
+        Superposition._blosum62 = matrix;
+        return matrix;
+    }
+
+    static substitutionScore(a, b) {
+        const row = Superposition.blosum62[a];
+        return row && row[b] !== undefined ? row[b] : -1;
+    }
+
+    // Align two one-letter sequences with BLOSUM62.
+    // Returns { pairs: [[i, j], ...], score, identity } with 0-based indices.
+    static alignSequences(a, b, { gapOpen = -10, gapExtend = -0.5 } = {}) {
+        const { pairs, score } = Superposition.alignScores(a.length, b.length,
+            (i, j) => Superposition.substitutionScore(a[i], b[j]), { gapOpen, gapExtend });
+
+        const identical = pairs.filter(([p, q]) => a[p] === b[q] && a[p] !== 'X').length;
+        return { pairs, score, identity: pairs.length > 0 ? identical / pairs.length : 0 };
+    }
+
+    // Global alignment of n against m items scored by score(i, j) (Gotoh affine
+    // gaps: a gap of length L costs gapOpen + (L - 1) * gapExtend; end gaps are
+    // free so termini can overhang). Returns { pairs: [[i, j], ...], score }.
+    static alignScores(n, m, score, { gapOpen, gapExtend }) {
+        const width = m + 1;
+        const size = (n + 1) * width;
+
+        // Scores of alignments ending in a match (M), a gap in b (X) or a gap in a (Y),
+        // and for each the state the best path came from (0 = M, 1 = X, 2 = Y)
+        const M = new Float64Array(size).fill(-Infinity);
+        const X = new Float64Array(size).fill(-Infinity);
+        const Y = new Float64Array(size).fill(-Infinity);
+        const fromM = new Uint8Array(size);
+        const fromX = new Uint8Array(size);
+        const fromY = new Uint8Array(size);
+
+        M[0] = 0;
+        for (let i = 1; i <= n; i++) X[i * width] = 0;
+        for (let j = 1; j <= m; j++) Y[j] = 0;
+
+        const best = (scores) => {
+            let state = 0;
+            if (scores[1] > scores[state]) state = 1;
+            if (scores[2] > scores[state]) state = 2;
+            return state;
+        };
+
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                const k = i * width + j;
+                const diagonal = k - width - 1;
+                const up = k - width;
+                const left = k - 1;
+
+                // Unrolled best-of-three; this loop runs n * m times per alignment
+                let value = M[diagonal];
+                let from = 0;
+                if (X[diagonal] > value) { value = X[diagonal]; from = 1; }
+                if (Y[diagonal] > value) { value = Y[diagonal]; from = 2; }
+                M[k] = value + score(i - 1, j - 1);
+                fromM[k] = from;
+
+                value = M[up] + gapOpen;
+                from = 0;
+                if (X[up] + gapExtend > value) { value = X[up] + gapExtend; from = 1; }
+                if (Y[up] + gapOpen > value) { value = Y[up] + gapOpen; from = 2; }
+                X[k] = value;
+                fromX[k] = from;
+
+                value = M[left] + gapOpen;
+                from = 0;
+                if (X[left] + gapOpen > value) { value = X[left] + gapOpen; from = 1; }
+                if (Y[left] + gapExtend > value) { value = Y[left] + gapExtend; from = 2; }
+                Y[k] = value;
+                fromY[k] = from;
+            }
+        }
+
+        // Best end anywhere on the last row or column (trailing gaps are free)
+        let end = { i: n, j: m, state: 0, score: -Infinity };
+        const consider = (i, j) => {
+            const k = i * width + j;
+            const scores = [M[k], X[k], Y[k]];
+            const state = best(scores);
+            if (scores[state] > end.score) {
+                end = { i, j, state, score: scores[state] };
+            }
+        };
+        for (let j = 1; j <= m; j++) consider(n, j);
+        for (let i = 1; i <= n; i++) consider(i, m);
+
+        const pairs = [];
+        let { i, j, state } = end;
+        while (i > 0 && j > 0) {
+            const k = i * width + j;
+            if (state === 0) {
+                pairs.push([i - 1, j - 1]);
+                state = fromM[k];
+                i--;
+                j--;
+            } else if (state === 1) {
+                state = fromX[k];
+                i--;
+            } else {
+                state = fromY[k];
+                j--;
+            }
+        }
+        pairs.reverse();
+
+        return { pairs, score: end.score === -Infinity ? 0 : end.score };
+    }
+
+    // Least-squares rotation and translation taking mobile points onto target
+    // points (same length, at least 3). Returns { rotation, translation, rmsd }.
+    static kabsch(mobile, target) {
+        const count = mobile.length;
+        if (count < 3 || count !== target.length) {
+            throw new Error(`Superposition needs at least 3 paired atoms (got ${Math.min(count, target.length)})`);
+        }
+
+        const centroid = (points) => {
+            const sum = { x: 0, y: 0, z: 0 };
+            points.forEach(p => { sum.x += p.x; sum.y += p.y; sum.z += p.z; });
+            return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+        };
+        const mobileCenter = centroid(mobile);
+        const targetCenter = centroid(target);
+
+        // Correlation matrix of the centered coordinates and their squared norms
+        let sxx = 0, sxy = 0, sxz = 0, syx = 0, syy = 0, syz = 0, szx = 0, szy = 0, szz = 0;
+        let norms = 0;
+        for (let i = 0; i < count; i++) {
+            const mx = mobile[i].x - mobileCenter.x, my = mobile[i].y - mobileCenter.y, mz = mobile[i].z - mobileCenter.z;
+            const tx = target[i].x - targetCenter.x, ty = target[i].y - targetCenter.y, tz = target[i].z - targetCenter.z;
+            sxx += mx * tx; sxy += mx * ty; sxz += mx * tz;
+            syx += my * tx; syy += my * ty; syz += my * tz;
+            szx += mz * tx; szy += mz * ty; szz += mz * tz;
+            norms += mx * mx + my * my + mz * mz + tx * tx + ty * ty + tz * tz;
+        }
+
+        // Horn: the best rotation is the quaternion of N's largest eigenvalue
+        const N = [
+            [sxx + syy + szz, syz - szy, szx - sxz, sxy - syx],
+            [syz - szy, sxx - syy - szz, sxy + syx, szx + sxz],
+            [szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy],
+            [sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz]
+        ];
+        const { values, vectors } = Superposition.symmetricEigen(N);
+        let largest = 0;
+        for (let i = 1; i < 4; i++) {
+            if (values[i] > values[largest]) largest = i;
+        }
+        const [w, x, y, z] = vectors.map(row => row[largest]);
+
+        const rotation = [
+            w * w + x * x - y * y - z * z, 2 * (x * y - w * z), 2 * (x * z + w * y),
+            2 * (x * y + w * z), w * w - x * x + y * y - z * z, 2 * (y * z - w * x),
+            2 * (x * z - w * y), 2 * (y * z + w * x), w * w - x * x - y * y + z * z
+        ];
+        const rotatedCenter = Superposition.rotate(mobileCenter, rotation);
+        const translation = {
+            x: targetCenter.x - rotatedCenter.x,
+            y: targetCenter.y - rotatedCenter.y,
+            z: targetCenter.z - rotatedCenter.z
+        };
+
+        const rmsd = Math.sqrt(Math.max(0, (norms - 2 * values[largest]) / count));
+        return { rotation, translation, rmsd };
+    }
+
+    // Eigenvalues and eigenvectors (columns) of a small symmetric matrix by Jacobi rotations
+    static symmetricEigen(matrix) {
+        const size = matrix.length;
+        const a = matrix.map(row => row.slice());
+        const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) offDiagonal += a[p][q] * a[p][q];
+            }
+            if (offDiagonal < 1e-22) break;
+
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) {
+                    if (Math.abs(a[p][q]) < 1e-300) continue;
+
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < size; k++) {
+                        const akp = a[k][p];
+                        const akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const apk = a[p][k];
+                        const aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const vkp = v[k][p];
+                        const vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: a.map((row, i) => row[i]), vectors: v };
+    }
+
+    // Fit paired points, then repeatedly drop pairs further apart than
+    // cutoff * RMSD and refit (PyMOL's align defaults: 5 cycles, cutoff 2).
+    // Returns { transform, rmsd, count, initialRmsd, initialCount, kept }.
+    static superpose(mobile, target, { cycles = 5, cutoff = 2.0 } = {}) {
+        let kept = mobile.map((_, i) => i);
+        let fit = Superposition.kabsch(mobile, target);
+        const initial = { rmsd: fit.rmsd, count: kept.length };
+
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            const limit = cutoff * fit.rmsd;
+            const survivors = kept.filter(i =>
+                MeasurementGeometry.distance(Superposition.apply(mobile[i], fit), target[i]) <= limit);
+            if (survivors.length === kept.length || survivors.length < 3) break;
+
+            kept = survivors;
+            fit = Superposition.kabsch(kept.map(i => mobile[i]), kept.map(i => target[i]));
+        }
+
+        return {
+            transform: { rotation: fit.rotation, translation: fit.translation },
+            rmsd: fit.rmsd,
+            count: kept.length,
+            initialRmsd: initial.rmsd,
+            initialCount: initial.count,
+            kept
+        };
+    }
+
+    static rotate(p, rotation) {
+        const r = rotation;
+        return {
+            x: r[0] * p.x + r[1] * p.y + r[2] * p.z,
+            y: r[3] * p.x + r[4] * p.y + r[5] * p.z,
+            z: r[6] * p.x + r[7] * p.y + r[8] * p.z
+        };
+    }
+
+    static apply(p, { rotation, translation }) {
+        const rotated = Superposition.rotate(p, rotation);
+        return { x: rotated.x + translation.x, y: rotated.y + translation.y, z: rotated.z + translation.z };
+    }
+
+    // Transform a flat x,y,z coordinate array into a new Float64Array
+    static transformCoordinates(coordinates, transform) {
+        const result = new Float64Array(coordinates.length);
+        for (let i = 0; i < coordinates.length; i += 3) {
+            const p = Superposition.apply({ x: coordinates[i], y: coordinates[i + 1], z: coordinates[i + 2] }, transform);
+            result[i] = p.x;
+            result[i + 1] = p.y;
+            result[i + 2] = p.z;
+        }
+        return result;
+    }
+
+    // Transform equivalent to applying first, then second
+    static compose(second, first) {
+        const a = second.rotation;
+        const b = first.rotation;
+        const rotation = [];
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                rotation.push(a[row * 3] * b[column] + a[row * 3 + 1] * b[3 + column] + a[row * 3 + 2] * b[6 + column]);
+            }
+        }
+        return { rotation, translation: Superposition.apply(first.translation, second) };
+    }
+}
+
+// Export to global namespace for non-module usage
+window.Superposition = Superposition;
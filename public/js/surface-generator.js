@@ -0,0 +1,389 @@
+/**
+ * Molecular Surface Generator
+ * Solvent-excluded surface (SES) on a grid: solvent-accessible distance field,
+ * Euclidean distance transform to carve the probe back out, then marching
+ * tetrahedra. Runs in surface-worker.js; has no Babylon.js dependency.
+ */
+
+class SurfaceGenerator {
+    constructor(options = {}) {
+        this.probeRadius = options.probeRadius !== undefined ? options.probeRadius : 1.4; // Water probe (Å)
+        this.resolution = options.resolution || 0.5; // Grid spacing (Å)
+        this.maxGridPoints = options.maxGridPoints || 4000000; // Coarsen the grid above this
+    }
+
+    // positions: Float32Array of x,y,z per atom; radii: Float32Array of van der Waals radii.
+    // Returns { positions, normals, indices, atomIndices } where atomIndices holds the
+    // nearest atom of every vertex (for per-vertex coloring).
+    generate(positions, radii) {
+        const atomCount = radii.length;
+        if (atomCount === 0) {
+            return this.emptyResult();
+        }
+
+        const grid = this.createGrid(positions, radii);
+        const field = this.computeSolventAccessibleField(grid, positions, radii);
+        this.carveSolventExcludedField(grid, field);
+
+        const surface = this.marchTetrahedra(grid, field);
+        surface.atomIndices = this.findNearestAtoms(surface.positions, positions, radii);
+
+        console.log(`Surface: ${surface.positions.length / 3} vertices, ${surface.indices.length / 3} triangles ` +
+            `(grid ${grid.nx}x${grid.ny}x${grid.nz}, spacing ${grid.spacing.toFixed(2)} Å)`);
+        return surface;
+    }
+
+    emptyResult() {
+        return {
+            positions: new Float32Array(0),
+            normals: new Float32Array(0),
+            indices: new Uint32Array(0),
+            atomIndices: new Int32Array(0)
+        };
+    }
+
+    // Bounding grid padded by the largest expanded radius
+    createGrid(positions, radii) {
+        let maxRadius = 0;
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+
+        for (let i = 0; i < radii.length; i++) {
+            maxRadius = Math.max(maxRadius, radii[i]);
+            for (let k = 0; k < 3; k++) {
+                min[k] = Math.min(min[k], positions[i * 3 + k]);
+                max[k] = Math.max(max[k], positions[i * 3 + k]);
+            }
+        }
+
+        let spacing = this.resolution;
+        const padding = maxRadius + this.probeRadius + 2 * spacing;
+        const size = [0, 1, 2].map(k => max[k] - min[k] + 2 * padding);
+
+        // Keep memory bounded for large structures
+        const volume = size[0] * size[1] * size[2];
+        if (volume / (spacing * spacing * spacing) > this.maxGridPoints) {
+            spacing = Math.cbrt(volume / this.maxGridPoints);
+        }
+
+        return {
+            origin: [min[0] - padding, min[1] - padding, min[2] - padding],
+            spacing: spacing,
+            nx: Math.ceil(size[0] / spacing) + 1,
+            ny: Math.ceil(size[1] / spacing) + 1,
+            nz: Math.ceil(size[2] / spacing) + 1
+        };
+    }
+
+    // Signed distance to the solvent-accessible surface near atoms (negative inside
+    // the probe-expanded spheres); points far from every atom stay at +Infinity
+    computeSolventAccessibleField(grid, positions, radii) {
+        const { nx, ny, nz, spacing, origin } = grid;
+        const field = new Float32Array(nx * ny * nz).fill(Infinity);
+
+        for (let i = 0; i < radii.length; i++) {
+            const ax = positions[i * 3];
+            const ay = positions[i * 3 + 1];
+            const az = positions[i * 3 + 2];
+            const expanded = radii[i] + this.probeRadius;
+            const reach = expanded + 2 * spacing;
+
+            const x0 = Math.max(0, Math.floor((ax - reach - origin[0]) / spacing));
+            const x1 = Math.min(nx - 1, Math.ceil((ax + reach - origin[0]) / spacing));
+            const y0 = Math.max(0, Math.floor((ay - reach - origin[1]) / spacing));
+            const y1 = Math.min(ny - 1, Math.ceil((ay + reach - origin[1]) / spacing));
+            const z0 = Math.max(0, Math.floor((az - reach - origin[2]) / spacing));
+            const z1 = Math.min(nz - 1, Math.ceil((az + reach - origin[2]) / spacing));
+
+            for (let z = z0; z <= z1; z++) {
+                const dz = origin[2] + z * spacing - az;
+                for (let y = y0; y <= y1; y++) {
+                    const dy = origin[1] + y * spacing - ay;
+                    const row = (z * ny + y) * nx;
+                    for (let x = x0; x <= x1; x++) {
+                        const dx = origin[0] + x * spacing - ax;
+                        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz) - expanded;
+                        if (distance < field[row + x]) {
+                            field[row + x] = distance;
+                        }
+                    }
+                }
+            }
+        }
+
+        return field;
+    }
+
+    // Turn the SAS field into an SES field in place: inside the SAS the value becomes
+    // (distance to the nearest point outside the SAS) - probe radius, so the zero level
+    // is where the rolling probe's surface touches. Positive values are inside.
+    carveSolventExcludedField(grid, field) {
+        const { nx, ny, nz, spacing } = grid;
+        const squared = new Float32Array(field.length);
+
+        for (let i = 0; i < field.length; i++) {
+            squared[i] = field[i] < 0 ? Infinity : 0;
+        }
+
+        this.distanceTransform(squared, nx, ny, nz);
+
+        for (let i = 0; i < field.length; i++) {
+            field[i] = field[i] < 0
+                ? Math.sqrt(squared[i]) * spacing - this.probeRadius
+                : -this.probeRadius - field[i];
+        }
+    }
+
+    // Exact squared Euclidean distance transform (Felzenszwalb-Huttenlocher),
+    // one 1D pass per axis, in grid units
+    distanceTransform(values, nx, ny, nz) {
+        const maxLength = Math.max(nx, ny, nz);
+        const f = new Float64Array(maxLength);
+        const d = new Float64Array(maxLength);
+        const v = new Int32Array(maxLength);
+        const zBoundaries = new Float64Array(maxLength + 1);
+
+        const pass = (length, count, indexOf) => {
+            for (let line = 0; line < count; line++) {
+                for (let i = 0; i < length; i++) f[i] = values[indexOf(line, i)];
+                this.distanceTransform1D(f, d, v, zBoundaries, length);
+                for (let i = 0; i < length; i++) values[indexOf(line, i)] = d[i];
+            }
+        };
+
+        pass(nx, ny * nz, (line, i) => line * nx + i);
+        pass(ny, nx * nz, (line, i) => (Math.floor(line / nx) * ny + i) * nx + (line % nx));
+        pass(nz, nx * ny, (line, i) => (i * ny + Math.floor(line / nx)) * nx + (line % nx));
+    }
+
+    distanceTransform1D(f, d, v, z, length) {
+        let k = 0;
+        v[0] = 0;
+        z[0] = -Infinity;
+        z[1] = Infinity;
+
+        // Skip leading infinite samples: their parabolas never form the lower envelope
+        let first = 0;
+        while (first < length && f[first] === Infinity) first++;
+        if (first === length) {
+            for (let q = 0; q < length; q++) d[q] = Infinity;
+            return;
+        }
+        v[0] = first;
+
+        for (let q = first + 1; q < length; q++) {
+            if (f[q] === Infinity) continue;
+
+            let s;
+            while (true) {
+                const p = v[k];
+                s = ((f[q] + q * q) - (f[p] + p * p)) / (2 * q - 2 * p);
+                if (s <= z[k] && k > 0) {
+                    k--;
+                } else {
+                    break;
+                }
+            }
+            if (s <= z[k]) {
+                // Only possible when k === 0: q replaces the first parabola entirely
+                v[0] = q;
+                z[0] = -Infinity;
+                z[1] = Infinity;
+                continue;
+            }
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = Infinity;
+        }
+
+        k = 0;
+        for (let q = 0; q < length; q++) {
+            while (z[k + 1] < q) k++;
+            const p = v[k];
+            d[q] = (q - p) * (q - p) + f[p];
+        }
+    }
+
+    // Extract the zero level of the field. Each grid cube is split into six
+    // tetrahedra along its main diagonal, which avoids ambiguous cube cases.
+    // Vertices on shared edges are reused; normals come from the field gradient.
+    marchTetrahedra(grid, field) {
+        const { nx, ny, nz, spacing, origin } = grid;
+        const corners = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+        const tetrahedra = [[0, 5, 1, 6], [0, 1, 2, 6], [0, 2, 3, 6], [0, 3, 7, 6], [0, 7, 4, 6], [0, 4, 5, 6]];
+        const cornerOffsets = corners.map(([x, y, z]) => (z * ny + y) * nx + x);
+
+        const positions = [];
+        const normals = [];
+        const indices = [];
+        const edgeVertices = new Map();
+        const total = field.length;
+
+        const gradient = (index) => {
+            const x = index % nx;
+            const y = Math.floor(index / nx) % ny;
+            const z = Math.floor(index / (nx * ny));
+            const at = (xi, yi, zi) => {
+                const value = field[(zi * ny + yi) * nx + xi];
+                return value === -Infinity ? -1e6 : value;
+            };
+            return [
+                at(Math.min(nx - 1, x + 1), y, z) - at(Math.max(0, x - 1), y, z),
+                at(x, Math.min(ny - 1, y + 1), z) - at(x, Math.max(0, y - 1), z),
+                at(x, y, Math.min(nz - 1, z + 1)) - at(x, y, Math.max(0, z - 1))
+            ];
+        };
+
+        const vertexOnEdge = (a, b) => {
+            const key = a < b ? a * total + b : b * total + a;
+            let vertex = edgeVertices.get(key);
+            if (vertex !== undefined) return vertex;
+
+            const fa = field[a];
+            const fb = field[b];
+            const t = fa / (fa - fb);
+
+            const ax = a % nx, ay = Math.floor(a / nx) % ny, az = Math.floor(a / (nx * ny));
+            const bx = b % nx, by = Math.floor(b / nx) % ny, bz = Math.floor(b / (nx * ny));
+            positions.push(
+                origin[0] + (ax + (bx - ax) * t) * spacing,
+                origin[1] + (ay + (by - ay) * t) * spacing,
+                origin[2] + (az + (bz - az) * t) * spacing
+            );
+
+            // Field is positive inside, so the outward normal is the negative gradient
+            const ga = gradient(a);
+            const gb = gradient(b);
+            const n = [0, 1, 2].map(k => -(ga[k] + (gb[k] - ga[k]) * t));
+            const length = Math.sqrt(n[0] * n[0] + n[1] * n[1] + n[2] * n[2]) || 1;
+            normals.push(n[0] / length, n[1] / length, n[2] / length);
+
+            vertex = positions.length / 3 - 1;
+            edgeVertices.set(key, vertex);
+            return vertex;
+        };
+
+        // Emit a triangle wound counter-clockwise when seen from outside
+        const addTriangle = (v0, v1, v2) => {
+            const p = (v) => [positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]];
+            const [a, b, c] = [p(v0), p(v1), p(v2)];
+            const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+            const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+            const cross = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+            const normal = [normals[v0 * 3], normals[v0 * 3 + 1], normals[v0 * 3 + 2]];
+
+            if (cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2] >= 0) {
+                indices.push(v0, v1, v2);
+            } else {
+                indices.push(v0, v2, v1);
+            }
+        };
+
+        for (let z = 0; z < nz - 1; z++) {
+            for (let y = 0; y < ny - 1; y++) {
+                for (let x = 0; x < nx - 1; x++) {
+                    const base = (z * ny + y) * nx + x;
+
+                    // Skip cubes entirely inside or outside
+                    let insideCount = 0;
+                    for (let c = 0; c < 8; c++) {
+                        if (field[base + cornerOffsets[c]] > 0) insideCount++;
+                    }
+                    if (insideCount === 0 || insideCount === 8) continue;
+
+                    for (const tetrahedron of tetrahedra) {
+                        const vertices = tetrahedron.map(c => base + cornerOffsets[c]);
+                        const inside = vertices.filter(v => field[v] > 0);
+                        const outside = vertices.filter(v => field[v] <= 0);
+
+                        if (inside.length === 1 || inside.length === 3) {
+                            const [lone, others] = inside.length === 1 ? [inside[0], outside] : [outside[0], inside];
+                            addTriangle(
+                                vertexOnEdge(lone, others[0]),
+                                vertexOnEdge(lone, others[1]),
+                                vertexOnEdge(lone, others[2])
+                            );
+                        } else if (inside.length === 2) {
+                            const [a, b] = inside;
+                            const [c, d] = outside;
+                            const ac = vertexOnEdge(a, c);
+                            const ad = vertexOnEdge(a, d);
+                            const bd = vertexOnEdge(b, d);
+                            const bc = vertexOnEdge(b, c);
+                            addTriangle(ac, ad, bd);
+                            addTriangle(ac, bd, bc);
+                        }
+                    }
+                }
+            }
+        }
+
+        return {
+            positions: Float32Array.from(positions),
+            normals: Float32Array.from(normals),
+            indices: Uint32Array.from(indices)
+        };
+    }
+
+    // Nearest atom surface (distance to center minus radius) for every vertex,
+    // using a spatial hash of atom centers
+    findNearestAtoms(vertexPositions, positions, radii) {
+        const vertexCount = vertexPositions.length / 3;
+        const atomIndices = new Int32Array(vertexCount).fill(-1);
+        if (vertexCount === 0) return atomIndices;
+
+        let maxRadius = 0;
+        for (let i = 0; i < radii.length; i++) maxRadius = Math.max(maxRadius, radii[i]);
+        const cellSize = maxRadius + this.probeRadius + this.resolution;
+
+        const cells = new Map();
+        const cellKey = (x, y, z) => `${x},${y},${z}`;
+        for (let i = 0; i < radii.length; i++) {
+            const key = cellKey(
+                Math.floor(positions[i * 3] / cellSize),
+                Math.floor(positions[i * 3 + 1] / cellSize),
+                Math.floor(positions[i * 3 + 2] / cellSize)
+            );
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(i);
+        }
+
+        for (let v = 0; v < vertexCount; v++) {
+            const vx = vertexPositions[v * 3];
+            const vy = vertexPositions[v * 3 + 1];
+            const vz = vertexPositions[v * 3 + 2];
+            const cx = Math.floor(vx / cellSize);
+            const cy = Math.floor(vy / cellSize);
+            const cz = Math.floor(vz / cellSize);
+            let best = Infinity;
+
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const cell = cells.get(cellKey(cx + dx, cy + dy, cz + dz));
+                        if (!cell) continue;
+
+                        for (const i of cell) {
+                            const ax = positions[i * 3] - vx;
+                            const ay = positions[i * 3 + 1] - vy;
+                            const az = positions[i * 3 + 2] - vz;
+                            const distance = Math.sqrt(ax * ax + ay * ay + az * az) - radii[i];
+                            if (distance < best) {
+                                best = distance;
+                                atomIndices[v] = i;
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        return atomIndices;
+    }
+}
+
+// Export to global namespace for non-module usage (also loaded by surface-worker.js)
+if (typeof window !== 'undefined') {
+    window.SurfaceGenerator = SurfaceGenerator;
+}
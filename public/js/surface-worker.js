@@ -0,0 +1,37 @@
+/**
+ * Surface Worker
+ * Computes molecular surfaces and their electrostatic potential off the main thread.
+ * Surface request: { id, task: 'surface', positions, radii, probeRadius, resolution }
+ *   reply: { id, positions, normals, indices, atomIndices }
+ * Potential request: { id, task: 'potential', points, chargePositions, charges }
+ *   reply: { id, potential }
+ * Failures reply { id, error }.
+ */
+
+importScripts('surface-generator.js', 'electrostatics.js');
+
+self.onmessage = (event) => {
+    const { id, task } = event.data;
+
+    try {
+        if (task === 'potential') {
+            const { points, chargePositions, charges } = event.data;
+            const potential = Electrostatics.computePotential(points, chargePositions, charges);
+            self.postMessage({ id, potential }, [potential.buffer]);
+            return;
+        }
+
+        const { positions, radii, probeRadius, resolution } = event.data;
+        const generator = new SurfaceGenerator({ probeRadius, resolution });
+        const surface = generator.generate(positions, radii);
+
+        self.postMessage({ id, ...surface }, [
+            surface.positions.buffer,
+            surface.normals.buffer,
+            surface.indices.buffer,
+            surface.atomIndices.buffer
+        ]);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
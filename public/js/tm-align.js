@@ -0,0 +1,202 @@
+/**
+ * TM-align
+ * Sequence-independent structural alignment of two CA traces, after Zhang &
+ * Skolnick (2005): initial residue correspondences from gapless threading and
+ * secondary structure, refined by alternating TM-score superposition and
+ * dynamic programming on the superposed distances. Scores are TM-scores.
+ */
+
+class TMAlign {
+    constructor(options = {}) {
+        this.gapOpen = options.gapOpen !== undefined ? options.gapOpen : -0.6; // Structure DP (no extension penalty)
+        this.maxRefinements = options.maxRefinements || 20;
+        this.cutoff = options.cutoff || 5.0; // Reported alignment keeps pairs closer than this (Å)
+    }
+
+    // TM-score distance scale for a structure of length L
+    static d0(length) {
+        return length > 21 ? Math.max(0.5, 1.24 * Math.cbrt(length - 15) - 1.8) : 0.5;
+    }
+
+    // Align mobile onto target. Each side is { points, sequence, ss } with CA
+    // points, one-letter sequence and per-residue 'helix'/'sheet'/'coil'.
+    // Returns { transform, pairs, tmScore (by target length), tmScoreMobile,
+    // rmsd, alignedLength, identity }.
+    align(mobile, target) {
+        if (mobile.points.length < 5 || target.points.length < 5) {
+            throw new Error('TM-align needs at least 5 residues on each side');
+        }
+
+        const d0 = TMAlign.d0(target.points.length);
+        const candidates = [this.gaplessThreading(mobile.points, target.points, d0)];
+        const ssPairs = this.secondaryStructureAlignment(mobile.ss, target.ss);
+        if (ssPairs.length >= 5) {
+            candidates.push(ssPairs);
+        }
+
+        let best = null;
+        for (const pairs of candidates) {
+            const refined = this.refine(mobile.points, target.points, pairs, d0);
+            if (!best || refined.score > best.score) {
+                best = refined;
+            }
+        }
+
+        return this.report(mobile, target, best.pairs, d0);
+    }
+
+    // Best ungapped register between the chains, by a quick TM-score estimate
+    gaplessThreading(mobile, target, d0) {
+        const minimumOverlap = Math.max(5, Math.floor(Math.min(mobile.length, target.length) / 2));
+        let best = { score: -1, pairs: [] };
+
+        for (let shift = -(mobile.length - 1); shift < target.length; shift++) {
+            const pairs = [];
+            for (let i = Math.max(0, -shift); i < mobile.length && i + shift < target.length; i++) {
+                pairs.push([i, i + shift]);
+            }
+            if (pairs.length < minimumOverlap) continue;
+
+            const { score } = this.superposeTM(mobile, target, pairs, d0, {
+                step: pairs.length, iterations: 2, minFragment: pairs.length / 4
+            });
+            if (score > best.score) {
+                best = { score, pairs };
+            }
+        }
+
+        return best.pairs;
+    }
+
+    // Align secondary structure strings (match 1, mismatch 0, gap -1)
+    secondaryStructureAlignment(mobileSS, targetSS) {
+        return Superposition.alignScores(mobileSS.length, targetSS.length,
+            (i, j) => (mobileSS[i] === targetSS[j] ? 1 : 0), { gapOpen: -1, gapExtend: -1 }).pairs;
+    }
+
+    // Alternate superposition and structure DP until the TM-score stops improving
+    refine(mobile, target, pairs, d0) {
+        let best = { score: -1, pairs, transform: null };
+        let current = pairs;
+
+        for (let iteration = 0; iteration < this.maxRefinements && current.length >= 3; iteration++) {
+            const { transform, score } = this.superposeTM(mobile, target, current, d0, {
+                step: Math.max(8, Math.floor(current.length / 20)), iterations: 10
+            });
+            if (score <= best.score + 1e-6) break;
+            best = { score, pairs: current, transform };
+
+            const moved = mobile.map(p => Superposition.apply(p, transform));
+            const d02 = d0 * d0;
+            current = Superposition.alignScores(mobile.length, target.length, (i, j) => {
+                const dx = moved[i].x - target[j].x;
+                const dy = moved[i].y - target[j].y;
+                const dz = moved[i].z - target[j].z;
+                return 1 / (1 + (dx * dx + dy * dy + dz * dz) / d02);
+            }, { gapOpen: this.gapOpen, gapExtend: 0 }).pairs;
+        }
+
+        return best;
+    }
+
+    // Superposition of aligned pairs that maximizes the TM-score (normalized by
+    // target length). Seeds are fragments of the alignment of decreasing length
+    // (down to minFragment, starting every step pairs), each extended by refitting
+    // the pairs within a growing distance cutoff.
+    superposeTM(mobile, target, pairs, d0, { step = 1, iterations = 20, minFragment = 4 } = {}) {
+        const count = pairs.length;
+        const mobilePoints = pairs.map(([i]) => mobile[i]);
+        const targetPoints = pairs.map(([, j]) => target[j]);
+        const searchCutoff = Math.min(8, Math.max(4.5, d0));
+        const d02 = d0 * d0;
+        const distances = new Float64Array(count);
+
+        // TM-score of a transform; fills distances for the cutoff selection
+        const evaluate = ({ rotation: r, translation: t }) => {
+            let score = 0;
+            for (let k = 0; k < count; k++) {
+                const p = mobilePoints[k];
+                const q = targetPoints[k];
+                const dx = r[0] * p.x + r[1] * p.y + r[2] * p.z + t.x - q.x;
+                const dy = r[3] * p.x + r[4] * p.y + r[5] * p.z + t.y - q.y;
+                const dz = r[6] * p.x + r[7] * p.y + r[8] * p.z + t.z - q.z;
+                const distance2 = dx * dx + dy * dy + dz * dz;
+                distances[k] = Math.sqrt(distance2);
+                score += 1 / (1 + distance2 / d02);
+            }
+            return score / target.length;
+        };
+
+        let best = { score: -1, transform: null };
+        for (let fragment = count; fragment >= Math.min(minFragment, count); fragment = Math.floor(fragment / 2)) {
+            for (let start = 0; start + fragment <= count; start += Math.max(1, step)) {
+                let selected = [];
+                for (let k = start; k < start + fragment; k++) selected.push(k);
+
+                for (let iteration = 0; iteration < iterations; iteration++) {
+                    const fit = Superposition.kabsch(selected.map(k => mobilePoints[k]), selected.map(k => targetPoints[k]));
+                    const transform = { rotation: fit.rotation, translation: fit.translation };
+                    const score = evaluate(transform);
+                    if (score > best.score) {
+                        best = { score, transform };
+                    }
+
+                    // Refit on the pairs that now lie close, widening the cutoff if too few do
+                    let cutoff = searchCutoff;
+                    let next = [];
+                    while (next.length < 3 && cutoff < 100) {
+                        next = [];
+                        for (let k = 0; k < count; k++) {
+                            if (distances[k] < cutoff) next.push(k);
+                        }
+                        cutoff += 0.5;
+                    }
+                    if (next.length === selected.length && next.every((k, index) => k === selected[index])) break;
+                    selected = next;
+                }
+            }
+            if (fragment < 8) break;
+        }
+
+        return best;
+    }
+
+    // Final numbers as TM-align reports them: pairs further apart than the
+    // cutoff are dropped from the aligned length, RMSD and identity
+    report(mobile, target, pairs, d0) {
+        const { transform } = this.superposeTM(mobile.points, target.points, pairs, d0, {
+            step: Math.max(1, Math.floor(pairs.length / 100)), iterations: 20
+        });
+        const d0Mobile = TMAlign.d0(mobile.points.length);
+
+        let tmTarget = 0;
+        let tmMobile = 0;
+        const aligned = [];
+        for (const [i, j] of pairs) {
+            const distance = MeasurementGeometry.distance(Superposition.apply(mobile.points[i], transform), target.points[j]);
+            tmTarget += 1 / (1 + (distance / d0) ** 2);
+            tmMobile += 1 / (1 + (distance / d0Mobile) ** 2);
+            if (distance < this.cutoff) {
+                aligned.push([i, j]);
+            }
+        }
+
+        const rmsd = aligned.length >= 3
+            ? Superposition.kabsch(aligned.map(([i]) => mobile.points[i]), aligned.map(([, j]) => target.points[j])).rmsd
+            : 0;
+        const identical = aligned.filter(([i, j]) => mobile.sequence[i] === target.sequence[j] && mobile.sequence[i] !== 'X').length;
+
+        return {
+            transform,
+            pairs: aligned,
+            tmScore: tmTarget / target.points.length,
+            tmScoreMobile: tmMobile / mobile.points.length,
+            rmsd,
+            alignedLength: aligned.length,
+            identity: aligned.length > 0 ? identical / aligned.length : 0
+        };
+    }
+}
+
+// Export to global namespace for non-module usage
+window.TMAlign = TMAlign;
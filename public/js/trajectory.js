@@ -0,0 +1,121 @@
+/**
+ * Trajectory Stream
+ * Fetches coordinate frames of a multi-model PDB or XYZ trajectory from the
+ * server in chunks and keeps recently used frames in a bounded cache
+ */
+
+class TrajectoryStream {
+    constructor(info) {
+        this.filename = info.filename;
+        this.format = info.format;
+        this.frameCount = info.frameCount;
+        this.atomCount = info.atomCount;
+        this.chunkSize = info.chunkSize || 25;
+        this.topology = info.topology || null; // First PDB model, used when no protein is given
+
+        this.maxCachedFrames = 500;
+        this.cache = new Map(); // frame index -> Float64Array, oldest first
+        this.pendingChunks = new Map(); // chunk start -> Promise
+    }
+
+    // Read trajectory metadata from the server
+    static async open(name) {
+        const response = await fetch(`/api/trajectory/${encodeURIComponent(name)}`);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const info = await response.json();
+        if (info.frameCount === 0) {
+            throw new Error(`${info.filename} contains no frames`);
+        }
+
+        return new TrajectoryStream(info);
+    }
+
+    // Coordinates of a frame (0-based), loading its chunk if needed
+    async getFrame(index) {
+        if (index < 0 || index >= this.frameCount) {
+            throw new Error(`Frame ${index + 1} out of range (1-${this.frameCount})`);
+        }
+
+        if (!this.cache.has(index)) {
+            await this.loadChunk(Math.floor(index / this.chunkSize) * this.chunkSize);
+        }
+
+        const coordinates = this.cache.get(index);
+        if (!coordinates) {
+            throw new Error(`Frame ${index + 1} could not be loaded`);
+        }
+
+        // Refresh position so the least recently used frames are evicted first
+        this.cache.delete(index);
+        this.cache.set(index, coordinates);
+        return coordinates;
+    }
+
+    // Start loading the chunk after a frame so playback does not stall
+    prefetch(index) {
+        const nextChunk = (Math.floor(index / this.chunkSize) + 1) * this.chunkSize;
+        if (nextChunk < this.frameCount && !this.cache.has(nextChunk)) {
+            this.loadChunk(nextChunk).catch(error => console.warn('Trajectory prefetch failed:', error));
+        }
+    }
+
+    // Fetch one chunk of frames; the server streams one JSON frame per line,
+    // so frames are cached as they arrive
+    loadChunk(start) {
+        if (this.pendingChunks.has(start)) {
+            return this.pendingChunks.get(start);
+        }
+
+        const promise = this.fetchFrames(start, this.chunkSize)
+            .finally(() => this.pendingChunks.delete(start));
+        this.pendingChunks.set(start, promise);
+        return promise;
+    }
+
+    async fetchFrames(start, count) {
+        const url = `/api/trajectory/${encodeURIComponent(this.filename)}/frames?start=${start}&count=${count}`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffered += decoder.decode(value, { stream: true });
+            const lines = buffered.split('\n');
+            buffered = lines.pop();
+            lines.forEach(line => this.addFrameLine(line));
+        }
+
+        this.addFrameLine(buffered + decoder.decode());
+    }
+
+    addFrameLine(line) {
+        if (line.trim() === '') return;
+
+        const { frame, coordinates } = JSON.parse(line);
+        if (coordinates.length !== this.atomCount * 3) {
+            console.warn(`Frame ${frame + 1} has ${coordinates.length / 3} atoms, expected ${this.atomCount}`);
+            return;
+        }
+
+        this.cache.set(frame, Float64Array.from(coordinates));
+
+        while (this.cache.size > this.maxCachedFrames) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+    }
+}
+
+// Export to global namespace for non-module usage
+window.TrajectoryStream = TrajectoryStream;
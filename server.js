@@ -3,18 +3,85 @@ const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const { isBinaryCIF, binaryCIFToText } = require('./binary-cif');
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
 // Middleware
 app.use(cors());
+// Sessions and saved structures embed whole structure files. Their larger
+// body limit is registered first so the default parser below skips them.
+app.post(['/api/sessions/:name', '/api/save-structure/:filename'], express.json({ limit: '200mb' }));
 app.use(express.json());
 app.use(express.static('public'));
 
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
 
+// Structure file extensions served from the data directory: PDB (.pdb, .ent),
+// mmCIF and BinaryCIF, each optionally gzip/bgzip compressed. The format is
+// detected from the content, not the extension.
+const STRUCTURE_FILE_PATTERN = /\.(pdb|ent|cif|mmcif|bcif)(\.gz)?$/i;
+const STRUCTURE_EXTENSIONS = ['.pdb', '.cif', '.mmcif', '.ent', '.bcif']
+    .flatMap(ext => [ext, `${ext}.gz`]);
+
+// Files the "save" command may write (text PDB and mmCIF)
+const WRITABLE_STRUCTURE_PATTERN = /\.(pdb|cif|mmcif)$/i;
+
+// Trajectory files: multi-model PDB (MODEL/ENDMDL) and XYZ
+const TRAJECTORY_FILE_PATTERN = /\.(pdb|xyz)$/i;
+const TRAJECTORY_EXTENSIONS = ['.pdb', '.xyz'];
+const TRAJECTORY_CHUNK_SIZE = 25; // Default frames per request
+const TRAJECTORY_MAX_CHUNK = 200;
+
+// Frame byte offsets per trajectory file, rebuilt when the file changes
+const trajectoryIndexCache = new Map();
+
+// Largest structure text a gzipped file may inflate to
+const MAX_DECOMPRESSED_SIZE = parseInt(process.env.MAX_DECOMPRESSED_SIZE) || 256 * 1024 * 1024;
+
+// "fetch" command: structures by ID from a local mirror, a download cache and
+// an optional remote server. Mirror file layouts and remote URLs are per provider.
+const FETCH_MIRROR_DIR = process.env.FETCH_MIRROR_DIR || null;
+const FETCH_CACHE_DIR = process.env.FETCH_CACHE_DIR || path.join(__dirname, 'cache');
+const FETCH_ALPHAFOLD_VERSION = process.env.FETCH_ALPHAFOLD_VERSION || 'v4';
+const FETCH_TIMEOUT_MS = parseInt(process.env.FETCH_TIMEOUT_MS) || 30000; // Per remote download
+
+// Each provider claims IDs by pattern and lists candidate files, in order of
+// preference, relative to the mirror directory and to its remote base URL
+// (null disables downloads). Add an entry here to support another database.
+const FETCH_PROVIDERS = [
+    {
+        name: 'PDB',
+        pattern: /^[0-9][a-z0-9]{3}$/i,
+        normalize: (id) => id.toLowerCase(),
+        remoteUrl: process.env.FETCH_PDB_URL || null, // e.g. https://files.rcsb.org/download
+        // Flat files, then the wwPDB "divided" layout (middle two characters)
+        mirrorFiles: (id) => [
+            `${id}.cif.gz`, `${id}.cif`, `${id}.pdb.gz`, `${id}.pdb`, `pdb${id}.ent.gz`, `pdb${id}.ent`,
+            `${id.substring(1, 3)}/${id}.cif.gz`, `${id.substring(1, 3)}/pdb${id}.ent.gz`,
+            `mmCIF/${id.substring(1, 3)}/${id}.cif.gz`, `pdb/${id.substring(1, 3)}/pdb${id}.ent.gz`,
+            `${id}.bcif.gz`, `${id}.bcif`
+        ],
+        remoteFiles: (id) => [`${id}.cif.gz`, `${id}.pdb.gz`]
+    },
+    {
+        name: 'AlphaFold',
+        pattern: /^AF-[A-Z0-9]+-F\d+$/i,
+        normalize: (id) => id.toUpperCase(),
+        remoteUrl: process.env.FETCH_ALPHAFOLD_URL || null, // e.g. https://alphafold.ebi.ac.uk/files
+        mirrorFiles: (id) => ['.cif.gz', '.cif', '.pdb.gz', '.pdb']
+            .map(ext => `${id}-model_${FETCH_ALPHAFOLD_VERSION}${ext}`),
+        remoteFiles: (id) => [`${id}-model_${FETCH_ALPHAFOLD_VERSION}.cif`, `${id}-model_${FETCH_ALPHAFOLD_VERSION}.pdb`]
+    }
+];
+
+// Viewer sessions saved with the "save" command
+const SESSIONS_DIR = path.join(__dirname, 'sessions');
+const SESSION_NAME_PATTERN = /^[\w.-]+$/;
+
 // Serve static files
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -30,16 +97,16 @@ app.get('/api/list-files', (req, res) => {
             return res.status(500).json({ error: 'Failed to read data directory' });
         }
 
-        // Filter for PDB files and get file info
+        // Filter for structure files (PDB and mmCIF) and get file info
         const pdbFiles = files
-            .filter(file => file.toLowerCase().endsWith('.pdb'))
+            .filter(file => STRUCTURE_FILE_PATTERN.test(file))
             .map(file => {
                 const filePath = path.join(dataDir, file);
                 try {
                     const stats = fs.statSync(filePath);
                     return {
                         name: file,
-                        nameWithoutExt: file.replace(/\.pdb$/i, ''),
+                        nameWithoutExt: file.replace(STRUCTURE_FILE_PATTERN, ''),
                         size: stats.size,
                         modified: stats.mtime,
                         sizeFormatted: formatFileSize(stats.size)
@@ -48,7 +115,7 @@ app.get('/api/list-files', (req, res) => {
                     console.warn(`Failed to get stats for ${file}:`, statErr);
                     return {
                         name: file,
-                        nameWithoutExt: file.replace(/\.pdb$/i, ''),
+                        nameWithoutExt: file.replace(STRUCTURE_FILE_PATTERN, ''),
                         size: 0,
                         modified: null,
                         sizeFormatted: 'Unknown'
@@ -74,50 +141,441 @@ function formatFileSize(bytes) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
 }
 
-// API endpoint to load specific PDB files
+// Resolve a name from the data directory: exact file name first, then
+// <name>.pdb, <name>.cif and <name>.mmcif (or the given extensions)
+function resolveStructureFile(name, pattern = STRUCTURE_FILE_PATTERN, extensions = STRUCTURE_EXTENSIONS) {
+    const dataDir = path.join(__dirname, 'data');
+    const candidates = pattern.test(name)
+        ? [name]
+        : extensions.map(ext => `${name}${ext}`);
+
+    for (const candidate of candidates) {
+        const candidatePath = path.join(dataDir, path.basename(candidate));
+        if (fs.existsSync(candidatePath)) {
+            return { filename: path.basename(candidate), filePath: candidatePath };
+        }
+    }
+
+    return null;
+}
+
+// API endpoint to load specific PDB or mmCIF files
 app.get('/api/load-pdb/:filename', (req, res) => {
     const filename = req.params.filename;
-    const pdbPath = path.join(__dirname, 'data', `${filename}.pdb`);
+    const resolved = resolveStructureFile(filename);
 
-    fs.readFile(pdbPath, 'utf8', (err, data) => {
-        if (err) {
-            console.error('Error reading PDB file:', err);
-            return res.status(500).json({ error: 'Failed to load sample PDB file' });
-        }
+    if (!resolved) {
+        return res.status(404).json({ error: `Structure file not found: ${filename}` });
+    }
 
+    readStructureFile(resolved.filePath).then(content => {
         res.json({
-            filename: `${filename}.pdb`,
-            content: data,
+            filename: resolved.filename,
+            content: content,
             description: `Loaded protein structure: ${filename}`
         });
+    }).catch(err => {
+        console.error('Error reading PDB file:', err);
+        res.status(err.status || 500).json({ error: `Failed to load ${resolved.filename}: ${err.message}` });
     });
 });
 
-// API endpoint to upload PDB files
-app.post('/api/upload-pdb', upload.single('pdbFile'), (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+// Gzip data (by its magic bytes) is inflated; anything else is returned as is.
+// bgzip output is a series of gzip members, which gunzip reads in one pass.
+// Output is capped so a small, highly compressed file cannot exhaust memory.
+function decompressIfGzip(buffer) {
+    if (!(buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b)) {
+        return buffer;
     }
 
-    fs.readFile(req.file.path, 'utf8', (err, data) => {
-        if (err) {
-            console.error('Error reading uploaded file:', err);
-            return res.status(500).json({ error: 'Failed to read uploaded file' });
+    try {
+        return zlib.gunzipSync(buffer, { maxOutputLength: MAX_DECOMPRESSED_SIZE });
+    } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw Object.assign(new Error(`Decompressed file is larger than ${formatFileSize(MAX_DECOMPRESSED_SIZE)}`), { status: 413 });
         }
+        throw err;
+    }
+}
 
-        // Clean up uploaded file
-        fs.unlink(req.file.path, (unlinkErr) => {
-            if (unlinkErr) console.error('Error deleting temp file:', unlinkErr);
+// Structure text from file contents, whatever the name: compressed data is
+// inflated and BinaryCIF is converted to mmCIF text
+function decodeStructure(buffer) {
+    const data = decompressIfGzip(buffer);
+    return isBinaryCIF(data) ? binaryCIFToText(data) : data.toString('utf8');
+}
+
+async function readStructureFile(filePath) {
+    return decodeStructure(await fs.promises.readFile(filePath));
+}
+
+// Extension for decoded structure text: mmCIF starts with a data_ block
+function structureExtension(content) {
+    return /^\s*(#.*\n\s*)*data_/i.test(content.substring(0, 4096)) ? '.cif' : '.pdb';
+}
+
+// True if decoded text holds coordinates: mmCIF with an atom_site category, or
+// PDB ATOM/HETATM records. Error pages and truncated downloads are rejected.
+function isStructureContent(content) {
+    return structureExtension(content) === '.cif'
+        ? content.includes('_atom_site.')
+        : /^(ATOM  |HETATM)/m.test(content);
+}
+
+// Find a structure ID in the mirror, then the download cache, then download it
+// from the provider's remote URL into the cache. Returns { filename, content, source }.
+async function fetchStructure(id) {
+    const provider = FETCH_PROVIDERS.find(candidate => candidate.pattern.test(id));
+    if (!provider) {
+        throw Object.assign(new Error(`Unknown structure ID: ${id} (use a PDB ID like 4hhb or an AlphaFold ID like AF-P12345-F1)`), { status: 400 });
+    }
+    const normalized = provider.normalize(id);
+
+    if (FETCH_MIRROR_DIR) {
+        for (const file of provider.mirrorFiles(normalized)) {
+            const filePath = path.join(FETCH_MIRROR_DIR, file);
+            if (fs.existsSync(filePath)) {
+                const content = await readStructureFile(filePath);
+                return { filename: normalized + structureExtension(content), content, source: 'mirror' };
+            }
+        }
+    }
+
+    for (const extension of ['.cif', '.pdb']) {
+        const cachePath = path.join(FETCH_CACHE_DIR, normalized + extension);
+        if (fs.existsSync(cachePath)) {
+            return { filename: normalized + extension, content: await fs.promises.readFile(cachePath, 'utf8'), source: 'cache' };
+        }
+    }
+
+    if (provider.remoteUrl) {
+        for (const file of provider.remoteFiles(normalized)) {
+            const url = `${provider.remoteUrl.replace(/\/+$/, '')}/${file}`;
+            let content;
+            try {
+                // The timeout covers the whole download, body included
+                const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+                if (response.status === 404) continue;
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status} ${response.statusText}`);
+                }
+                content = decodeStructure(Buffer.from(await response.arrayBuffer()));
+            } catch (err) {
+                const message = err.name === 'TimeoutError' ? `no response within ${FETCH_TIMEOUT_MS / 1000} s` : err.message;
+                throw Object.assign(new Error(`${url}: ${message}`), { status: err.status || (err.name === 'TimeoutError' ? 504 : 502) });
+            }
+            if (!isStructureContent(content)) {
+                throw Object.assign(new Error(`${url} did not return a PDB, mmCIF or BinaryCIF structure`), { status: 502 });
+            }
+
+            const filename = normalized + structureExtension(content);
+            await fs.promises.mkdir(FETCH_CACHE_DIR, { recursive: true });
+            await fs.promises.writeFile(path.join(FETCH_CACHE_DIR, filename), content, 'utf8');
+            console.log(`Downloaded ${url} to ${path.join(FETCH_CACHE_DIR, filename)}`);
+            return { filename, content, source: 'remote' };
+        }
+    }
+
+    const searched = [FETCH_MIRROR_DIR && 'mirror', 'cache', provider.remoteUrl && provider.remoteUrl].filter(Boolean);
+    throw Object.assign(new Error(`${provider.name} entry ${normalized} not found (searched ${searched.join(', ')})`), { status: 404 });
+}
+
+// API endpoint to load a structure by PDB or AlphaFold ID
+app.get('/api/fetch/:id', async (req, res) => {
+    try {
+        const result = await fetchStructure(req.params.id.trim());
+        res.json({
+            filename: result.filename,
+            content: result.content,
+            source: result.source,
+            description: `Fetched protein structure: ${req.params.id} (${result.source})`
+        });
+    } catch (err) {
+        console.error(`Error fetching ${req.params.id}:`, err.message);
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Read a file line by line, reporting the byte offset where each line starts
+function scanLines(filePath, onLine) {
+    return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath);
+        let leftover = Buffer.alloc(0);
+        let offset = 0;
+
+        stream.on('data', (chunk) => {
+            const buffer = leftover.length > 0 ? Buffer.concat([leftover, chunk]) : chunk;
+            let lineStart = 0;
+            let newline;
+
+            while ((newline = buffer.indexOf(10, lineStart)) !== -1) {
+                onLine(buffer.toString('utf8', lineStart, newline).replace(/\r$/, ''), offset + lineStart);
+                lineStart = newline + 1;
+            }
+
+            leftover = buffer.subarray(lineStart);
+            offset += lineStart;
+        });
+        stream.on('end', () => {
+            if (leftover.length > 0) {
+                onLine(leftover.toString('utf8').replace(/\r$/, ''), offset);
+            }
+            resolve();
         });
+        stream.on('error', reject);
+    });
+}
 
+// Index frame start offsets of a multi-model PDB or XYZ file. The PDB index also
+// keeps the first model (with header records) as topology text for the client.
+async function indexTrajectory(filePath) {
+    const stats = fs.statSync(filePath);
+    const cached = trajectoryIndexCache.get(filePath);
+    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+        return cached;
+    }
+
+    const format = path.extname(filePath).toLowerCase() === '.xyz' ? 'xyz' : 'pdb';
+    const offsets = [];
+    const topologyLines = [];
+    let atomCount = 0;
+
+    if (format === 'xyz') {
+        // Each frame: atom count line, comment line, then one "El x y z" line per atom
+        let linesLeft = 0;
+        await scanLines(filePath, (line, offset) => {
+            if (linesLeft > 0) {
+                linesLeft--;
+                return;
+            }
+            const count = parseInt(line.trim());
+            if (!isNaN(count) && count > 0) {
+                if (offsets.length === 0) atomCount = count;
+                offsets.push(offset);
+                linesLeft = count + 1;
+            }
+        });
+    } else {
+        let inFirstModel = true;
+        let frameAtoms = 0;
+        await scanLines(filePath, (line, offset) => {
+            if (line.startsWith('MODEL')) {
+                offsets.push(offset);
+                frameAtoms = 0;
+            } else if (line.startsWith('ATOM') || line.startsWith('HETATM')) {
+                if (offsets.length === 0) offsets.push(offset); // File without MODEL records
+                frameAtoms++;
+            } else if (line.startsWith('ENDMDL') && inFirstModel) {
+                inFirstModel = false;
+                atomCount = frameAtoms;
+            }
+
+            if (inFirstModel) topologyLines.push(line);
+        });
+        if (inFirstModel) atomCount = frameAtoms;
+    }
+
+    const index = {
+        format: format,
+        atomCount: atomCount,
+        offsets: offsets,
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        topology: format === 'pdb' ? topologyLines.join('\n') : null
+    };
+    trajectoryIndexCache.set(filePath, index);
+    return index;
+}
+
+// Parse the coordinates of one frame's text into a flat [x, y, z, ...] array
+function parseTrajectoryFrame(text, format) {
+    const coordinates = [];
+    const lines = text.split(/\r?\n/);
+
+    if (format === 'xyz') {
+        const count = parseInt(lines[0]);
+        for (let i = 2; i < count + 2 && i < lines.length; i++) {
+            const parts = lines[i].trim().split(/\s+/);
+            coordinates.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
+        }
+    } else {
+        for (const line of lines) {
+            if (line.startsWith('ATOM') || line.startsWith('HETATM')) {
+                coordinates.push(
+                    parseFloat(line.substring(30, 38)),
+                    parseFloat(line.substring(38, 46)),
+                    parseFloat(line.substring(46, 54))
+                );
+            }
+        }
+    }
+
+    return coordinates;
+}
+
+// API endpoint describing a trajectory (frame count, atom count, PDB topology)
+app.get('/api/trajectory/:filename', async (req, res) => {
+    const resolved = resolveStructureFile(req.params.filename, TRAJECTORY_FILE_PATTERN, TRAJECTORY_EXTENSIONS);
+    if (!resolved) {
+        return res.status(404).json({ error: `Trajectory file not found: ${req.params.filename}` });
+    }
+
+    try {
+        const index = await indexTrajectory(resolved.filePath);
+        res.json({
+            filename: resolved.filename,
+            format: index.format,
+            frameCount: index.offsets.length,
+            atomCount: index.atomCount,
+            chunkSize: TRAJECTORY_CHUNK_SIZE,
+            topology: index.topology
+        });
+    } catch (err) {
+        console.error('Error indexing trajectory:', err);
+        res.status(500).json({ error: 'Failed to read trajectory file' });
+    }
+});
+
+// API endpoint streaming a range of frames as newline-delimited JSON,
+// one {"frame": n, "coordinates": [...]} object per line
+app.get('/api/trajectory/:filename/frames', async (req, res) => {
+    const resolved = resolveStructureFile(req.params.filename, TRAJECTORY_FILE_PATTERN, TRAJECTORY_EXTENSIONS);
+    if (!resolved) {
+        return res.status(404).json({ error: `Trajectory file not found: ${req.params.filename}` });
+    }
+
+    let index;
+    try {
+        index = await indexTrajectory(resolved.filePath);
+    } catch (err) {
+        console.error('Error indexing trajectory:', err);
+        return res.status(500).json({ error: 'Failed to read trajectory file' });
+    }
+
+    const frameCount = index.offsets.length;
+    const start = parseInt(req.query.start) || 0;
+    const count = Math.min(parseInt(req.query.count) || TRAJECTORY_CHUNK_SIZE, TRAJECTORY_MAX_CHUNK);
+
+    if (start < 0 || start >= frameCount) {
+        return res.status(416).json({ error: `Frame ${start} out of range (0-${frameCount - 1})` });
+    }
+
+    const end = Math.min(start + count, frameCount);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+
+    // Read only the byte range of the requested frames, one frame at a time
+    let fd;
+    try {
+        fd = await fs.promises.open(resolved.filePath, 'r');
+        for (let frame = start; frame < end; frame++) {
+            const byteStart = index.offsets[frame];
+            const byteEnd = frame + 1 < frameCount ? index.offsets[frame + 1] : index.size;
+            const buffer = Buffer.alloc(byteEnd - byteStart);
+            await fd.read(buffer, 0, buffer.length, byteStart);
+
+            const coordinates = parseTrajectoryFrame(buffer.toString('utf8'), index.format)
+                .map(value => Math.round(value * 1000) / 1000);
+            res.write(JSON.stringify({ frame: frame, coordinates: coordinates }) + '\n');
+        }
+    } catch (err) {
+        console.error('Error reading trajectory frames:', err);
+    } finally {
+        if (fd) await fd.close();
+    }
+
+    res.end();
+});
+
+// API endpoint to upload PDB files
+app.post('/api/upload-pdb', upload.single('pdbFile'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    readStructureFile(req.file.path).then(content => {
         res.json({
             filename: req.file.originalname,
-            content: data,
+            content: content,
             description: 'Uploaded protein structure'
         });
+    }).catch(err => {
+        console.error('Error reading uploaded file:', err);
+        res.status(err.status || 500).json({ error: `Failed to read uploaded file: ${err.message}` });
+    }).finally(() => {
+        // Clean up uploaded file
+        fs.unlink(req.file.path, (unlinkErr) => {
+            if (unlinkErr) console.error('Error deleting temp file:', unlinkErr);
+        });
     });
 });
 
+// API endpoint to write a structure (from the "save" command) into the data directory
+app.post('/api/save-structure/:filename', async (req, res) => {
+    const filename = req.params.filename;
+    if (filename !== path.basename(filename) || filename.startsWith('.') || !WRITABLE_STRUCTURE_PATTERN.test(filename)) {
+        return res.status(400).json({ error: `Invalid structure file name: ${filename}` });
+    }
+    if (!req.body || typeof req.body.content !== 'string') {
+        return res.status(400).json({ error: 'Request body has no structure content' });
+    }
+
+    try {
+        const dataDir = path.join(__dirname, 'data');
+        await fs.promises.mkdir(dataDir, { recursive: true });
+        // Existing files are only replaced when the client asks for it
+        const flag = req.body.overwrite === true ? 'w' : 'wx';
+        await fs.promises.writeFile(path.join(dataDir, filename), req.body.content, { encoding: 'utf8', flag: flag });
+        const size = Buffer.byteLength(req.body.content);
+        res.json({ filename: filename, size: size, sizeFormatted: formatFileSize(size) });
+    } catch (err) {
+        if (err.code === 'EEXIST') {
+            return res.status(409).json({ error: `data/${filename} already exists` });
+        }
+        console.error('Error saving structure:', err);
+        res.status(500).json({ error: 'Failed to save structure' });
+    }
+});
+
+// Session file path for a name ("view" or "view.json"), or null if the name is not allowed
+function resolveSessionFile(name) {
+    const filename = /\.json$/i.test(name) ? name : `${name}.json`;
+    if (!SESSION_NAME_PATTERN.test(filename) || filename.startsWith('.')) {
+        return null;
+    }
+    return { filename: filename, filePath: path.join(SESSIONS_DIR, filename) };
+}
+
+// API endpoint to store a session
+app.post('/api/sessions/:name', async (req, res) => {
+    const resolved = resolveSessionFile(req.params.name);
+    if (!resolved) {
+        return res.status(400).json({ error: `Invalid session name: ${req.params.name}` });
+    }
+    if (!req.body || !Array.isArray(req.body.proteins)) {
+        return res.status(400).json({ error: 'Request body is not a session' });
+    }
+
+    try {
+        await fs.promises.mkdir(SESSIONS_DIR, { recursive: true });
+        const content = JSON.stringify(req.body);
+        await fs.promises.writeFile(resolved.filePath, content, 'utf8');
+        res.json({ filename: resolved.filename, size: content.length, sizeFormatted: formatFileSize(content.length) });
+    } catch (err) {
+        console.error('Error saving session:', err);
+        res.status(500).json({ error: 'Failed to save session' });
+    }
+});
+
+// API endpoint to load a stored session
+app.get('/api/sessions/:name', (req, res) => {
+    const resolved = resolveSessionFile(req.params.name);
+    if (!resolved || !fs.existsSync(resolved.filePath)) {
+        return res.status(404).json({ error: `Session not found: ${req.params.name}` });
+    }
+
+    res.sendFile(resolved.filePath);
+});
+
 // API endpoint to get protein info
 app.get('/api/protein-info/:filename', (req, res) => {
     // This could be extended to provide metadata about known proteins
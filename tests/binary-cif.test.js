@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeMessagePack, isBinaryCIF, binaryCIFToText } = require('../binary-cif');
+
+// MessagePack encoder for the types BinaryCIF files contain
+function encode(value) {
+    if (value === null) return Buffer.from([0xc0]);
+    if (typeof value === 'boolean') return Buffer.from([value ? 0xc3 : 0xc2]);
+    if (typeof value === 'number' && Number.isInteger(value)) {
+        const buffer = Buffer.alloc(5);
+        buffer[0] = 0xd2;
+        buffer.writeInt32BE(value, 1);
+        return buffer;
+    }
+    if (typeof value === 'number') {
+        const buffer = Buffer.alloc(9);
+        buffer[0] = 0xcb;
+        buffer.writeDoubleBE(value, 1);
+        return buffer;
+    }
+    if (typeof value === 'string') {
+        const text = Buffer.from(value, 'utf8');
+        return Buffer.concat([Buffer.from([0xda, text.length >> 8, text.length & 0xff]), text]);
+    }
+    if (value instanceof Uint8Array) {
+        const header = Buffer.alloc(5);
+        header[0] = 0xc6;
+        header.writeUInt32BE(value.length, 1);
+        return Buffer.concat([header, value]);
+    }
+    if (Array.isArray(value)) {
+        return Buffer.concat([Buffer.from([0xdc, value.length >> 8, value.length & 0xff]), ...value.map(encode)]);
+    }
+    const entries = Object.entries(value);
+    return Buffer.concat([Buffer.from([0xde, entries.length >> 8, entries.length & 0xff]),
+        ...entries.flatMap(([key, item]) => [encode(key), encode(item)])]);
+}
+
+const int32 = values => new Uint8Array(Int32Array.from(values).buffer);
+const int8 = values => new Uint8Array(Int8Array.from(values).buffer);
+const byteArray = type => ({ kind: 'ByteArray', type });
+
+// Two atoms, one column for each supported encoding
+const file = {
+    encoder: 'test',
+    version: '0.3.0',
+    dataBlocks: [{
+        header: 'TEST',
+        categories: [{
+            name: '_atom_site',
+            rowCount: 2,
+            columns: [
+                { name: 'id', data: { data: int32([1, 1]), encoding: [{ kind: 'Delta', origin: 0, srcType: 3 }, byteArray(3)] }, mask: null },
+                {
+                    name: 'label_atom_id',
+                    data: {
+                        data: int32([0, 1]),
+                        encoding: [{
+                            kind: 'StringArray', stringData: 'NCA', offsets: int32([0, 1, 3]),
+                            dataEncoding: [byteArray(3)], offsetEncoding: [byteArray(3)]
+                        }]
+                    },
+                    mask: null
+                },
+                {
+                    name: 'label_seq_id',
+                    data: {
+                        data: int8([5, 2]),
+                        encoding: [
+                            { kind: 'RunLength', srcType: 3, srcSize: 2 },
+                            { kind: 'IntegerPacking', byteCount: 1, isUnsigned: false, srcSize: 2 },
+                            byteArray(1)
+                        ]
+                    },
+                    mask: null
+                },
+                { name: 'Cartn_x', data: { data: int32([11104, -5147]), encoding: [{ kind: 'FixedPoint', factor: 1000, srcType: 33 }, byteArray(3)] }, mask: null },
+                {
+                    name: 'auth_comp_id',
+                    data: {
+                        data: int32([0, 0]),
+                        encoding: [{
+                            kind: 'StringArray', stringData: 'ALA', offsets: int32([0, 3]),
+                            dataEncoding: [byteArray(3)], offsetEncoding: [byteArray(3)]
+                        }]
+                    },
+                    mask: { data: int8([0, 2]), encoding: [byteArray(1)] }
+                }
+            ]
+        }]
+    }]
+};
+
+test('MessagePack values decode to JavaScript values', () => {
+    const value = { name: 'x', count: 300, negative: -7, ratio: 0.5, flag: true, none: null, list: [1, 'two'] };
+    assert.deepEqual(decodeMessagePack(encode(value)), value);
+    assert.deepEqual(decodeMessagePack(Buffer.from([0x93, 0x01, 0xff, 0xa2, 0x68, 0x69])), [1, -1, 'hi']);
+});
+
+test('BinaryCIF files are told apart from text files', () => {
+    assert.equal(isBinaryCIF(encode(file)), true);
+    assert.equal(isBinaryCIF(Buffer.from('data_1ERM\n#\n_entry.id 1ERM\n')), false);
+});
+
+test('BinaryCIF columns decode to mmCIF text', () => {
+    assert.equal(binaryCIFToText(encode(file)), [
+        'data_TEST',
+        '#',
+        'loop_',
+        '_atom_site.id',
+        '_atom_site.label_atom_id',
+        '_atom_site.label_seq_id',
+        '_atom_site.Cartn_x',
+        '_atom_site.auth_comp_id',
+        '1 N 5 11.104 ALA',
+        '2 CA 5 -5.147 ?',
+        '#'
+    ].join('\n') + '\n');
+});
+
+test('files without data blocks are rejected', () => {
+    assert.throws(() => binaryCIFToText(encode({ encoder: 'test' })), /Not a BinaryCIF file/);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readStructure } = require('./helpers/browser');
+
+const { PDBParser, DSSPAnalyzer } = loadScripts('dssp.js', 'pdb-parser.js');
+
+function load() {
+    const parser = new PDBParser();
+    parser.parse(readStructure('1erm.pdb'));
+    return parser;
+}
+
+test('summary counts every protein residue', () => {
+    const parser = load();
+    const summary = new DSSPAnalyzer().analyze(parser);
+    const protein = parser.residues.filter(residue => residue.isProtein && !residue.isWater);
+
+    assert.equal(summary.total, protein.length);
+    assert.equal(summary.helix + summary.sheet + summary.coil, summary.total);
+    assert.ok(summary.helix > 0 && summary.sheet > 0);
+    assert.equal(summary.helix, protein.filter(residue => residue.secondaryStructure === 'helix').length);
+});
+
+test('a residue set limits which residues are reassigned', () => {
+    const parser = load();
+    const before = parser.residues.map(residue => residue.secondaryStructure);
+    parser.residues.forEach(residue => { residue.secondaryStructure = 'coil'; });
+
+    const selected = new Set(parser.residues.filter(residue => residue.resSeq >= 60 && residue.resSeq <= 80));
+    const summary = new DSSPAnalyzer().analyze(parser, selected);
+
+    assert.equal(summary.total, selected.size);
+    assert.ok(summary.helix > 0);
+    parser.residues.forEach(residue => {
+        if (!selected.has(residue)) {
+            assert.equal(residue.secondaryStructure, 'coil', `residue ${residue.resSeq} changed`);
+        }
+    });
+    assert.notDeepEqual(before, parser.residues.map(residue => residue.secondaryStructure));
+});
@@ -0,0 +1,40 @@
+/**
+ * Browser Script Loader
+ * Runs public/js scripts in one shared context, the way script tags share
+ * globals in the page, and gives access to the classes they declare.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', '..', 'public', 'js');
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+// Load scripts in order (dependencies first) and return an object whose
+// properties are their globals, e.g. const { PDBParser } = loadScripts('pdb-parser.js').
+// Top-level class declarations are not properties of the global object, so
+// names are looked up by evaluating them in the context. Arrays made by the
+// scripts belong to that context, so copy them with Array.from before deepEqual.
+function loadScripts(...files) {
+    const context = {
+        console: { log() {}, info() {}, warn: console.warn, error: console.error }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const file of files) {
+        const filename = path.join(SCRIPT_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    }
+    return new Proxy({}, {
+        get: (target, name) => vm.runInContext(`typeof ${name} === 'undefined' ? undefined : ${name}`, context)
+    });
+}
+
+// Text of a structure file in data/, or relative to the repository root
+function readStructure(name, root = false) {
+    return fs.readFileSync(path.join(root ? path.join(__dirname, '..', '..') : DATA_DIR, name), 'utf8');
+}
+
+module.exports = { loadScripts, readStructure };
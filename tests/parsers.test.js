@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readStructure } = require('./helpers/browser');
+
+const { PDBParser, MMCIFParser } = loadScripts('dssp.js', 'pdb-parser.js', 'mmcif-parser.js');
+
+function parsePDB(text) {
+    const parser = new PDBParser();
+    parser.parse(text);
+    return parser;
+}
+
+function parseMMCIF(text) {
+    const parser = new MMCIFParser();
+    parser.parse(text);
+    return parser;
+}
+
+test('PDB parser reads atoms, residues, chains and secondary structure of 1ERM', () => {
+    const parser = parsePDB(readStructure('1erm.pdb'));
+
+    assert.equal(parser.atoms.length, 2183);
+    assert.equal(parser.residues.length, 401);
+    assert.equal(parser.chains.length, 1);
+    assert.equal(parser.helices.length, 12);
+    assert.equal(parser.sheets.length, 9);
+    assert.deepEqual(Array.from(parser.ligands, ligand => ligand.resName).sort(), ['BHD', 'BJI']);
+
+    const atom = parser.atoms[0];
+    assert.equal(atom.name, 'N');
+    assert.equal(atom.chainId, 'A');
+    assert.equal(atom.element, 'N');
+});
+
+test('mmCIF parser matches the PDB parser on 1ERM', () => {
+    const pdb = parsePDB(readStructure('1erm.pdb'));
+    const cif = parseMMCIF(readStructure('1erm.cif', true));
+
+    assert.equal(cif.atoms.length, pdb.atoms.length);
+    assert.equal(cif.residues.length, pdb.residues.length);
+    assert.equal(cif.helices.length, pdb.helices.length);
+    assert.equal(cif.sheets.length, pdb.sheets.length);
+
+    cif.atoms.forEach((atom, i) => {
+        const other = pdb.atoms[i];
+        assert.equal(atom.name, other.name);
+        assert.equal(atom.resName, other.resName);
+        assert.equal(atom.resSeq, other.resSeq);
+        assert.ok(Math.abs(atom.x - other.x) < 1e-3 && Math.abs(atom.y - other.y) < 1e-3 && Math.abs(atom.z - other.z) < 1e-3,
+            `atom ${atom.id} coordinates differ`);
+    });
+    assert.deepEqual(cif.residues.map(r => r.secondaryStructure), pdb.residues.map(r => r.secondaryStructure));
+});
+
+test('mmCIF content is recognised', () => {
+    assert.equal(MMCIFParser.isMMCIF(readStructure('1erm.cif', true)), true);
+    assert.equal(MMCIFParser.isMMCIF(readStructure('1erm.pdb')), false);
+});
+
+test('zero occupancy is kept and missing occupancy defaults to 1', () => {
+    const parser = parsePDB(
+        'ATOM      1  N   ALA A   1      11.104   6.134  -6.504  0.00 20.00           N\n' +
+        'ATOM      2  CA  ALA A   1      11.639   6.071  -5.147        20.00           C\n');
+
+    assert.deepEqual(Array.from(parser.atoms, atom => atom.occupancy), [0, 1]);
+});
+
+test('files without HELIX/SHEET records get DSSP secondary structure', () => {
+    const text = readStructure('1erm.pdb');
+    const withRecords = parsePDB(text);
+    const withoutRecords = parsePDB(text.split('\n').filter(line => !/^(HELIX|SHEET)/.test(line)).join('\n'));
+
+    const protein = withoutRecords.residues.filter(residue => residue.isProtein);
+    assert.ok(protein.some(residue => residue.secondaryStructure === 'helix'));
+    assert.ok(protein.some(residue => residue.secondaryStructure === 'sheet'));
+
+    // DSSP and the deposited assignment agree on most residues
+    const same = withoutRecords.residues.filter((residue, i) =>
+        residue.isProtein && residue.secondaryStructure === withRecords.residues[i].secondaryStructure).length;
+    assert.ok(same / protein.length > 0.8, `only ${same} of ${protein.length} residues agree`);
+});
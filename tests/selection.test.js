@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readStructure } = require('./helpers/browser');
+
+const { PDBParser, SelectionParser, AtomSelector } = loadScripts('dssp.js', 'pdb-parser.js', 'atom-selection.js');
+
+const parser = new PDBParser();
+parser.parse(readStructure('1erm.pdb'));
+
+const selectionParser = new SelectionParser();
+const atomSelector = new AtomSelector();
+
+function select(expression, context = { modelName: '1erm.pdb' }) {
+    return Array.from(atomSelector.evaluate(selectionParser.parse(expression), parser, context));
+}
+
+test('chain and residue range', () => {
+    const atoms = select('chain A and resi 60-80');
+
+    assert.equal(atoms.length, 170);
+    assert.ok(atoms.every(atom => atom.chainId === 'A' && atom.resSeq >= 60 && atom.resSeq <= 80));
+});
+
+test('comparisons work with and without spaces', () => {
+    const atoms = select('b>50');
+
+    assert.equal(atoms.length, 89);
+    assert.ok(atoms.every(atom => atom.tempFactor > 50));
+    assert.deepEqual(select('b > 50'), atoms);
+});
+
+test('names and residue lists', () => {
+    const alphaCarbons = select('name CA');
+    assert.equal(alphaCarbons.length, 263);
+    assert.ok(alphaCarbons.every(atom => atom.name === 'CA'));
+
+    const residues = select('resn SER+THR');
+    assert.ok(residues.length > 0);
+    assert.ok(residues.every(atom => atom.resName === 'SER' || atom.resName === 'THR'));
+});
+
+test('not, or and flags partition the structure', () => {
+    const polymer = select('polymer');
+    const rest = select('not polymer');
+
+    assert.equal(polymer.length + rest.length, parser.atoms.length);
+    assert.equal(select('polymer or not polymer').length, parser.atoms.length);
+    assert.equal(select('polymer and not polymer').length, 0);
+});
+
+test('byres and within expand around a ligand', () => {
+    const ligand = select('resn BJI');
+    const around = select('byres (within 5 of resn BJI)');
+
+    assert.ok(ligand.length > 0);
+    assert.ok(around.length > ligand.length);
+    assert.ok(ligand.every(atom => around.includes(atom)));
+});
+
+test('named selections resolve through the context', () => {
+    const site = new Set(select('resi 70'));
+    const context = { modelName: '1erm.pdb', resolveName: name => (name === 'site' ? site : null) };
+
+    assert.deepEqual(select('site and name CA', context), select('resi 70 and name CA'));
+});
+
+test('invalid expressions raise errors', () => {
+    assert.throws(() => selectionParser.parse(''), /Empty selection/);
+    assert.throws(() => selectionParser.parse('chain'), /expects a value/);
+    assert.throws(() => selectionParser.parse('resi 10-'), /Invalid residue number or range/);
+    assert.throws(() => selectionParser.parse('(name CA'), /Unexpected end of selection/);
+});
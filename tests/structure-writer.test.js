@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, readStructure } = require('./helpers/browser');
+
+const { PDBParser, MMCIFParser, SelectionParser, AtomSelector, StructureWriter } =
+    loadScripts('dssp.js', 'pdb-parser.js', 'mmcif-parser.js', 'atom-selection.js', 'structure-writer.js');
+
+function load(text, Parser = PDBParser) {
+    const parser = new Parser();
+    parser.parse(text);
+    return { filename: 'test', parser };
+}
+
+// Writer entries for the atoms of a structure matching an expression
+function entries(proteinData, expression = 'all') {
+    const ast = new SelectionParser().parse(expression);
+    return [{ proteinData, atoms: new AtomSelector().evaluate(ast, proteinData.parser, { modelName: 'test' }) }];
+}
+
+function assertSameStructure(written, original) {
+    assert.equal(written.atoms.length, original.atoms.length);
+    written.atoms.forEach((atom, i) => {
+        const other = original.atoms[i];
+        for (const field of ['name', 'resName', 'chainId', 'resSeq', 'element', 'isHetAtom']) {
+            assert.equal(atom[field], other[field], `atom ${i} ${field}`);
+        }
+        for (const field of ['x', 'y', 'z', 'occupancy', 'tempFactor']) {
+            assert.ok(Math.abs(atom[field] - other[field]) < 1e-2, `atom ${i} ${field}: ${atom[field]} != ${other[field]}`);
+        }
+    });
+    assert.deepEqual(Array.from(written.residues, r => r.secondaryStructure), Array.from(original.residues, r => r.secondaryStructure));
+}
+
+test('PDB output parses back to the same structure', () => {
+    const original = load(readStructure('1erm.pdb'));
+    const written = load(new StructureWriter(entries(original)).toPDB());
+
+    assertSameStructure(written.parser, original.parser);
+});
+
+test('mmCIF output parses back to the same structure', () => {
+    const original = load(readStructure('1erm.pdb'));
+    const text = new StructureWriter(entries(original)).toMMCIF('1erm');
+
+    assert.equal(MMCIFParser.isMMCIF(text), true);
+    assertSameStructure(load(text, MMCIFParser).parser, original.parser);
+});
+
+test('only selected atoms are written', () => {
+    const original = load(readStructure('1erm.pdb'));
+    const written = load(new StructureWriter(entries(original, 'chain A and resi 60-80')).toPDB());
+
+    assert.equal(written.parser.atoms.length, 170);
+    assert.ok(written.parser.atoms.every(atom => atom.resSeq >= 60 && atom.resSeq <= 80));
+});
+
+test('zero occupancy survives a round trip', () => {
+    const original = load(
+        'ATOM      1  N   ALA A   1      11.104   6.134  -6.504  0.00 20.00           N\n' +
+        'ATOM      2  CA  ALA A   1      11.639   6.071  -5.147  1.00 20.00           C\n');
+
+    const pdb = load(new StructureWriter(entries(original)).toPDB());
+    const cif = load(new StructureWriter(entries(original)).toMMCIF(), MMCIFParser);
+
+    assert.deepEqual(Array.from(pdb.parser.atoms, atom => atom.occupancy), [0, 1]);
+    assert.deepEqual(Array.from(cif.parser.atoms, atom => atom.occupancy), [0, 1]);
+});